@@ -0,0 +1,286 @@
+/**
+ * @fileoverview Add-entry command implementation
+ * Creates a new entry folder in the source directory from a template,
+ * re-exports it from the parent barrels and regenerates the development
+ * package.json so its subpath is exported right away
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import fse from 'fs-extra';
+import { loadConfig } from '../utils/config.js';
+import { isExportsMode } from '../utils/exports.js';
+import {
+  PackageError,
+  ConfigurationError,
+  getSourceDir,
+  getSourcePath,
+  readPackageJson,
+  writePackageJson,
+} from '../utils/package.js';
+import { ENTRY_TEMPLATES, getEntryNames } from '../utils/templates.js';
+
+/**
+ * Add-entry options type definition
+ * @typedef {Object} AddEntryOptions
+ * @property {string} path - Package path
+ * @property {string} entry - Entry folder relative to the source directory, e.g. components/card
+ * @property {import('../schemas/config.js').EntryTemplateName} [template] - Template to create the entry from
+ * @property {boolean} barrel - Re-export the entry from the parent index files
+ * @property {boolean} verbose - Enable verbose logging
+ */
+
+/**
+ * Barrel file names, in lookup order
+ */
+const BARREL_FILES = [
+  'index.ts',
+  'index.tsx',
+  'index.mts',
+  'index.js',
+  'index.jsx',
+  'index.mjs',
+];
+
+/**
+ * Find the barrel of a directory
+ * @param {string} directory - Directory path
+ * @returns {string | null} Barrel file path
+ */
+function findBarrel(directory) {
+  const file = BARREL_FILES.find((name) =>
+    existsSync(path.join(directory, name)),
+  );
+  return file ? path.join(directory, file) : null;
+}
+
+/**
+ * Get the extension the package's barrels use in relative export specifiers,
+ * from the first barrel with a relative re-export. Defaults to ".js", which
+ * every moduleResolution mode accepts.
+ * @param {string} sourcePath - Source directory path
+ * @param {string[]} directories - Directories to look in, nearest first
+ * @returns {string} ".js" or an empty string
+ */
+function getSpecifierExtension(sourcePath, directories) {
+  for (const directory of [...directories, sourcePath]) {
+    const barrel = findBarrel(directory);
+    if (!barrel) continue;
+
+    const specifier = readFileSync(barrel, 'utf-8').match(
+      /from\s+['"](\.{1,2}\/[^'"]+)['"]/,
+    )?.[1];
+    if (specifier) return /\.[cm]?js$/.test(specifier) ? '.js' : '';
+  }
+
+  return '.js';
+}
+
+/**
+ * Whether the package depends on React
+ * @param {Record<string, any>} pkg - package.json contents
+ * @returns {boolean} Whether react is a dependency of any kind
+ */
+function dependsOnReact(pkg) {
+  return ['dependencies', 'peerDependencies', 'devDependencies'].some(
+    (field) => pkg[field] && 'react' in pkg[field],
+  );
+}
+
+/**
+ * Re-export a folder from the barrel of its parent directory, then the
+ * parent from its own parent, until a barrel already has the line. Missing
+ * barrels are created, except for the source directory's index.
+ * @param {string} sourcePath - Source directory path
+ * @param {string} entryPath - Path of the new entry folder
+ * @param {string} extension - Import specifier extension
+ * @param {'ts' | 'js'} language - Language of created barrels
+ * @returns {string[]} Updated or created barrels
+ */
+function addBarrelExports(sourcePath, entryPath, extension, language) {
+  /** @type {string[]} */
+  const updated = [];
+  let child = entryPath;
+
+  while (child !== sourcePath) {
+    const parent = path.dirname(child);
+    const line = `export * from './${path.basename(child)}/index${extension}';`;
+    const barrel = findBarrel(parent);
+
+    if (!barrel) {
+      // A package without a main entry keeps its top-level folders separate
+      if (parent === sourcePath) break;
+
+      const created = path.join(parent, `index.${language}`);
+      fse.outputFileSync(created, `${line}\n`);
+      updated.push(created);
+      child = parent;
+      continue;
+    }
+
+    const contents = readFileSync(barrel, 'utf-8');
+    if (contents.split('\n').some((existing) => existing.trim() === line)) {
+      break;
+    }
+
+    const separator = contents === '' || contents.endsWith('\n') ? '' : '\n';
+    fse.outputFileSync(barrel, `${contents}${separator}${line}\n`);
+    updated.push(barrel);
+
+    // The parent was already reachable, so its own parents are up to date
+    break;
+  }
+
+  return updated;
+}
+
+/**
+ * Add-entry command implementation with comprehensive error handling
+ * @param {AddEntryOptions} options - Add-entry command options
+ * @returns {Promise<void>} Add-entry completion promise
+ */
+export async function addEntryCommand(options) {
+  const packagePath = path.resolve(options.path);
+  const { entry, barrel, verbose } = options;
+
+  console.log(chalk.blue(`➕ Adding entry ${entry} to: ${packagePath}`));
+
+  try {
+    await loadConfig(packagePath);
+
+    const pkg = readPackageJson(packagePath);
+    const sourcePath = getSourcePath(packagePath);
+    const sourceDir = getSourceDir(packagePath);
+    const entryPath = path.join(sourcePath, entry);
+
+    if (existsSync(entryPath)) {
+      throw new ConfigurationError(
+        `${path.join(sourceDir, entry)} already exists`,
+        ['Choose another entry path'],
+      );
+    }
+
+    const template =
+      options.template ?? (dependsOnReact(pkg) ? 'component' : 'module');
+    const language = existsSync(path.join(packagePath, 'tsconfig.json'))
+      ? 'ts'
+      : 'js';
+
+    if (ENTRY_TEMPLATES[template].typescript && language !== 'ts') {
+      throw new ConfigurationError(
+        `The ${template} template needs a TypeScript package`,
+        [
+          'Add a tsconfig.json to the package',
+          'Use --template module for JavaScript packages',
+        ],
+      );
+    }
+
+    // Directories between the source directory and the entry, nearest first
+    /** @type {string[]} */
+    const ancestors = [];
+    for (
+      let directory = path.dirname(entryPath);
+      directory !== sourcePath;
+      directory = path.dirname(directory)
+    ) {
+      ancestors.push(directory);
+    }
+
+    const extension = getSpecifierExtension(
+      sourcePath,
+      ancestors.filter((directory) => existsSync(directory)),
+    );
+    const files = ENTRY_TEMPLATES[template].render(
+      getEntryNames(path.basename(entryPath), extension),
+      language,
+    );
+
+    for (const [file, content] of Object.entries(files)) {
+      fse.outputFileSync(path.join(entryPath, file), content);
+      if (verbose) {
+        console.log(
+          chalk.gray(`   Created: ${path.join(sourceDir, entry, file)}`),
+        );
+      }
+    }
+
+    const barrels = barrel
+      ? addBarrelExports(sourcePath, entryPath, extension, language)
+      : [];
+    for (const barrelFile of barrels) {
+      console.log(
+        chalk.gray(
+          `   Re-exported from: ${path.relative(packagePath, barrelFile)}`,
+        ),
+      );
+    }
+
+    console.log(
+      chalk.green(
+        `✅ Created ${path.join(sourceDir, entry)} from the ${template} template (${Object.keys(files).length} files)`,
+      ),
+    );
+
+    // Generate the development exports with the new entry
+    writePackageJson(packagePath);
+
+    if (isExportsMode(packagePath)) {
+      console.warn(
+        chalk.yellow(
+          '⚠️  The package uses the "exports" entry mode; add the new subpath to the exports map of package.json',
+        ),
+      );
+      return;
+    }
+
+    // Nested folders are exported through the subpath of their top-level folder
+    const exportsMap = readPackageJson(packagePath).exports ?? {};
+    const subpath = [
+      entry,
+      ...ancestors.map((directory) => path.relative(sourcePath, directory)),
+    ]
+      .map((name) => `./${name.split(path.sep).join('/')}`)
+      .find((candidate) => candidate in exportsMap);
+
+    if (subpath) {
+      console.log(
+        chalk.green(`✅ Exported as ${pkg.name ?? ''}${subpath.slice(1)}`),
+      );
+    } else {
+      console.warn(
+        chalk.yellow(
+          `⚠️  ${path.join(sourceDir, entry)} is not exported; check the "entries" and "exclude" globs in your libsync config`,
+        ),
+      );
+    }
+  } catch (error) {
+    if (error instanceof ConfigurationError) {
+      console.error(chalk.red('\n❌ Configuration Error:'));
+      console.error(chalk.red(`   ${error.message}`));
+
+      if (error.suggestions.length > 0) {
+        console.error(chalk.yellow('\n💡 Suggestions to fix this:'));
+        error.suggestions.forEach((suggestion) => {
+          console.error(chalk.yellow(`   • ${suggestion}`));
+        });
+      }
+    } else if (error instanceof PackageError) {
+      console.error(chalk.red('\n❌ Package Error:'));
+      console.error(chalk.red(`   ${error.message}`));
+      if (error.packagePath) {
+        console.error(chalk.gray(`   Package: ${error.packagePath}`));
+      }
+    } else {
+      console.error(chalk.red('\n❌ Unexpected error during add-entry:'));
+      console.error(
+        chalk.red(
+          `   ${error instanceof Error ? error.message : String(error)}`,
+        ),
+      );
+    }
+
+    throw error; // Re-throw for proper CLI error handling
+  }
+}
@@ -0,0 +1,216 @@
+/**
+ * @fileoverview API command implementation
+ * Writes a public API report per entry and detects breaking changes against
+ * the committed reports
+ */
+
+import { existsSync, readdirSync } from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import fse from 'fs-extra';
+import { glob } from 'glob';
+import {
+  diffApiReports,
+  extractApiReports,
+  getApiReportPath,
+  isBreakingApiDiff,
+  readApiReport,
+  renderApiReport,
+} from '../utils/api.js';
+import { loadConfig } from '../utils/config.js';
+import { PackageError, ConfigurationError } from '../utils/package.js';
+
+/**
+ * API options type definition
+ * @typedef {Object} ApiOptions
+ * @property {string} path - Package path
+ * @property {boolean} check - Fail when the reports differ instead of updating them
+ * @property {string} dir - Report directory, relative to the package
+ * @property {boolean} verbose - Enable verbose logging
+ */
+
+/**
+ * API command implementation with comprehensive error handling
+ * @param {ApiOptions} options - API command options
+ * @returns {Promise<void>} Completion promise
+ */
+export async function apiCommand(options) {
+  const { path: packagePath, check, dir, verbose } = options;
+  const reportDir = path.join(packagePath, dir);
+
+  console.log(
+    chalk.blue(
+      `📋 ${check ? 'Checking' : 'Updating'} API reports at: ${packagePath}`,
+    ),
+  );
+
+  try {
+    await loadConfig(packagePath);
+
+    const reports = extractApiReports(packagePath);
+    const names = new Set(reports.map(({ name }) => name));
+
+    // Reports of entries that are no longer public
+    const staleNames = existsSync(reportDir)
+      ? glob
+          .sync('**/*.api.md', { cwd: reportDir, posix: true })
+          .map((file) => file.replace(/\.api\.md$/, ''))
+          .filter((name) => !names.has(name))
+      : [];
+
+    const results = [
+      ...reports.map((report) => {
+        const content = renderApiReport(report);
+        const previous = readApiReport(reportDir, report.name);
+        return {
+          name: report.name,
+          content,
+          previous,
+          diff: diffApiReports(previous, content),
+        };
+      }),
+      ...staleNames.map((name) => {
+        const previous = readApiReport(reportDir, name);
+        return {
+          name,
+          content: null,
+          previous,
+          diff: diffApiReports(previous, null),
+        };
+      }),
+    ];
+
+    const outdated = results.filter(
+      ({ content, previous }) => content !== previous,
+    );
+
+    for (const { name, previous, diff } of outdated) {
+      printApiDiff(name, previous === null, diff, verbose);
+    }
+
+    const breaking = outdated.filter(({ diff }) => isBreakingApiDiff(diff));
+
+    if (check) {
+      if (outdated.length > 0) {
+        throw new PackageError(
+          `API reports are out of date for ${outdated.length} ${outdated.length === 1 ? 'entry' : 'entries'} (${breaking.length} with breaking changes). Run "libsync api" and commit ${dir}/`,
+          packagePath,
+        );
+      }
+
+      console.log(
+        chalk.green(`✅ API reports match (${reports.length} entries)`),
+      );
+      return;
+    }
+
+    for (const { name, content } of outdated) {
+      const reportPath = getApiReportPath(reportDir, name);
+
+      if (content === null) {
+        fse.removeSync(reportPath);
+      } else {
+        fse.outputFileSync(reportPath, content);
+      }
+
+      if (verbose) {
+        console.log(
+          chalk.gray(
+            `   ${content === null ? 'Removed' : 'Wrote'}: ${path.relative(packagePath, reportPath)}`,
+          ),
+        );
+      }
+    }
+
+    removeEmptyReportDirs(reportDir);
+
+    console.log(
+      chalk.green(
+        outdated.length > 0
+          ? `✅ Updated ${outdated.length} of ${results.length} API reports`
+          : `✅ API reports are up to date (${reports.length} entries)`,
+      ),
+    );
+  } catch (error) {
+    if (error instanceof ConfigurationError) {
+      console.error(chalk.red('\n❌ Configuration Error:'));
+      console.error(chalk.red(`   ${error.message}`));
+
+      if (error.suggestions.length > 0) {
+        console.error(chalk.yellow('\n💡 Suggestions to fix this:'));
+        error.suggestions.forEach((suggestion) => {
+          console.error(chalk.yellow(`   • ${suggestion}`));
+        });
+      }
+    } else if (error instanceof PackageError) {
+      console.error(chalk.red('\n❌ Package Error:'));
+      console.error(chalk.red(`   ${error.message}`));
+      if (error.packagePath) {
+        console.error(chalk.gray(`   Package: ${error.packagePath}`));
+      }
+    } else {
+      console.error(chalk.red('\n❌ Unexpected error during API report:'));
+      console.error(
+        chalk.red(
+          `   ${error instanceof Error ? error.message : String(error)}`,
+        ),
+      );
+    }
+
+    throw error; // Re-throw for proper CLI error handling
+  }
+}
+
+/**
+ * Print the classified changes of one entry
+ * @param {string} name - Report name
+ * @param {boolean} isNew - Whether the entry has no committed report yet
+ * @param {import('../utils/api.js').ApiDiff} diff - API diff
+ * @param {boolean} verbose - Enable verbose logging
+ */
+function printApiDiff(name, isNew, diff, verbose) {
+  const breaking = isBreakingApiDiff(diff);
+  const label = breaking
+    ? chalk.red('breaking')
+    : isNew
+      ? chalk.green('new entry')
+      : chalk.green('additive');
+
+  console.log(`\n   ${chalk.bold(name)} (${label})`);
+
+  for (const key of diff.removed) {
+    console.log(chalk.red(`     - ${key}`));
+  }
+  for (const key of diff.changed) {
+    console.log(chalk.yellow(`     ~ ${key}`));
+  }
+  if (!isNew || verbose) {
+    for (const key of diff.added) {
+      console.log(chalk.green(`     + ${key}`));
+    }
+  }
+  if (
+    diff.removed.length + diff.changed.length + diff.added.length === 0 &&
+    !isNew
+  ) {
+    console.log(chalk.gray('     (formatting only)'));
+  }
+}
+
+/**
+ * Remove report directories left empty by removed entries
+ * @param {string} reportDir - Report directory path
+ */
+function removeEmptyReportDirs(reportDir) {
+  if (!existsSync(reportDir)) return;
+
+  for (const entry of readdirSync(reportDir, { withFileTypes: true })) {
+    if (entry.isDirectory()) {
+      removeEmptyReportDirs(path.join(reportDir, entry.name));
+    }
+  }
+
+  if (readdirSync(reportDir).length === 0) {
+    fse.removeSync(reportDir);
+  }
+}
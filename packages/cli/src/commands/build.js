@@ -4,16 +4,47 @@
  */
 
 import path from 'path';
+import { availableParallelism } from 'os';
 import spawn from 'cross-spawn';
 import fse from 'fs-extra';
 import { build } from 'tsup';
 import { mkdir, rm } from 'fs/promises';
 import chalk from 'chalk';
+import { glob } from 'glob';
+import {
+  buildStylesheets,
+  copyAssets,
+  cssModulesPlugin,
+} from '../utils/assets.js';
+import {
+  getBuildCacheKey,
+  restoreBuildCache,
+  saveBuildCache,
+} from '../utils/cache.js';
+import { getConfig, loadConfig } from '../utils/config.js';
+import {
+  analyzeSideEffects,
+  chunkInputsPlugin,
+  findUnmarkedSideEffects,
+} from '../utils/side-effects.js';
+import {
+  checkSizeBudgets,
+  formatSize,
+  measureBundleSizes,
+  writeSizeReport,
+} from '../utils/size.js';
+import {
+  checkTailwindPresets,
+  writeTailwindContent,
+} from '../utils/tailwind.js';
 import {
   cleanBuild,
+  getSourceDir,
   getPackageBuilds,
-  getPublicFiles,
-  getAllBuildFiles,
+  getBuildEntries,
+  getBuildOutputDirs,
+  getConditionBuilds,
+  getDeclarationEntries,
   getSourcePath,
   isBinaryPackage,
   hasTypesField,
@@ -23,12 +54,33 @@ import {
   PackageError,
   ConfigurationError,
 } from '../utils/package.js';
+import {
+  findWorkspaceRoot,
+  getDependencyGraph,
+  getWorkspacePackages,
+  restrictDependencyGraph,
+  runInDependencyOrder,
+  selectWorkspacePackages,
+} from '../utils/workspace.js';
 
 /**
  * Build options type definition
  * @typedef {Object} BuildOptions
  * @property {string} path - Package path to build
  * @property {boolean} watch - Watch for file changes and rebuild
+ * @property {boolean} [cache] - Reuse cached output when sources are unchanged
+ * @property {boolean} verbose - Enable verbose logging
+ */
+
+/**
+ * Workspace build options type definition
+ * @typedef {Object} WorkspaceBuildOptions
+ * @property {string} path - Path inside the workspace
+ * @property {boolean} all - Build every package of the workspace
+ * @property {string[]} workspaces - Workspace globs or package names to build
+ * @property {number} [concurrency] - Maximum number of packages built in parallel
+ * @property {boolean} skipValidation - Skip project structure validation
+ * @property {boolean} cache - Reuse cached output when sources are unchanged
  * @property {boolean} verbose - Enable verbose logging
  */
 
@@ -38,7 +90,12 @@ import {
  * @returns {Promise<void>} Build completion promise
  */
 export async function buildCommand(options) {
-  const { path: packagePath, watch: watchMode, verbose } = options;
+  const {
+    path: packagePath,
+    watch: watchMode,
+    cache: useCache = true,
+    verbose,
+  } = options;
 
   console.log(chalk.blue(`🔨 Building package at: ${packagePath}`));
   if (watchMode) {
@@ -54,6 +111,8 @@ export async function buildCommand(options) {
   });
 
   try {
+    await loadConfig(packagePath);
+
     // Step 1: Clean existing build artifacts
     console.log(chalk.gray('📝 Step 1: Cleaning build artifacts...'));
     cleanBuild(packagePath);
@@ -61,7 +120,7 @@ export async function buildCommand(options) {
     // Step 2: Validate and get source configuration
     console.log(chalk.gray('📝 Step 2: Analyzing project structure...'));
     const sourcePath = getSourcePath(packagePath);
-    const entry = getAllBuildFiles(sourcePath);
+    const entry = getBuildEntries(packagePath);
     const builds = getPackageBuilds(packagePath);
 
     if (verbose) {
@@ -74,71 +133,41 @@ export async function buildCommand(options) {
       );
     }
 
-    // Step 3: Create build directories
-    console.log(chalk.gray('📝 Step 3: Creating build directories...'));
-    const buildDirs = Object.values(builds).filter(Boolean);
+    // Steps 3-6: Restore unchanged output from the cache, or compile it
+    const outputDirs = getBuildOutputDirs(packagePath);
+    const cacheKey =
+      useCache && !watchMode ? getBuildCacheKey(packagePath, outputDirs) : null;
 
-    await Promise.all(
-      buildDirs.map(async (buildDir) => {
-        const fullPath = path.join(packagePath, buildDir);
-        await mkdir(fullPath, { recursive: true });
-        if (verbose) {
-          console.log(chalk.gray(`   Created: ${buildDir}/`));
-        }
-      }),
-    );
-
-    // Step 4: TypeScript compilation for packages with types field
-    if (hasTypesField(packagePath)) {
-      console.log(chalk.gray('📝 Step 4: Running TypeScript compilation...'));
-      await runTypeScriptCompilation(packagePath, builds, verbose);
-    } else {
-      const reason = isBinaryPackage(packagePath)
-        ? 'binary package'
-        : 'no types field in package.json';
+    if (cacheKey && restoreBuildCache(packagePath, cacheKey, outputDirs)) {
       console.log(
-        chalk.gray(`📝 Step 4: Skipping TypeScript compilation (${reason})`),
+        chalk.green('♻️  Sources unchanged - restored build output from cache'),
       );
-    }
+      if (verbose) {
+        console.log(chalk.gray(`   Cache key: ${cacheKey}`));
+      }
+    } else {
+      await compilePackage(packagePath, entry, builds, watchMode, verbose);
 
-    // Step 5: Load and apply tsup configuration
-    console.log(chalk.gray('📝 Step 5: Loading build configuration...'));
-    const tsupConfigOverrides = await loadTsupConfiguration(
-      packagePath,
-      builds,
-      verbose,
-    );
+      if (cacheKey) {
+        saveBuildCache(packagePath, cacheKey, outputDirs);
+      }
+    }
 
-    // Step 6: Run tsup builds for each format
-    console.log(chalk.gray('📝 Step 6: Building with tsup...'));
-    for (const [format, outDir] of Object.entries(builds)) {
-      console.log(chalk.blue(`   Building ${format} format...`));
-
-      try {
-        await build({
-          ...tsupConfigOverrides[format],
-          entry,
-          format: /** @type {import('tsup').Format} */ (format),
-          outDir: path.join(packagePath, outDir),
-          splitting: true,
-          watch: watchMode,
-          esbuildOptions(options) {
-            options.chunkNames = '__chunks/[hash]';
-          },
-        });
+    // Report entry sizes and enforce the configured budgets
+    if (!watchMode) {
+      reportBundleSizes(packagePath, verbose);
+    }
 
-        console.log(chalk.green(`   ✅ ${format} build completed`));
-      } catch (error) {
-        throw new PackageError(
-          `Failed to build ${format} format: ${error instanceof Error ? error.message : String(error)}`,
-        );
-      }
+    // Tailwind preset packages must load and resolve from every build
+    if (!watchMode && getConfig(packagePath).tailwind.preset) {
+      await reportTailwindPresets(packagePath, verbose);
     }
 
     // Step 7: Generate .gitignore and proxies (but keep package.json in dev mode)
     console.log(chalk.gray('📝 Step 7: Generating package metadata...'));
     makeGitignore(packagePath);
     makeProxies(packagePath);
+    reportSideEffects(packagePath, verbose);
 
     // Step 8: Final step - Update package.json to production mode (only if everything succeeded)
     console.log(
@@ -205,6 +234,502 @@ export async function buildCommand(options) {
   }
 }
 
+/**
+ * Compile a package with tsc and tsup (steps 3-6 of the build)
+ * @param {string} packagePath - Package path
+ * @param {Record<string, string>} entry - Build entries
+ * @param {Record<string, string>} builds - Build formats and output directories
+ * @param {boolean} watchMode - Keep tsup watching after the initial build
+ * @param {boolean} verbose - Enable verbose logging
+ * @returns {Promise<void>} Compilation promise
+ */
+async function compilePackage(packagePath, entry, builds, watchMode, verbose) {
+  // Step 3: Create build directories
+  console.log(chalk.gray('📝 Step 3: Creating build directories...'));
+  const buildDirs = Object.values(builds).filter(Boolean);
+
+  await Promise.all(
+    buildDirs.map(async (buildDir) => {
+      const fullPath = path.join(packagePath, buildDir);
+      await mkdir(fullPath, { recursive: true });
+      if (verbose) {
+        console.log(chalk.gray(`   Created: ${buildDir}/`));
+      }
+    }),
+  );
+
+  // Step 4: TypeScript compilation for packages with types field
+  if (hasTypesField(packagePath)) {
+    if (getConfig(packagePath).declarations === 'bundle') {
+      console.log(chalk.gray('📝 Step 4: Bundling TypeScript declarations...'));
+      await bundleDeclarations(packagePath, builds, verbose);
+    } else {
+      console.log(chalk.gray('📝 Step 4: Running TypeScript compilation...'));
+      await runTypeScriptCompilation(packagePath, builds, verbose);
+    }
+  } else {
+    const reason = isBinaryPackage(packagePath)
+      ? 'binary package'
+      : 'no types field in package.json';
+    console.log(
+      chalk.gray(`📝 Step 4: Skipping TypeScript compilation (${reason})`),
+    );
+  }
+
+  // Step 5: Load and apply tsup configuration
+  console.log(chalk.gray('📝 Step 5: Loading build configuration...'));
+  const conditionBuilds = getConditionBuilds(packagePath);
+  // Condition builds may use a format the package itself does not build
+  const tsupConfigOverrides = await loadTsupConfiguration(
+    packagePath,
+    {
+      ...Object.fromEntries(
+        conditionBuilds.map(({ format, outDir }) => [format, outDir]),
+      ),
+      ...builds,
+    },
+    verbose,
+  );
+
+  // Step 6: Run tsup builds for each format
+  console.log(chalk.gray('📝 Step 6: Building with tsup...'));
+  for (const [format, outDir] of Object.entries(builds)) {
+    console.log(chalk.blue(`   Building ${format} format...`));
+
+    try {
+      await build({
+        ...tsupConfigOverrides[format],
+        entry,
+        format: /** @type {import('tsup').Format} */ (format),
+        outDir: path.join(packagePath, outDir),
+        esbuildPlugins: [
+          cssModulesPlugin(),
+          chunkInputsPlugin(packagePath, outDir),
+          ...(tsupConfigOverrides[format]?.esbuildPlugins ?? []),
+        ],
+        splitting: true,
+        watch: watchMode,
+        esbuildOptions(options) {
+          options.chunkNames = '__chunks/[hash]';
+        },
+      });
+
+      console.log(chalk.green(`   ✅ ${format} build completed`));
+    } catch (error) {
+      throw new PackageError(
+        `Failed to build ${format} format: ${error instanceof Error ? error.message : String(error)}`,
+      );
+    }
+  }
+
+  // Custom export conditions get their own builds
+  for (const { name, outDir, format, platform, define } of conditionBuilds) {
+    console.log(chalk.blue(`   Building ${name} condition (${format})...`));
+    const override = tsupConfigOverrides[format];
+
+    try {
+      await build({
+        ...override,
+        entry,
+        format,
+        outDir: path.join(packagePath, outDir),
+        ...(platform ? { platform } : {}),
+        define: { ...override?.define, ...define },
+        esbuildPlugins: [
+          cssModulesPlugin(),
+          chunkInputsPlugin(packagePath, outDir),
+          ...(override?.esbuildPlugins ?? []),
+        ],
+        splitting: true,
+        watch: watchMode,
+        esbuildOptions(options) {
+          options.chunkNames = '__chunks/[hash]';
+        },
+      });
+
+      console.log(chalk.green(`   ✅ ${name} build completed`));
+    } catch (error) {
+      throw new PackageError(
+        `Failed to build ${name} condition: ${error instanceof Error ? error.message : String(error)}`,
+      );
+    }
+  }
+
+  // Stylesheet entries and static assets
+  const stylesheets = await buildStylesheets(packagePath, verbose);
+  for (const stylesheet of stylesheets) {
+    console.log(chalk.green(`   ✅ ${stylesheet} compiled`));
+  }
+
+  const assetCount = copyAssets(packagePath, [
+    ...buildDirs,
+    ...conditionBuilds.map(({ outDir }) => outDir),
+  ]);
+  if (assetCount > 0) {
+    console.log(
+      chalk.green(
+        `   ✅ Copied ${assetCount} static ${assetCount === 1 ? 'asset' : 'assets'}`,
+      ),
+    );
+  }
+
+  if (writeTailwindContent(packagePath).length > 0) {
+    console.log(chalk.green('   ✅ Tailwind content helper generated'));
+  }
+}
+
+/**
+ * Print the modules with top-level side effects and warn about entries the
+ * configured "sideEffects" field marks as side-effect-free although they are not
+ * @param {string} packagePath - Package path
+ * @param {boolean} verbose - Enable verbose logging
+ */
+function reportSideEffects(packagePath, verbose) {
+  const analysis = analyzeSideEffects(packagePath);
+
+  if (!analysis) {
+    if (verbose) {
+      console.log(
+        chalk.gray('   Skipping side-effects analysis (typescript not found)'),
+      );
+    }
+    return;
+  }
+
+  if (verbose) {
+    for (const [file, reasons] of analysis.modules) {
+      console.log(
+        chalk.gray(`   Side effects in ${file}: ${reasons.join(', ')}`),
+      );
+    }
+  }
+
+  for (const { name, modules } of findUnmarkedSideEffects(
+    packagePath,
+    analysis,
+  )) {
+    console.warn(
+      chalk.yellow(
+        `⚠️  Entry "${name}" is marked side-effect-free, but imports modules with side effects: ${modules.join(', ')}`,
+      ),
+    );
+    for (const module of modules) {
+      console.warn(
+        chalk.yellow(
+          `   ${module}: ${analysis.modules.get(module)?.join(', ')}`,
+        ),
+      );
+    }
+    console.warn(
+      chalk.yellow(
+        '   💡 Add the entry to "sideEffects" in the libsync config, or set it to "auto"',
+      ),
+    );
+  }
+}
+
+/**
+ * Check the presets of a Tailwind preset package and fail when one does not
+ * load or resolve
+ * @param {string} packagePath - Package path
+ * @param {boolean} verbose - Enable verbose logging
+ */
+async function reportTailwindPresets(packagePath, verbose) {
+  const issues = await checkTailwindPresets(packagePath);
+  const errors = issues.filter(({ severity }) => severity === 'error');
+
+  for (const { severity, name, build, message } of issues) {
+    const color = severity === 'error' ? chalk.red : chalk.yellow;
+    console.warn(
+      color(
+        `${severity === 'error' ? '❌' : '⚠️ '} Tailwind preset "${name}" (${build}): ${message}`,
+      ),
+    );
+  }
+
+  if (issues.some(({ message }) => message.startsWith('Sets content'))) {
+    console.warn(
+      chalk.yellow(
+        '   💡 Remove "content" from the preset; component packages can publish their paths with "tailwind.content"',
+      ),
+    );
+  }
+
+  if (errors.length > 0) {
+    throw new PackageError(
+      `Tailwind preset check found ${errors.length} ${errors.length === 1 ? 'error' : 'errors'}`,
+      packagePath,
+    );
+  }
+
+  if (verbose && issues.length === 0) {
+    console.log(chalk.gray('   Tailwind presets resolve from every build'));
+  }
+}
+
+/**
+ * Print the size of every public entry per build, write the JSON size report
+ * and fail when an entry exceeds its budget
+ * @param {string} packagePath - Package path
+ * @param {boolean} verbose - Enable verbose logging
+ */
+function reportBundleSizes(packagePath, verbose) {
+  const sizes = measureBundleSizes(packagePath);
+  if (sizes.length === 0) return;
+
+  const violations = checkSizeBudgets(packagePath, sizes);
+  const rows = [
+    ['Entry', 'Build', 'Raw', 'Gzip', 'Brotli'],
+    ...sizes.map(({ name, build, raw, gzip, brotli }) => [
+      name,
+      build,
+      formatSize(raw),
+      formatSize(gzip),
+      formatSize(brotli),
+    ]),
+  ];
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map((row) => row[column].length)),
+  );
+
+  console.log(chalk.gray('📏 Bundle sizes:'));
+  rows.forEach((row, index) => {
+    const line = row
+      .map((cell, column) =>
+        column < 2
+          ? cell.padEnd(widths[column])
+          : cell.padStart(widths[column]),
+      )
+      .join('  ');
+    const size = sizes[index - 1];
+    const overBudget =
+      size &&
+      violations.some(
+        ({ name, build }) => name === size.name && build === size.build,
+      );
+
+    console.log(
+      index === 0
+        ? chalk.gray(`   ${line}`)
+        : overBudget
+          ? chalk.red(`   ${line}`)
+          : `   ${line}`,
+    );
+  });
+
+  const reportPath = writeSizeReport(packagePath, sizes);
+  if (verbose) {
+    console.log(
+      chalk.gray(`   Size report: ${path.relative(packagePath, reportPath)}`),
+    );
+  }
+
+  if (violations.length > 0) {
+    for (const { name, build, metric, size, limit } of violations) {
+      console.error(
+        chalk.red(
+          `   ❌ ${name} (${build}): ${metric} size ${formatSize(size)} exceeds the budget of ${formatSize(limit)}`,
+        ),
+      );
+    }
+
+    throw new PackageError(
+      `${violations.length} size ${violations.length === 1 ? 'budget' : 'budgets'} exceeded`,
+      packagePath,
+    );
+  }
+}
+
+/**
+ * Build workspace packages in dependency order. Each package is built by a
+ * separate CLI process so independent packages build in parallel without
+ * interleaving their output.
+ * @param {WorkspaceBuildOptions} options - Workspace build options
+ * @returns {Promise<void>} Build completion promise
+ */
+export async function buildWorkspaceCommand(options) {
+  const {
+    path: startPath,
+    all,
+    workspaces,
+    skipValidation,
+    cache,
+    verbose,
+  } = options;
+  const concurrency = options.concurrency ?? availableParallelism();
+
+  const rootPath = findWorkspaceRoot(startPath);
+  if (!rootPath) {
+    throw new ConfigurationError(`No workspace found from ${startPath}`, [
+      'Run the command inside a monorepo with pnpm-workspace.yaml or a "workspaces" field',
+      'Use --path to point at a directory inside the workspace',
+    ]);
+  }
+
+  console.log(chalk.blue(`🔨 Building workspace at: ${rootPath}`));
+
+  const packages = getWorkspacePackages(rootPath);
+  const selected = all
+    ? packages
+    : selectWorkspacePackages(rootPath, packages, workspaces);
+
+  // Only packages with a source directory have something to build
+  /** @type {typeof packages} */
+  const buildable = [];
+  for (const workspacePackage of selected) {
+    await loadConfig(workspacePackage.path);
+    const sourceDir = getSourceDir(workspacePackage.path);
+
+    if (fse.existsSync(path.join(workspacePackage.path, sourceDir))) {
+      buildable.push(workspacePackage);
+    } else if (verbose) {
+      console.log(
+        chalk.gray(
+          `   Skipping ${workspacePackage.name} (no ${sourceDir}/ directory)`,
+        ),
+      );
+    }
+  }
+
+  if (buildable.length === 0) {
+    throw new ConfigurationError('No workspace packages to build', [
+      'Check that the workspace globs match package directories or names',
+      'Packages need a source directory to be built',
+    ]);
+  }
+
+  const graph = restrictDependencyGraph(
+    getDependencyGraph(packages),
+    buildable.map(({ name }) => name),
+  );
+  const packagesByName = new Map(buildable.map((pkg) => [pkg.name, pkg]));
+
+  console.log(
+    chalk.gray(
+      `   ${buildable.length} package(s), up to ${concurrency} in parallel\n`,
+    ),
+  );
+
+  const results = await runInDependencyOrder(graph, concurrency, (name) => {
+    const workspacePackage =
+      /** @type {import('../utils/workspace.js').WorkspacePackage} */ (
+        packagesByName.get(name)
+      );
+    return runPackageBuild(workspacePackage, {
+      skipValidation,
+      cache,
+      verbose,
+    });
+  });
+
+  printBuildSummary(results);
+
+  const failed = results.filter(({ status }) => status !== 'success');
+  if (failed.length > 0) {
+    throw new PackageError(
+      `${failed.length} of ${results.length} workspace packages did not build`,
+    );
+  }
+}
+
+/**
+ * Build a single workspace package in a child CLI process
+ * @param {import('../utils/workspace.js').WorkspacePackage} workspacePackage - Package to build
+ * @param {{ skipValidation: boolean, cache: boolean, verbose: boolean }} options - Options forwarded to the build
+ * @returns {Promise<void>} Resolves when the build succeeds
+ */
+function runPackageBuild(workspacePackage, { skipValidation, cache, verbose }) {
+  const cliEntry = /** @type {string} */ (process.argv[1]);
+  const args = [
+    cliEntry,
+    ...(verbose ? ['--verbose'] : []),
+    'build',
+    '--path',
+    workspacePackage.path,
+    ...(skipValidation ? ['--skip-validation'] : []),
+    ...(cache ? [] : ['--no-cache']),
+  ];
+
+  console.log(chalk.blue(`   ▶ ${workspacePackage.name}`));
+
+  return new Promise((resolve, reject) => {
+    const buildProcess = spawn(process.execPath, args, {
+      cwd: workspacePackage.path,
+      env: {
+        ...process.env,
+        FORCE_COLOR: chalk.supportsColor ? '1' : '0',
+      },
+    });
+
+    /** @type {Buffer[]} */
+    const output = [];
+    buildProcess.stdout?.on('data', (chunk) => output.push(chunk));
+    buildProcess.stderr?.on('data', (chunk) => output.push(chunk));
+
+    buildProcess.on('error', reject);
+    buildProcess.on('close', (code) => {
+      const log = Buffer.concat(output).toString().trimEnd();
+
+      if (code === 0) {
+        console.log(chalk.green(`   ✅ ${workspacePackage.name}`));
+        if (verbose && log) {
+          console.log(indent(log));
+        }
+        resolve();
+      } else {
+        console.error(chalk.red(`   ❌ ${workspacePackage.name}`));
+        if (log) {
+          console.error(indent(log));
+        }
+        reject(new Error(`Build exited with code ${code}`));
+      }
+    });
+  });
+}
+
+/**
+ * Indent every line of a block of text
+ * @param {string} text - Text to indent
+ * @returns {string} Indented text
+ */
+function indent(text) {
+  return text
+    .split('\n')
+    .map((line) => `      ${line}`)
+    .join('\n');
+}
+
+/**
+ * Print a summary table of workspace build results
+ * @param {import('../utils/workspace.js').TaskResult[]} results - Build results
+ */
+function printBuildSummary(results) {
+  const statusLabels = {
+    success: chalk.green('✅ built'),
+    failed: chalk.red('❌ failed'),
+    skipped: chalk.yellow('⏭️  skipped'),
+  };
+  const nameWidth = Math.max(
+    'Package'.length,
+    ...results.map(({ name }) => name.length),
+  );
+
+  console.log(chalk.cyan('\n📋 Build summary:'));
+  console.log(chalk.gray(`   ${'Package'.padEnd(nameWidth)}  Time     Status`));
+
+  for (const { name, status, duration, reason } of results) {
+    const time =
+      status === 'skipped' ? '-' : `${(duration / 1000).toFixed(1)}s`;
+    const details = reason ? chalk.gray(` (${reason})`) : '';
+    console.log(
+      `   ${name.padEnd(nameWidth)}  ${time.padEnd(7)}  ${statusLabels[status]}${details}`,
+    );
+  }
+
+  const succeeded = results.filter(({ status }) => status === 'success').length;
+  console.log(chalk.gray(`\n   ${succeeded}/${results.length} packages built`));
+}
+
 /**
  * Run TypeScript compilation step
  * @param {string} packagePath - Package path
@@ -287,17 +812,23 @@ async function runTypeScriptCompilation(packagePath, builds, verbose) {
 
     console.log(chalk.green(`   ✅ TypeScript compilation completed`));
 
-    // Copy ESM to CJS if both formats are needed
-    if (builds.esm && builds.cjs && builds.esm !== builds.cjs) {
-      const esmPath = path.join(packagePath, builds.esm);
-      const cjsPath = path.join(packagePath, builds.cjs);
-
+    // CJS output gets its own .d.cts declarations, which TypeScript reads as CommonJS
+    if (builds.cjs) {
       if (verbose) {
-        console.log(chalk.gray(`   Copying ${builds.esm} → ${builds.cjs}`));
+        console.log(
+          chalk.gray(
+            `   Writing .d.cts declarations: ${outDir} → ${builds.cjs}`,
+          ),
+        );
       }
 
-      fse.copySync(esmPath, cjsPath);
-      console.log(chalk.green(`   ✅ Copied type definitions to CJS output`));
+      const count = writeCommonJSDeclarations(
+        path.join(packagePath, outDir),
+        path.join(packagePath, builds.cjs),
+      );
+      console.log(
+        chalk.green(`   ✅ Wrote ${count} CJS type definitions (.d.cts)`),
+      );
     }
   } catch (error) {
     if (error instanceof ConfigurationError || error instanceof PackageError) {
@@ -310,6 +841,134 @@ async function runTypeScriptCompilation(packagePath, builds, verbose) {
   }
 }
 
+/**
+ * Bundle one self-contained declaration file per public entry. Entries are
+ * bundled one at a time so they never share declaration chunks.
+ * @param {string} packagePath - Package path
+ * @param {Record<string, string>} builds - Build configurations
+ * @param {boolean} verbose - Enable verbose logging
+ * @returns {Promise<void>} Bundling promise
+ */
+async function bundleDeclarations(packagePath, builds, verbose) {
+  const buildTSConfigPath = path.join(packagePath, 'tsconfig.build.json');
+
+  if (!fse.existsSync(buildTSConfigPath)) {
+    console.log(
+      chalk.yellow(
+        '   ⚠️  tsconfig.build.json not found, skipping declaration bundling',
+      ),
+    );
+    return;
+  }
+
+  const outDir = builds.esm || builds.cjs;
+  const entries = Object.entries(getDeclarationEntries(packagePath));
+
+  for (const [name, file] of entries) {
+    if (verbose) {
+      console.log(chalk.gray(`   Bundling declarations: ${name}`));
+    }
+
+    try {
+      await build({
+        entry: { [name]: file },
+        format: 'esm',
+        outDir: path.join(packagePath, outDir),
+        tsconfig: buildTSConfigPath,
+        dts: { only: true },
+        silent: !verbose,
+      });
+    } catch (error) {
+      throw new PackageError(
+        `Failed to bundle declarations for ${name}: ${error instanceof Error ? error.message : String(error)}`,
+      );
+    }
+  }
+
+  // tsup names ESM declarations .d.mts outside "type": "module" packages,
+  // while exports point at .d.ts like the declarations tsc emits
+  for (const [name] of entries) {
+    const bundlePath = path.join(packagePath, outDir, `${name}.d.mts`);
+    if (fse.existsSync(bundlePath)) {
+      await fse.move(bundlePath, bundlePath.replace(/\.d\.mts$/, '.d.ts'), {
+        overwrite: true,
+      });
+    }
+  }
+
+  console.log(
+    chalk.green(
+      `   ✅ Bundled declarations for ${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}`,
+    ),
+  );
+
+  // Bundles have no relative imports, so the CJS copies only change extension
+  if (builds.cjs) {
+    writeCommonJSDeclarations(
+      path.join(packagePath, outDir),
+      path.join(packagePath, builds.cjs),
+    );
+  }
+}
+
+/**
+ * Write the .d.ts declarations of a directory as .d.cts files, rewriting
+ * relative specifiers so they resolve to the other .d.cts files. When both
+ * directories are the same, the .d.ts files are replaced.
+ * @param {string} sourcePath - Directory containing the emitted .d.ts files
+ * @param {string} targetPath - CJS output directory
+ * @returns {number} Number of declaration files written
+ */
+function writeCommonJSDeclarations(sourcePath, targetPath) {
+  const declarations = glob.sync('**/*.d.ts', {
+    cwd: sourcePath,
+    nodir: true,
+    posix: true,
+  });
+
+  for (const file of declarations) {
+    const fileDir = path.dirname(path.join(sourcePath, file));
+
+    /**
+     * Point a relative specifier at the .cjs twin of the module it resolves to
+     * @param {string} specifier - Module specifier
+     * @returns {string} Rewritten specifier
+     */
+    const rewriteSpecifier = (specifier) => {
+      if (!/^\.\.?(?:\/|$)/.test(specifier)) return specifier;
+
+      const basePath = specifier.replace(/\.[cm]?js$/, '');
+      if (fse.existsSync(path.join(fileDir, `${basePath}.d.ts`))) {
+        return `${basePath}.cjs`;
+      }
+      if (fse.existsSync(path.join(fileDir, basePath, 'index.d.ts'))) {
+        return `${basePath.replace(/\/$/, '')}/index.cjs`;
+      }
+      return specifier;
+    };
+
+    const contents = fse
+      .readFileSync(path.join(sourcePath, file), 'utf-8')
+      .replace(
+        /(\bfrom\s*|\bimport\s*\(\s*|\bimport\s+|\brequire\s*\(\s*)(['"])([^'"\n]+)\2/g,
+        (_match, prefix, quote, specifier) =>
+          `${prefix}${quote}${rewriteSpecifier(specifier)}${quote}`,
+      )
+      .replace(/^\/\/# sourceMappingURL=.*$/m, '');
+
+    const target = path.join(targetPath, file.replace(/\.d\.ts$/, '.d.cts'));
+    fse.outputFileSync(target, contents);
+  }
+
+  if (path.resolve(sourcePath) === path.resolve(targetPath)) {
+    for (const file of declarations) {
+      fse.removeSync(path.join(sourcePath, file));
+    }
+  }
+
+  return declarations.length;
+}
+
 /**
  * Load tsup configuration with error handling
  * @param {string} packagePath - Package path
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Check command implementation
+ * Verifies that a built package resolves correctly for every consumer
+ */
+
+import chalk from 'chalk';
+import { loadConfig } from '../utils/config.js';
+import { PackageError, ConfigurationError } from '../utils/package.js';
+import { checkPackage } from '../utils/validation.js';
+
+/**
+ * Check options type definition
+ * @typedef {Object} CheckOptions
+ * @property {string} path - Package path to check
+ * @property {boolean} verbose - Enable verbose logging
+ */
+
+/**
+ * Check command implementation with comprehensive error handling
+ * @param {CheckOptions} options - Check command options
+ * @returns {Promise<void>} Check completion promise
+ */
+export async function checkCommand(options) {
+  const { path: packagePath, verbose } = options;
+
+  console.log(chalk.blue(`🔎 Checking package at: ${packagePath}`));
+
+  try {
+    await loadConfig(packagePath);
+    const issues = checkPackage(packagePath);
+
+    for (const { severity, field, message, suggestions } of issues) {
+      const color = severity === 'error' ? chalk.red : chalk.yellow;
+      console.log(color(`\n${severity === 'error' ? '❌' : '⚠️ '} ${field}`));
+      console.log(color(`   ${message}`));
+      suggestions.forEach((suggestion) => {
+        console.log(chalk.gray(`   💡 ${suggestion}`));
+      });
+    }
+
+    const errors = issues.filter(({ severity }) => severity === 'error');
+    const warnings = issues.length - errors.length;
+
+    if (errors.length > 0) {
+      throw new PackageError(
+        `Package check found ${errors.length} ${errors.length === 1 ? 'error' : 'errors'} and ${warnings} ${warnings === 1 ? 'warning' : 'warnings'}`,
+        packagePath,
+      );
+    }
+
+    if (verbose) {
+      console.log(chalk.gray('\n   Checked exports, main, module, types, bin'));
+      console.log(chalk.gray('   and proxy packages'));
+    }
+
+    console.log(
+      chalk.green(
+        warnings > 0
+          ? `\n✅ Package check passed with ${warnings} ${warnings === 1 ? 'warning' : 'warnings'}`
+          : '✅ Package check passed',
+      ),
+    );
+  } catch (error) {
+    if (error instanceof ConfigurationError) {
+      console.error(chalk.red('\n❌ Configuration Error:'));
+      console.error(chalk.red(`   ${error.message}`));
+
+      if (error.suggestions.length > 0) {
+        console.error(chalk.yellow('\n💡 Suggestions to fix this:'));
+        error.suggestions.forEach((suggestion) => {
+          console.error(chalk.yellow(`   • ${suggestion}`));
+        });
+      }
+    } else if (error instanceof PackageError) {
+      console.error(chalk.red('\n❌ Package Error:'));
+      console.error(chalk.red(`   ${error.message}`));
+      if (error.packagePath) {
+        console.error(chalk.gray(`   Package: ${error.packagePath}`));
+      }
+    } else {
+      console.error(chalk.red('\n❌ Unexpected error during check:'));
+      console.error(
+        chalk.red(
+          `   ${error instanceof Error ? error.message : String(error)}`,
+        ),
+      );
+    }
+
+    throw error; // Re-throw for proper CLI error handling
+  }
+}
@@ -4,6 +4,7 @@
  */
 
 import chalk from 'chalk';
+import { loadConfig } from '../utils/config.js';
 import {
   cleanBuild,
   PackageError,
@@ -28,6 +29,7 @@ export async function cleanCommand(options) {
   console.log(chalk.blue(`🧹 Cleaning build artifacts at: ${packagePath}`));
 
   try {
+    await loadConfig(packagePath);
     cleanBuild(packagePath);
 
     if (verbose) {
@@ -3,10 +3,14 @@
  * Development package.json generation with monorepo and single-repo support
  */
 
-import { basename } from 'path';
-import { existsSync } from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
+import { basename, dirname, join, relative, sep } from 'path';
+import { existsSync, readFileSync } from 'fs';
+import { format } from 'util';
 import chalk from 'chalk';
 import { watch } from 'chokidar';
+import { buildCommand } from './build.js';
+import { getConfig, loadConfig } from '../utils/config.js';
 import {
   shouldProcessInDev,
   readPackageJson,
@@ -15,11 +19,18 @@ import {
   ConfigurationError,
   groupPathsByPackage,
 } from '../utils/package.js';
+import {
+  findWorkspaceRoot,
+  getWorkspaceGlobs,
+  getWorkspacePackages,
+} from '../utils/workspace.js';
 
 /**
  * Dev options type definition
  * @typedef {Object} DevOptions
  * @property {boolean} watch - Watch for file changes
+ * @property {boolean} [build] - Also run the tsup watch builds (implies watch)
+ * @property {boolean} [workspace] - Process every package of the workspace containing path
  * @property {string} path - Package path to process
  * @property {string[]} [paths] - Multiple paths to process (optional)
  * @property {boolean} verbose - Enable verbose logging
@@ -40,7 +51,14 @@ import {
  * @returns {Promise<void>} Dev completion promise
  */
 export async function devCommand(options) {
-  const { watch: watchMode, path: packagePath, paths, verbose } = options;
+  const {
+    watch: watchMode,
+    build: buildMode = false,
+    workspace = false,
+    path: packagePath,
+    paths,
+    verbose,
+  } = options;
 
   try {
     // If multiple paths are provided, group them by package and process each
@@ -91,6 +109,19 @@ export async function devCommand(options) {
         );
       }
     } else {
+      if (buildMode) {
+        await startBuildWatchMode(packagePath, verbose);
+        return;
+      }
+
+      if (workspace) {
+        await processWorkspace(packagePath, verbose);
+        if (watchMode) {
+          await startWorkspaceWatchMode(packagePath, verbose);
+        }
+        return;
+      }
+
       // Single package mode (original behavior)
       console.log(chalk.blue(`📦 Processing development package.json...`));
       console.log(chalk.gray(`   Package path: ${packagePath}`));
@@ -146,6 +177,10 @@ async function processCurrentPackage(packagePath, verbose) {
   try {
     const packageInfo = analyzePackage(packagePath);
 
+    if (packageInfo.isValid) {
+      await loadConfig(packagePath);
+    }
+
     if (!packageInfo.isValid) {
       throw new ConfigurationError(
         `Invalid package at ${packagePath}: ${packageInfo.error}`,
@@ -180,138 +215,621 @@ async function processCurrentPackage(packagePath, verbose) {
 }
 
 /**
- * Start watch mode for file changes in the current package
- * @param {string} packagePath - Package path
- * @param {boolean} verbose - Enable verbose logging
- * @returns {Promise<void>} Watch mode promise
+ * Source of the output logged while `dev --build` runs. Package.json watcher
+ * output runs inside `logSource.run('dev', ...)`; everything else comes from
+ * the build and its tsup watchers.
+ * @type {AsyncLocalStorage<'dev'>}
  */
-async function startWatchMode(packagePath, verbose) {
-  console.log(chalk.blue('\n👀 Starting watch mode...'));
-  console.log(chalk.yellow('Press Ctrl+C to stop watching\n'));
+const logSource = new AsyncLocalStorage();
 
-  const watcher = watch(['src/**/*'], {
-    ignoreInitial: true,
-    cwd: packagePath,
-    ignored: ['**/*.test.*', '**/*.spec.*', '**/node_modules/**', '**/.git/**'],
+/**
+ * Prefix every line written through the console with the source of the
+ * output, like concurrently does for separate processes
+ * @returns {() => void} Restores the original console methods
+ */
+function prefixConsoleOutput() {
+  const prefixes = {
+    dev: chalk.green('[dev]  '),
+    build: chalk.gray('[build]'),
+  };
+  const methods = /** @type {const} */ (['log', 'info', 'warn', 'error']);
+  const originals = methods.map((method) => console[method]);
+
+  methods.forEach((method, index) => {
+    const original = originals[index];
+    console[method] = (...args) => {
+      const prefix = prefixes[logSource.getStore() ?? 'build'];
+      original(
+        format(...args)
+          .split('\n')
+          .map((line) => (line ? `${prefix} ${line}` : line))
+          .join('\n'),
+      );
+    };
   });
 
-  /**
-   * Process file changes
-   * @param {string} filePath - Changed file path
-   */
-  const processFileChange = (filePath) => {
+  return () => {
+    methods.forEach((method, index) => {
+      console[method] = originals[index];
+    });
+  };
+}
+
+/**
+ * Package files outside the source directory that affect the generated
+ * package.json, relative to the package root
+ */
+const WATCHED_PACKAGE_FILES = [
+  'package.json',
+  'tsconfig.build.json',
+  'tsup.config.*',
+  'libsync.config.*',
+];
+
+/**
+ * Workspace root files that declare the workspace packages
+ */
+const WORKSPACE_FILES = ['pnpm-workspace.yaml', 'package.json', 'lerna.json'];
+
+/**
+ * How long to wait for more file events before regenerating, so a burst of
+ * events (a renamed directory, a branch checkout) causes one regeneration
+ */
+const WATCH_DEBOUNCE_MS = 100;
+
+/**
+ * Delays before retrying a failed workspace refresh, e.g. after reading a
+ * package.json that was still being written. Later file events retry too.
+ */
+const REFRESH_RETRY_DELAYS_MS = [500, 2000, 5000];
+
+/**
+ * Get the keys of an exports field
+ * @param {unknown} exportsField - package.json exports field
+ * @returns {string[]} Export subpaths
+ */
+function getExportKeys(exportsField) {
+  if (!exportsField) return [];
+  if (typeof exportsField === 'string' || Array.isArray(exportsField)) {
+    return ['.'];
+  }
+  return Object.keys(exportsField);
+}
+
+/**
+ * Create the regeneration of a package's development package.json for file
+ * events, run once per burst of events
+ * @param {string} packagePath - Package path
+ * @param {boolean} verbose - Enable verbose logging
+ * @param {string} [label] - Package name to suffix watcher messages with
+ * @returns {(event: string, filePath: string) => void} Queues a regeneration for a file event (path relative to the package root)
+ */
+function createRegeneration(packagePath, verbose, label) {
+  const suffix = label ? ` in ${label}` : '';
+  const packageJsonPath = join(packagePath, 'package.json');
+
+  /** @type {Set<string>} */
+  const changedPaths = new Set();
+  /** @type {NodeJS.Timeout | undefined} */
+  let timer;
+  // Contents written by the last regeneration, to ignore its own change event
+  let writtenPackageJson = existsSync(packageJsonPath)
+    ? readFileSync(packageJsonPath, 'utf-8')
+    : '';
+  // Export keys of the last regeneration, so hand edits show up in the diff too
+  let exportKeys = existsSync(packageJsonPath)
+    ? getExportKeys(readPackageJson(packagePath).exports)
+    : [];
+  // Regenerations run one at a time; events during one start another
+  let running = Promise.resolve();
+
+  const regenerate = async () => {
+    const filePaths = [...changedPaths];
+    changedPaths.clear();
+
     try {
       const packageInfo = analyzePackage(packagePath);
 
-      if (!packageInfo.isValid || !shouldProcessInDev(packagePath)) {
+      if (!packageInfo.isValid) {
         if (verbose) {
           console.log(
             chalk.gray(
-              `   Ignored: ${packageInfo.name || filePath} (${!packageInfo.isValid ? 'invalid' : 'pure CLI'} package)`,
+              `   Ignored: ${packageInfo.name} (invalid package: ${packageInfo.error})`,
             ),
           );
         }
         return;
       }
 
+      // The libsync config may live in the changed package.json or config file
+      await loadConfig(packagePath, { reload: true });
+
+      if (!shouldProcessInDev(packagePath)) {
+        if (verbose) {
+          console.log(
+            chalk.gray(`   Ignored: ${packageInfo.name} (pure CLI package)`),
+          );
+        }
+        return;
+      }
+
+      const previousPackageJson = readFileSync(packageJsonPath, 'utf-8');
       writePackageJson(packagePath);
-      console.log(chalk.blue(`🔄 Updated ${packageInfo.name} (${filePath})`));
+      writtenPackageJson = readFileSync(packageJsonPath, 'utf-8');
+      const currentKeys = getExportKeys(readPackageJson(packagePath).exports);
+
+      const added = currentKeys.filter((key) => !exportKeys.includes(key));
+      const removed = exportKeys.filter((key) => !currentKeys.includes(key));
+      exportKeys = currentKeys;
+
+      // Content edits rarely change package.json; only report when they do
+      if (
+        writtenPackageJson === previousPackageJson &&
+        added.length === 0 &&
+        removed.length === 0
+      ) {
+        if (verbose) {
+          console.log(
+            chalk.gray(
+              `   No changes for ${packageInfo.name} (${filePaths.join(', ')})`,
+            ),
+          );
+        }
+        return;
+      }
+
+      console.log(
+        chalk.blue(
+          `🔄 Updated ${packageInfo.name} (${filePaths.length === 1 ? filePaths[0] : `${filePaths.length} changes`})`,
+        ),
+      );
+      if (verbose && filePaths.length > 1) {
+        filePaths.forEach((filePath) => {
+          console.log(chalk.gray(`     - ${filePath}`));
+        });
+      }
+      added.forEach((key) => console.log(chalk.green(`   + ${key}`)));
+      removed.forEach((key) => console.log(chalk.red(`   - ${key}`)));
     } catch (error) {
       console.warn(
         chalk.yellow(
-          `⚠️  Error processing ${filePath}: ${error instanceof Error ? error.message : String(error)}`,
+          `⚠️  Error processing ${filePaths.join(', ')}${suffix}: ${error instanceof Error ? error.message : String(error)}`,
         ),
       );
     }
   };
 
+  return (event, filePath) => {
+    // Ignore the change event of our own package.json write
+    if (
+      filePath === 'package.json' &&
+      event === 'change' &&
+      existsSync(packageJsonPath) &&
+      readFileSync(packageJsonPath, 'utf-8') === writtenPackageJson
+    ) {
+      return;
+    }
+
+    if (verbose && (event === 'addDir' || event === 'unlinkDir')) {
+      console.log(
+        chalk.gray(
+          `📂 Directory ${event === 'addDir' ? 'added' : 'removed'}${suffix}: ${filePath}`,
+        ),
+      );
+    }
+
+    changedPaths.add(filePath);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      running = running.then(regenerate);
+    }, WATCH_DEBOUNCE_MS);
+  };
+}
+
+/**
+ * Get the globs a package watcher follows, relative to the package root
+ * @param {string} packagePath - Package path
+ * @returns {string[]} Source tree and package file globs
+ */
+function getWatchedPackageGlobs(packagePath) {
+  return [`${getConfig(packagePath).sourceDir}/**/*`, ...WATCHED_PACKAGE_FILES];
+}
+
+/**
+ * Watch the sources and package files of a package and regenerate its
+ * development package.json, once per burst of events
+ * @param {string} packagePath - Package path
+ * @param {boolean} verbose - Enable verbose logging
+ * @param {string} [label] - Package name to suffix watcher messages with
+ * @returns {import('chokidar').FSWatcher} File watcher
+ */
+function watchPackage(packagePath, verbose, label) {
+  const suffix = label ? ` in ${label}` : '';
+  const watcher = watch(getWatchedPackageGlobs(packagePath), {
+    ignoreInitial: true,
+    cwd: packagePath,
+    ignored: [
+      ...getConfig(packagePath).testPatterns,
+      '**/node_modules/**',
+      '**/.git/**',
+    ],
+  });
+  const scheduleRegeneration = createRegeneration(packagePath, verbose, label);
+
+  // Tag the output for dev --build, whose tsup watchers share the console
   watcher
-    .on('add', processFileChange)
-    .on('unlink', processFileChange)
-    .on('unlinkDir', (dirPath) => {
-      if (verbose) {
-        console.log(chalk.gray(`📂 Directory removed: ${dirPath}`));
-      }
-    })
+    .on('all', (event, filePath) =>
+      logSource.run('dev', () => scheduleRegeneration(event, filePath)),
+    )
     .on('error', (error) => {
-      console.error(chalk.red(`❌ Watch error: ${error.message}`));
+      logSource.run('dev', () => {
+        console.error(chalk.red(`❌ Watch error${suffix}: ${error.message}`));
+      });
     });
 
-  console.log(chalk.green('✅ Watch mode started successfully'));
+  return watcher;
 }
 
 /**
- * Start watch mode for multiple packages
- * @param {string[]} packagePaths - Array of package paths
+ * Find the workspace root for dev --workspace
+ * @param {string} startPath - Path inside the workspace
+ * @returns {string} Workspace root path
+ */
+function requireWorkspaceRoot(startPath) {
+  const rootPath = findWorkspaceRoot(startPath);
+  if (!rootPath) {
+    throw new ConfigurationError(`No workspace found from ${startPath}`, [
+      'Run the command inside a monorepo with pnpm-workspace.yaml or a "workspaces" field',
+      'Use --path to point at a directory inside the workspace',
+    ]);
+  }
+  return rootPath;
+}
+
+/**
+ * Get the workspace packages dev mode applies to: packages with a source
+ * directory, with their configs loaded
+ * @param {string} rootPath - Workspace root path
  * @param {boolean} verbose - Enable verbose logging
- * @returns {Promise<void>} Watch mode promise
+ * @returns {Promise<import('../utils/workspace.js').WorkspacePackage[]>} Workspace packages
  */
-async function startWatchModeForMultiplePackages(packagePaths, verbose) {
-  console.log(chalk.blue('\n👀 Starting watch mode for multiple packages...'));
+async function getDevWorkspacePackages(rootPath, verbose) {
+  /** @type {import('../utils/workspace.js').WorkspacePackage[]} */
+  const packages = [];
+
+  for (const workspacePackage of getWorkspacePackages(rootPath)) {
+    await loadConfig(workspacePackage.path, { reload: true });
+    const { sourceDir } = getConfig(workspacePackage.path);
+
+    if (existsSync(join(workspacePackage.path, sourceDir))) {
+      packages.push(workspacePackage);
+    } else if (verbose) {
+      console.log(
+        chalk.gray(
+          `   Skipping ${workspacePackage.name} (no ${sourceDir}/ directory)`,
+        ),
+      );
+    }
+  }
+
+  return packages;
+}
+
+/**
+ * Generate the development package.json of every workspace package
+ * @param {string} startPath - Path inside the workspace
+ * @param {boolean} verbose - Enable verbose logging
+ * @returns {Promise<void>} Processing promise
+ */
+async function processWorkspace(startPath, verbose) {
+  const rootPath = requireWorkspaceRoot(startPath);
+  console.log(chalk.blue(`📦 Processing workspace at: ${rootPath}`));
+
+  const packages = await getDevWorkspacePackages(rootPath, verbose);
+  /** @type {string[]} */
+  const failed = [];
+
+  for (const workspacePackage of packages) {
+    try {
+      await processCurrentPackage(workspacePackage.path, verbose);
+    } catch (error) {
+      failed.push(workspacePackage.name);
+      console.error(
+        chalk.red(
+          `   ❌ ${workspacePackage.name}: ${error instanceof Error ? error.message : String(error)}`,
+        ),
+      );
+    }
+  }
+
+  if (failed.length > 0) {
+    throw new PackageError(
+      `Failed to process ${failed.length} of ${packages.length} workspace package(s): ${failed.join(', ')}`,
+      rootPath,
+    );
+  }
+
+  console.log(
+    chalk.green(
+      `\n✅ Development package.json processing completed for ${packages.length} workspace package(s)!`,
+    ),
+  );
+}
+
+/**
+ * Watch every workspace package with a single watcher. The workspace
+ * definition and the package.json files its globs match are watched too, so
+ * packages added to or removed from the workspace are picked up while the
+ * watcher runs.
+ * @param {string} startPath - Path inside the workspace
+ * @param {boolean} verbose - Enable verbose logging
+ * @returns {Promise<void>} Resolves once the watcher runs
+ */
+async function startWorkspaceWatchMode(startPath, verbose) {
+  const rootPath = requireWorkspaceRoot(startPath);
+
+  console.log(chalk.blue('\n👀 Starting watch mode for the workspace...'));
   console.log(chalk.yellow('Press Ctrl+C to stop watching\n'));
 
-  const watchers = packagePaths.map((packagePath) => {
-    const packageInfo = analyzePackage(packagePath);
-    const packageName = packageInfo.name || basename(packagePath);
-
-    const watcher = watch(['src/**/*'], {
-      ignoreInitial: true,
-      cwd: packagePath,
-      ignored: [
-        '**/*.test.*',
-        '**/*.spec.*',
-        '**/node_modules/**',
-        '**/.git/**',
-      ],
+  const workspaceGlobs = getWorkspaceGlobs(rootPath)
+    .filter((pattern) => !pattern.startsWith('!'))
+    .map((pattern) => `${pattern.replace(/\/+$/, '')}/package.json`);
+  const watcher = watch([...WORKSPACE_FILES, ...workspaceGlobs], {
+    ignoreInitial: true,
+    cwd: rootPath,
+    ignored: ['**/node_modules/**', '**/.git/**'],
+  });
+
+  /**
+   * Watched packages by path relative to the workspace root
+   * @type {Map<string, { name: string, schedule: (event: string, filePath: string) => void }>}
+   */
+  const watched = new Map();
+
+  /**
+   * Start watching a package
+   * @param {import('../utils/workspace.js').WorkspacePackage} workspacePackage - Workspace package
+   */
+  const addPackage = (workspacePackage) => {
+    const { name, path: packagePath, relativePath } = workspacePackage;
+    const { sourceDir, testPatterns } = getConfig(packagePath);
+
+    watched.set(relativePath, {
+      name,
+      schedule: createRegeneration(packagePath, verbose, name),
     });
+    watcher.add(
+      getWatchedPackageGlobs(packagePath).map((pattern) =>
+        join(relativePath, pattern),
+      ),
+    );
+    // chokidar ignores unwatched globs, which gives each package its own test patterns
+    watcher.unwatch(
+      testPatterns.map((pattern) => join(relativePath, sourceDir, pattern)),
+    );
+  };
+
+  /**
+   * Stop regenerating a package. Its paths stay watched: unwatching would
+   * make chokidar ignore them, and miss the package if it comes back.
+   * @param {string} relativePath - Package path relative to the workspace root
+   */
+  const removePackage = (relativePath) => {
+    const entry = watched.get(relativePath);
+    if (!entry) return;
+
+    watched.delete(relativePath);
+    console.log(
+      chalk.red(`➖ Stopped watching ${entry.name} (${relativePath})`),
+    );
+  };
+
+  for (const workspacePackage of await getDevWorkspacePackages(
+    rootPath,
+    verbose,
+  )) {
+    addPackage(workspacePackage);
+  }
+
+  // Packages are rediscovered one at a time, like regenerations
+  let refreshing = Promise.resolve();
+  let retries = 0;
+  /** @type {NodeJS.Timeout | undefined} */
+  let retryTimer;
+
+  const refreshPackages = () =>
+    (refreshing = refreshing.then(async () => {
+      clearTimeout(retryTimer);
+      let failed = false;
 
-    /**
-     * Process file changes
-     * @param {string} filePath - Changed file path
-     */
-    const processFileChange = (filePath) => {
       try {
-        const pkgInfo = analyzePackage(packagePath);
+        const packages = await getDevWorkspacePackages(rootPath, verbose);
+        const current = new Set(
+          packages.map(({ relativePath }) => relativePath),
+        );
+
+        for (const relativePath of [...watched.keys()]) {
+          if (!current.has(relativePath)) {
+            removePackage(relativePath);
+          }
+        }
+
+        for (const workspacePackage of packages) {
+          if (watched.has(workspacePackage.relativePath)) continue;
 
-        if (!pkgInfo.isValid || !shouldProcessInDev(packagePath)) {
-          if (verbose) {
+          // One broken package must not keep the others unwatched
+          try {
+            // Generate first, so the regeneration starts from the new exports
+            await processCurrentPackage(workspacePackage.path, verbose);
+            addPackage(workspacePackage);
             console.log(
-              chalk.gray(
-                `   Ignored: ${pkgInfo.name || filePath} (${!pkgInfo.isValid ? 'invalid' : 'pure CLI'} package)`,
+              chalk.green(
+                `➕ Watching ${workspacePackage.name} (${workspacePackage.relativePath})`,
+              ),
+            );
+          } catch (error) {
+            failed = true;
+            console.warn(
+              chalk.yellow(
+                `⚠️  Cannot watch ${workspacePackage.name} (${workspacePackage.relativePath}): ${error instanceof Error ? error.message : String(error)}`,
               ),
             );
           }
-          return;
         }
-
-        writePackageJson(packagePath);
-        console.log(chalk.blue(`🔄 Updated ${pkgInfo.name} (${filePath})`));
       } catch (error) {
+        failed = true;
         console.warn(
           chalk.yellow(
-            `⚠️  Error processing ${filePath}: ${error instanceof Error ? error.message : String(error)}`,
+            `⚠️  Error refreshing workspace packages: ${error instanceof Error ? error.message : String(error)}`,
           ),
         );
       }
-    };
 
-    watcher
-      .on('add', processFileChange)
-      .on('unlink', processFileChange)
-      .on('unlinkDir', (dirPath) => {
-        if (verbose) {
-          console.log(
-            chalk.gray(`📂 Directory removed in ${packageName}: ${dirPath}`),
-          );
-        }
-      })
-      .on('error', (error) => {
+      if (!failed) {
+        retries = 0;
+      } else if (retries < REFRESH_RETRY_DELAYS_MS.length) {
+        retryTimer = setTimeout(
+          refreshPackages,
+          REFRESH_RETRY_DELAYS_MS[retries++],
+        );
+      }
+    }));
+
+  watcher
+    .on('all', (event, filePath) => {
+      if (WORKSPACE_FILES.includes(filePath)) {
+        refreshPackages();
+        return;
+      }
+
+      // Route the event to the package that contains the path
+      const relativePath = [...watched.keys()].find((packageRelativePath) =>
+        filePath.startsWith(`${packageRelativePath}${sep}`),
+      );
+
+      // A package that could not be added is retried when its package.json
+      // changes, e.g. once a copied package gets its own name
+      if (
+        basename(filePath) === 'package.json' &&
+        (event !== 'change' || !watched.has(dirname(filePath)))
+      ) {
+        refreshPackages();
+      }
+
+      if (relativePath !== undefined) {
+        watched
+          .get(relativePath)
+          ?.schedule(event, relative(relativePath, filePath));
+      }
+    })
+    .on('error', (error) => {
+      console.error(chalk.red(`❌ Watch error: ${error.message}`));
+    });
+
+  console.log(
+    chalk.green(
+      `✅ Watch mode started for ${watched.size} workspace package(s)`,
+    ),
+  );
+}
+
+/**
+ * Build the package with tsup in watch mode and watch its development
+ * package.json in the same process. The build leaves package.json in
+ * production mode, so it is regenerated for development once the initial
+ * build is done, and again on Ctrl+C.
+ * @param {string} packagePath - Package path
+ * @param {boolean} verbose - Enable verbose logging
+ * @returns {Promise<void>} Resolves once the initial build is done and the watcher runs
+ */
+async function startBuildWatchMode(packagePath, verbose) {
+  const restoreConsole = prefixConsoleOutput();
+
+  try {
+    await buildCommand({
+      path: packagePath,
+      watch: true,
+      cache: false,
+      verbose,
+    });
+  } catch (error) {
+    restoreConsole();
+    throw error;
+  }
+
+  const watcher = await logSource.run('dev', async () => {
+    console.log(chalk.blue('📦 Processing development package.json...'));
+    await processCurrentPackage(packagePath, verbose);
+    const packageWatcher = watchPackage(packagePath, verbose);
+    console.log(chalk.green('\n✅ Dev mode started with watch builds!'));
+    console.log(chalk.gray(`   Root path: ${packagePath}`));
+    console.log(chalk.yellow('   Press Ctrl+C to stop watching...\n'));
+    return packageWatcher;
+  });
+
+  let stopping = false;
+  const stop = () =>
+    logSource.run('dev', async () => {
+      if (stopping) return;
+      stopping = true;
+
+      console.log(chalk.blue('\n🛑 Stopping watchers...'));
+      await watcher.close();
+
+      try {
+        writePackageJson(packagePath);
+        console.log(
+          chalk.green('✅ package.json restored to development mode'),
+        );
+      } catch (error) {
         console.error(
-          chalk.red(`❌ Watch error in ${packageName}: ${error.message}`),
+          chalk.red(
+            `⚠️  Failed to restore package.json to dev mode: ${error instanceof Error ? error.message : String(error)}`,
+          ),
         );
-      });
+      }
+
+      restoreConsole();
+      // tsup keeps no handle to its watchers, so they stop with the process
+      process.exit(0);
+    });
+
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+}
+
+/**
+ * Start watch mode for file changes in the current package
+ * @param {string} packagePath - Package path
+ * @param {boolean} verbose - Enable verbose logging
+ * @returns {Promise<void>} Watch mode promise
+ */
+async function startWatchMode(packagePath, verbose) {
+  console.log(chalk.blue('\n👀 Starting watch mode...'));
+  console.log(chalk.yellow('Press Ctrl+C to stop watching\n'));
 
-    return watcher;
+  watchPackage(packagePath, verbose);
+
+  console.log(chalk.green('✅ Watch mode started successfully'));
+}
+
+/**
+ * Start watch mode for multiple packages
+ * @param {string[]} packagePaths - Array of package paths
+ * @param {boolean} verbose - Enable verbose logging
+ * @returns {Promise<void>} Watch mode promise
+ */
+async function startWatchModeForMultiplePackages(packagePaths, verbose) {
+  console.log(chalk.blue('\n👀 Starting watch mode for multiple packages...'));
+  console.log(chalk.yellow('Press Ctrl+C to stop watching\n'));
+
+  packagePaths.forEach((packagePath) => {
+    const packageInfo = analyzePackage(packagePath);
+    watchPackage(
+      packagePath,
+      verbose,
+      packageInfo.name || basename(packagePath),
+    );
   });
 
   console.log(
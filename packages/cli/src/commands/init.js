@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Init command implementation
+ * Creates a new package from a template, prompting for the package name,
+ * description and template unless they are passed as flags
+ */
+
+import { existsSync } from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import fse from 'fs-extra';
+import { PACKAGE_TEMPLATE_NAMES } from '../schemas/config.js';
+import { promptSelect, promptText } from '../utils/input.js';
+import {
+  PackageError,
+  ConfigurationError,
+  writePackageJson,
+} from '../utils/package.js';
+import {
+  PACKAGE_TEMPLATES,
+  getDefaultPackageName,
+  getTemplateContext,
+  isValidPackageName,
+} from '../utils/templates.js';
+import {
+  findWorkspaceRoot,
+  getWorkspaceGlobs,
+  getWorkspacePackages,
+} from '../utils/workspace.js';
+
+/**
+ * Init options type definition
+ * @typedef {Object} InitOptions
+ * @property {string} path - Directory of the new package
+ * @property {string} [name] - Package name
+ * @property {string} [description] - Package description
+ * @property {import('../schemas/config.js').PackageTemplateName} [template] - Template to create the package from
+ * @property {boolean} yes - Use defaults instead of prompting for missing values
+ * @property {boolean} force - Overwrite existing files
+ * @property {boolean} verbose - Enable verbose logging
+ */
+
+/**
+ * Init command implementation with comprehensive error handling
+ * @param {InitOptions} options - Init command options
+ * @returns {Promise<void>} Init completion promise
+ */
+export async function initCommand(options) {
+  const packagePath = path.resolve(options.path);
+  const { force, verbose } = options;
+
+  console.log(chalk.blue(`📦 Creating package at: ${packagePath}`));
+
+  try {
+    const workspaceRoot = findWorkspaceRoot(path.dirname(packagePath));
+    const workspacePackages =
+      workspaceRoot && getWorkspaceGlobs(workspaceRoot).length > 0
+        ? getWorkspacePackages(workspaceRoot)
+        : [];
+
+    // Prompt for what the flags leave out, unless told not to or not in a terminal
+    const interactive = !options.yes && process.stdin.isTTY === true;
+    const defaultName = getDefaultPackageName(packagePath, workspaceRoot);
+
+    const name =
+      options.name ??
+      (interactive
+        ? await promptText('Package name', defaultName)
+        : defaultName);
+    const description =
+      options.description ??
+      (interactive ? await promptText('Description') : '');
+    const template =
+      options.template ??
+      (interactive
+        ? PACKAGE_TEMPLATE_NAMES[
+            await promptSelect(
+              'Template:',
+              PACKAGE_TEMPLATE_NAMES.map(
+                (templateName) =>
+                  `${templateName} - ${PACKAGE_TEMPLATES[templateName].label}`,
+              ),
+            )
+          ]
+        : 'library');
+
+    if (!isValidPackageName(name)) {
+      throw new ConfigurationError(`Invalid package name: ${name}`, [
+        'Use lowercase letters, digits, "-", "." and "_", e.g. my-lib or @scope/my-lib',
+        'Pass the name with --name',
+      ]);
+    }
+
+    const existingPackage = workspacePackages.find(
+      (workspacePackage) => workspacePackage.name === name,
+    );
+    if (existingPackage && existingPackage.path !== packagePath) {
+      throw new ConfigurationError(
+        `The workspace already has a package named ${name}`,
+        [
+          `Found in ${existingPackage.relativePath}`,
+          'Choose another name with --name',
+        ],
+      );
+    }
+
+    const context = getTemplateContext(packagePath, workspaceRoot, {
+      name,
+      description,
+    });
+    const files = PACKAGE_TEMPLATES[template].render(context);
+
+    const conflicts = Object.keys(files).filter((file) =>
+      existsSync(path.join(packagePath, file)),
+    );
+    if (conflicts.length > 0 && !force) {
+      throw new ConfigurationError(
+        `${packagePath} already contains ${conflicts.join(', ')}`,
+        [
+          'Choose an empty directory with --path',
+          'Use --force to overwrite the existing files',
+        ],
+      );
+    }
+
+    for (const [file, content] of Object.entries(files)) {
+      fse.outputFileSync(path.join(packagePath, file), content);
+      if (verbose) {
+        console.log(chalk.gray(`   Created: ${file}`));
+      }
+    }
+
+    // Generate the development exports from the template sources
+    writePackageJson(packagePath);
+
+    console.log(
+      chalk.green(
+        `✅ Created ${name} from the ${template} template (${Object.keys(files).length} files)`,
+      ),
+    );
+
+    if (
+      workspaceRoot &&
+      workspacePackages.length > 0 &&
+      !getWorkspacePackages(workspaceRoot).some(
+        (workspacePackage) => workspacePackage.path === packagePath,
+      )
+    ) {
+      console.warn(
+        chalk.yellow(
+          `⚠️  ${path.relative(workspaceRoot, packagePath)} is not matched by the workspace globs of ${workspaceRoot}`,
+        ),
+      );
+    }
+
+    console.log(chalk.gray('\n   Next steps:'));
+    if (path.resolve(process.cwd()) !== packagePath) {
+      const relativePath = path.relative(process.cwd(), packagePath);
+      console.log(
+        chalk.gray(
+          `   cd ${relativePath.startsWith('..') ? packagePath : relativePath}`,
+        ),
+      );
+    }
+    console.log(chalk.gray('   pnpm install'));
+    console.log(chalk.gray('   pnpm build'));
+  } catch (error) {
+    if (error instanceof ConfigurationError) {
+      console.error(chalk.red('\n❌ Configuration Error:'));
+      console.error(chalk.red(`   ${error.message}`));
+
+      if (error.suggestions.length > 0) {
+        console.error(chalk.yellow('\n💡 Suggestions to fix this:'));
+        error.suggestions.forEach((suggestion) => {
+          console.error(chalk.yellow(`   • ${suggestion}`));
+        });
+      }
+    } else if (error instanceof PackageError) {
+      console.error(chalk.red('\n❌ Package Error:'));
+      console.error(chalk.red(`   ${error.message}`));
+      if (error.packagePath) {
+        console.error(chalk.gray(`   Package: ${error.packagePath}`));
+      }
+    } else {
+      console.error(chalk.red('\n❌ Unexpected error during init:'));
+      console.error(
+        chalk.red(
+          `   ${error instanceof Error ? error.message : String(error)}`,
+        ),
+      );
+    }
+
+    throw error; // Re-throw for proper CLI error handling
+  }
+}
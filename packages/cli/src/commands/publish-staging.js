@@ -8,9 +8,28 @@ import {
   mkdirSync,
   unlinkSync,
 } from 'fs';
-import { join, dirname } from 'path';
+import { join, relative } from 'path';
 import chalk from 'chalk';
+import { buildCommand, buildWorkspaceCommand } from './build.js';
+import { loadConfig } from '../utils/config.js';
+import { formatSize } from '../utils/size.js';
 import { PackageError, ConfigurationError } from '../utils/package.js';
+import {
+  checkPublishRanges,
+  cleanupTempDir,
+  createTempPublishDir,
+  getPackFiles,
+  getPublishDirectory,
+  getPublishSettings,
+} from '../utils/publish.js';
+import {
+  findWorkspaceRoot,
+  getDependencyGraph,
+  getWorkspacePackages,
+  restrictDependencyGraph,
+  selectWorkspacePackages,
+  sortTopologically,
+} from '../utils/workspace.js';
 import { packageJsonSchema } from '../schemas/config.js';
 import {
   checkPortAvailable,
@@ -38,9 +57,9 @@ function createFetchWithTimeout(timeoutMs, options = {}) {
  * Create Verdaccio configuration directory and files
  * @param {string} rootPath - Project root path
  * @param {number} port - Registry port
- * @param {string} packageName - Package name to configure for publishing
+ * @param {string[]} packageNames - Package names to configure for publishing
  */
-function createVerdaccioConfig(rootPath, port, packageName) {
+function createVerdaccioConfig(rootPath, port, packageNames) {
   const stagingDir = join(rootPath, 'scripts', 'release', 'staging');
   const verdaccioDir = join(stagingDir, '.verdaccio');
 
@@ -51,6 +70,16 @@ function createVerdaccioConfig(rootPath, port, packageName) {
 
   // Create config.yml
   const configPath = join(verdaccioDir, 'config.yml');
+  const packageRules = packageNames
+    .map(
+      (packageName) => `  '${packageName}':
+    access: $all
+    publish: $all
+    unpublish: $all
+    proxy: npmjs
+`,
+    )
+    .join('');
   const config = `storage: ./storage
 auth:
   htpasswd:
@@ -59,12 +88,7 @@ uplinks:
   npmjs:
     url: https://registry.npmjs.org/
 packages:
-  '${packageName}':
-    access: $all
-    publish: $all
-    unpublish: $all
-    proxy: npmjs
-  '@*/*':
+${packageRules}  '@*/*':
     access: $all
     publish: $all
     unpublish: $all
@@ -591,7 +615,7 @@ async function confirmPublishing(packageName, version, registryUrl) {
  * @param {string} packagePath - Path to package
  * @returns {import('zod').infer<typeof packageJsonSchema>} Validated package info
  */
-function getPackageInfo(packagePath) {
+export function getPackageInfo(packagePath) {
   const pkgPath = join(packagePath, 'package.json');
   if (!existsSync(pkgPath)) {
     throw new PackageError('package.json not found');
@@ -642,93 +666,62 @@ async function checkPackageExists(packageName, version, registryUrl) {
 }
 
 /**
- * Generate staging version string
- * @param {string} originalVersion - Original version from package.json
+ * Generate staging version strings sharing one suffix, so packages published
+ * together can be matched up by it
+ * @param {Array<{name: string, version: string}>} packages - Package names and original versions from package.json
  * @param {string} registryUrl - Registry URL to check existing versions
- * @param {string} packageName - Package name
- * @returns {Promise<string>} Staging version
+ * @returns {Promise<Map<string, string>>} Package name to staging version
  */
-async function generateStagingVersion(
-  originalVersion,
-  registryUrl,
-  packageName,
-) {
+async function generateStagingVersions(packages, registryUrl) {
   const timestamp = Math.floor(Date.now() / 1000);
-  const stagingVersion = `${originalVersion}-staging.${timestamp}`;
 
-  // Check if this version exists (unlikely but possible)
-  const exists = await checkPackageExists(
-    packageName,
-    stagingVersion,
-    registryUrl,
+  /**
+   * @param {string} suffix - Staging suffix
+   * @returns {Map<string, string>} Package name to staging version
+   */
+  const withSuffix = (suffix) =>
+    new Map(
+      packages.map(({ name, version }) => [
+        name,
+        `${version}-staging.${suffix}`,
+      ]),
+    );
+
+  const stagingVersions = withSuffix(String(timestamp));
+
+  // Check if any of these versions exists (unlikely but possible)
+  const exists = await Promise.all(
+    [...stagingVersions].map(([name, version]) =>
+      checkPackageExists(name, version, registryUrl),
+    ),
   );
 
-  if (exists) {
+  if (exists.some(Boolean)) {
     // Add random suffix if timestamp version exists
     const randomSuffix = Math.random().toString(36).substring(2, 7);
-    return `${originalVersion}-staging.${timestamp}.${randomSuffix}`;
+    return withSuffix(`${timestamp}.${randomSuffix}`);
   }
 
-  return stagingVersion;
+  return stagingVersions;
 }
 
 /**
- * Create temporary publishing directory with modified package.json
- * @param {string} packagePath - Original package path
- * @param {string} newVersion - Version to use for publishing
- * @returns {Promise<string>} Path to temporary directory
- */
-async function createTempPublishDir(packagePath, newVersion) {
-  const { mkdtemp } = await import('fs/promises');
-  const { tmpdir } = await import('os');
-  const tempDir = await mkdtemp(join(tmpdir(), 'tsup-lib-staging-'));
-
-  // Copy package.json and modify version
-  const originalPkgPath = join(packagePath, 'package.json');
-  const originalPkg = JSON.parse(readFileSync(originalPkgPath, 'utf-8'));
-
-  const modifiedPkg = { ...originalPkg, version: newVersion };
-  const tempPkgPath = join(tempDir, 'package.json');
-
-  writeFileSync(tempPkgPath, JSON.stringify(modifiedPkg, null, 2) + '\n');
-
-  // Copy all other necessary files (built files, README, etc.)
-  const filesToCopy = [
-    'cjs',
-    'esm',
-    'src',
-    'README.md',
-    'LICENSE',
-    'CHANGELOG.md',
-  ].filter((file) => existsSync(join(packagePath, file)));
-
-  const { cp } = await import('fs/promises');
-
-  for (const file of filesToCopy) {
-    const srcPath = join(packagePath, file);
-    const destPath = join(tempDir, file);
-
-    try {
-      await cp(srcPath, destPath, { recursive: true });
-    } catch (error) {
-      // Ignore copy errors for optional files
-    }
-  }
-
-  return tempDir;
-}
-
-/**
- * Clean up temporary directory
- * @param {string} tempDir - Path to temporary directory to remove
+ * Generate staging version string
+ * @param {string} originalVersion - Original version from package.json
+ * @param {string} registryUrl - Registry URL to check existing versions
+ * @param {string} packageName - Package name
+ * @returns {Promise<string>} Staging version
  */
-async function cleanupTempDir(tempDir) {
-  try {
-    const { rm } = await import('fs/promises');
-    await rm(tempDir, { recursive: true, force: true });
-  } catch (error) {
-    // Ignore cleanup errors
-  }
+async function generateStagingVersion(
+  originalVersion,
+  registryUrl,
+  packageName,
+) {
+  const stagingVersions = await generateStagingVersions(
+    [{ name: packageName, version: originalVersion }],
+    registryUrl,
+  );
+  return /** @type {string} */ (stagingVersions.get(packageName));
 }
 
 /**
@@ -736,8 +729,8 @@ async function cleanupTempDir(tempDir) {
  * @param {string} packagePath - Path to package
  * @param {string} registryUrl - Registry URL
  * @param {import('zod').infer<typeof packageJsonSchema>} packageInfo - Package information
- * @param {{force: boolean, stagingVersion: boolean}} options - Publishing options with force (republish existing packages) and stagingVersion (use staging-specific versioning) flags
- * @returns {Promise<void>}
+ * @param {{force: boolean, stagingVersion: boolean, version?: string, workspaceVersions?: Map<string, string>}} options - Publishing options with force (republish existing packages) and stagingVersion (use staging-specific versioning) flags, or a staging version chosen up front and the versions its workspace dependencies are pinned to
+ * @returns {Promise<boolean>} Whether the package was published
  */
 async function publishToRegistry(
   packagePath,
@@ -745,7 +738,12 @@ async function publishToRegistry(
   packageInfo,
   options = { force: false, stagingVersion: false },
 ) {
-  const { force = false, stagingVersion = false } = options;
+  const {
+    force = false,
+    stagingVersion = false,
+    version,
+    workspaceVersions,
+  } = options;
   try {
     // Check if package version is specified
     if (!packageInfo.version) {
@@ -761,19 +759,34 @@ async function publishToRegistry(
       );
     }
 
-    console.log(chalk.blue('🔍 Checking package version conflicts...'));
+    if (!version) {
+      console.log(chalk.blue('🔍 Checking package version conflicts...'));
+    }
 
-    // Check if package version already exists
-    const packageExists = await checkPackageExists(
-      packageInfo.name,
-      packageInfo.version,
-      registryUrl,
-    );
+    // Check if package version already exists, unless the version is given
+    const packageExists =
+      !version &&
+      (await checkPackageExists(
+        packageInfo.name,
+        packageInfo.version,
+        registryUrl,
+      ));
     let versionToPublish = packageInfo.version;
     let tempPublishDir = null;
     let publishFromTempDir = false;
 
-    if (packageExists) {
+    if (version) {
+      versionToPublish = version;
+      console.log(chalk.green(`✅ Using staging version: ${versionToPublish}`));
+
+      // Create temporary directory with the version and pinned workspace ranges
+      tempPublishDir = await createTempPublishDir(
+        packagePath,
+        versionToPublish,
+        workspaceVersions,
+      );
+      publishFromTempDir = true;
+    } else if (packageExists) {
       console.log(
         chalk.yellow(
           `⚠️  Package ${packageInfo.name}@${packageInfo.version} already exists in registry`,
@@ -816,7 +829,7 @@ async function publishToRegistry(
 
         if (choice === false || choice === '3') {
           console.log(chalk.yellow('❌ Publishing cancelled by user'));
-          return;
+          return false;
         } else if (choice === '2') {
           console.log(chalk.blue('🔨 Will force overwrite existing package'));
           // force flag will be handled in npm publish command
@@ -846,6 +859,11 @@ async function publishToRegistry(
       );
     }
 
+    // Publish a staged copy with the files npm packs and the published package.json
+    if (!tempPublishDir) {
+      tempPublishDir = await createTempPublishDir(packagePath);
+    }
+
     // Check .npmrc safety and get confirmation
     const npmrcConfirmed = await checkNpmrcAndConfirm(packagePath);
     if (!npmrcConfirmed) {
@@ -855,7 +873,7 @@ async function publishToRegistry(
       if (tempPublishDir) {
         await cleanupTempDir(tempPublishDir);
       }
-      return;
+      return false;
     }
 
     // Safety confirmation with the actual version to be published
@@ -870,7 +888,7 @@ async function publishToRegistry(
       if (tempPublishDir) {
         await cleanupTempDir(tempPublishDir);
       }
-      return;
+      return false;
     }
 
     // Update .gitignore to include .npmrc files
@@ -925,8 +943,17 @@ async function publishToRegistry(
         'info',
       ];
 
+      // Registry settings of publishConfig, except the registry itself
+      const { tag, access } = getPublishSettings(packagePath);
+      if (tag) {
+        publishArgs.push('--tag', tag);
+      }
+      if (access) {
+        publishArgs.push('--access', access);
+      }
+
       // Handle force mode by unpublishing first (Verdaccio doesn't respect --force for overwrites)
-      if (force || (packageExists && !publishFromTempDir)) {
+      if ((force && !version) || (packageExists && !publishFromTempDir)) {
         console.log(
           chalk.yellow('   Force mode: unpublishing existing package first...'),
         );
@@ -1039,11 +1066,227 @@ async function publishToRegistry(
         console.log(chalk.gray('🧹 Cleaned up temporary .npmrc.staging'));
       }
     }
+
+    return true;
   } catch (error) {
     throw error;
   }
 }
 
+/**
+ * Package to publish type definition
+ * @typedef {Object} PublishPackage
+ * @property {string} path - Package path
+ * @property {import('zod').infer<typeof packageJsonSchema>} info - Validated package info
+ */
+
+/**
+ * Select the workspace packages to publish, sorted so that every package
+ * comes after the workspace packages it depends on
+ * @param {string} startPath - Path inside the workspace
+ * @param {{workspace: boolean, workspaces: string[]}} options - Publish every package, or the packages matching globs or names
+ * @returns {{rootPath: string, packages: PublishPackage[]}} Workspace root and packages in dependency order
+ */
+export function getWorkspacePublishPackages(
+  startPath,
+  { workspace, workspaces },
+) {
+  const rootPath = findWorkspaceRoot(startPath);
+  if (!rootPath) {
+    throw new ConfigurationError(`No workspace found from ${startPath}`, [
+      'Run the command inside a monorepo with pnpm-workspace.yaml or a "workspaces" field',
+      'Use --path to point at a directory inside the workspace',
+    ]);
+  }
+
+  const packages = getWorkspacePackages(rootPath);
+  const selected = (
+    workspace
+      ? packages
+      : selectWorkspacePackages(rootPath, packages, workspaces)
+  ).filter(({ name, pkg }) => {
+    if (pkg.private) {
+      console.log(chalk.gray(`   Skipping ${name} (private)`));
+    }
+    return !pkg.private;
+  });
+
+  if (selected.length === 0) {
+    throw new ConfigurationError('No publishable workspace packages selected', [
+      'Packages marked as "private" are never published',
+    ]);
+  }
+
+  const graph = restrictDependencyGraph(
+    getDependencyGraph(packages),
+    selected.map(({ name }) => name),
+  );
+  const packagesByName = new Map(selected.map((pkg) => [pkg.name, pkg]));
+  const selectedNames = new Set(packagesByName.keys());
+
+  const ordered = sortTopologically(graph).map((name) => {
+    const { path: packagePath, pkg } =
+      /** @type {import('../utils/workspace.js').WorkspacePackage} */ (
+        packagesByName.get(name)
+      );
+    const info = getPackageInfo(packagePath);
+
+    // Catch what publishToRegistry would reject before anything is published
+    if (!info.version) {
+      throw new PackageError(
+        `Package "${name}" must have a version specified in package.json`,
+        packagePath,
+      );
+    }
+
+    for (const [dependency, range] of Object.entries({
+      ...pkg.dependencies,
+      ...pkg.peerDependencies,
+    })) {
+      if (
+        String(range).startsWith('workspace:') &&
+        !selectedNames.has(dependency)
+      ) {
+        console.warn(
+          chalk.yellow(
+            `⚠️  ${name} depends on ${dependency}, which is not published in this run`,
+          ),
+        );
+      }
+    }
+
+    return { path: packagePath, info };
+  });
+
+  return { rootPath, packages: ordered };
+}
+
+/**
+ * Publish workspace packages one after another, with one shared staging
+ * suffix and their workspace dependencies pinned to the published versions
+ * @param {PublishPackage[]} packages - Packages in dependency order
+ * @param {string} registryUrl - Registry URL
+ * @returns {Promise<Map<string, string>>} Package name to published version
+ */
+async function publishWorkspacePackages(packages, registryUrl) {
+  const stagingVersions = await generateStagingVersions(
+    packages.map(({ info }) => ({
+      name: info.name,
+      version: /** @type {string} */ (info.version),
+    })),
+    registryUrl,
+  );
+
+  for (const [index, { path: packagePath, info }] of packages.entries()) {
+    console.log(
+      chalk.cyan(`\n📦 [${index + 1}/${packages.length}] ${info.name}`),
+    );
+
+    let publishedPackage = false;
+    try {
+      publishedPackage = await publishToRegistry(
+        packagePath,
+        registryUrl,
+        info,
+        {
+          force: false,
+          stagingVersion: true,
+          version: stagingVersions.get(info.name),
+          workspaceVersions: stagingVersions,
+        },
+      );
+    } catch (error) {
+      const errorMessage =
+        error instanceof Error ? error.message : String(error);
+      throw new PackageError(
+        `Publishing ${info.name} failed after ${index} of ${packages.length} packages were published: ${errorMessage}`,
+        packagePath,
+      );
+    }
+
+    if (!publishedPackage) {
+      throw new PackageError(
+        `Publishing stopped at ${info.name}; packages depending on it were not published`,
+        packagePath,
+      );
+    }
+  }
+
+  return stagingVersions;
+}
+
+/**
+ * Build the packages to publish, through the workspace build when there are
+ * several so they build in dependency order
+ * @param {PublishPackage[]} packages - Packages to publish
+ * @param {string} rootPath - Workspace root path
+ * @param {boolean} multiPackage - Whether the packages were selected from the workspace
+ * @param {boolean} verbose - Enable verbose logging
+ * @returns {Promise<void>} Build completion promise
+ */
+export async function buildPublishPackages(
+  packages,
+  rootPath,
+  multiPackage,
+  verbose,
+) {
+  if (multiPackage) {
+    console.log(chalk.blue('🔨 Building packages...'));
+    await buildWorkspaceCommand({
+      path: rootPath,
+      all: false,
+      workspaces: packages.map(({ info }) => info.name),
+      skipValidation: false,
+      cache: true,
+      verbose,
+    });
+    console.log(chalk.green('✅ Packages built successfully!'));
+    return;
+  }
+
+  console.log(chalk.blue('🔨 Building package...'));
+  await buildCommand({ path: packages[0].path, watch: false, verbose });
+  console.log(chalk.green('✅ Package built successfully!'));
+}
+
+/**
+ * Print the files each package would be published with, as npm packs them
+ * @param {PublishPackage[]} packages - Packages to publish
+ */
+export function printPackContents(packages) {
+  for (const { path: packagePath, info } of packages) {
+    const { tag, access } = getPublishSettings(packagePath);
+    const directory = getPublishDirectory(packagePath);
+    const files = getPackFiles(directory);
+    const totalSize = files.reduce((total, { size }) => total + size, 0);
+    const details = [
+      directory !== packagePath && `from ${relative(packagePath, directory)}/`,
+      tag && `tag: ${tag}`,
+      access && `access: ${access}`,
+    ].filter(Boolean);
+
+    console.log(
+      chalk.cyan(
+        `\n📦 ${info.name}@${info.version}${details.length > 0 ? chalk.gray(` (${details.join(', ')})`) : ''}`,
+      ),
+    );
+
+    const sizes = files.map(({ size }) => formatSize(size));
+    const sizeWidth = Math.max(...sizes.map((size) => size.length));
+    files.forEach(({ path: file }, index) => {
+      console.log(
+        `   ${chalk.gray(/** @type {string} */ (sizes[index]).padStart(sizeWidth))}  ${file}`,
+      );
+    });
+
+    console.log(
+      chalk.gray(
+        `   ${files.length} ${files.length === 1 ? 'file' : 'files'}, ${formatSize(totalSize)}`,
+      ),
+    );
+  }
+}
+
 /**
  * Main publish staging command
  * @param {import('../schemas/config.js').PublishStagingOptions} options - Command options
@@ -1057,30 +1300,54 @@ export async function publishStaging(options) {
       reuseServer = false,
       force = false,
       stagingVersion = false,
+      workspace = false,
+      workspaces = [],
+      dryRun = false,
+      verbose = false,
     } = options;
+    const multiPackage = workspace || workspaces.length > 0;
 
     console.log(chalk.cyan(`🔧 ${chalk.bold('tsup-library-utils-cli')}`));
     console.log(
       chalk.cyan('   Setting up staging environment for package publishing\n'),
     );
 
-    // Get package information early to use package name in Verdaccio config
-    const packageInfo = getPackageInfo(packagePath);
+    // Get package information early to use package names in Verdaccio config
+    /** @type {PublishPackage[]} */
+    let packages;
+    /** @type {string} */
+    let rootPath;
+
+    if (multiPackage) {
+      ({ rootPath, packages } = getWorkspacePublishPackages(packagePath, {
+        workspace,
+        workspaces,
+      }));
+      console.log(
+        chalk.blue(
+          `📦 Publishing ${packages.length} package(s) in dependency order: ${packages.map(({ info }) => info.name).join(' → ')}`,
+        ),
+      );
+    } else {
+      packages = [{ path: packagePath, info: getPackageInfo(packagePath) }];
+      await loadConfig(packagePath);
 
-    // Find project root (look for pnpm-workspace.yaml or package.json with workspaces)
-    let rootPath = packagePath;
-    while (
-      !existsSync(join(rootPath, 'pnpm-workspace.yaml')) &&
-      !existsSync(join(rootPath, 'lerna.json'))
-    ) {
-      const pkgPath = join(rootPath, 'package.json');
-      if (existsSync(pkgPath)) {
-        const pkg = JSON.parse(readFileSync(pkgPath, 'utf-8'));
-        if (pkg.workspaces) break;
+      // Find project root (look for pnpm-workspace.yaml or package.json with workspaces)
+      rootPath = findWorkspaceRoot(packagePath) ?? packagePath;
+    }
+
+    // Resolve workspace: and catalog: ranges before building or publishing anything
+    for (const { path: stagingPackagePath } of packages) {
+      checkPublishRanges(stagingPackagePath);
+    }
+
+    if (dryRun) {
+      if (build) {
+        await buildPublishPackages(packages, rootPath, multiPackage, verbose);
       }
-      const parentPath = dirname(rootPath);
-      if (parentPath === rootPath) break; // Reached filesystem root
-      rootPath = parentPath;
+      printPackContents(packages);
+      console.log(chalk.green('\n✅ Dry run completed, nothing was published'));
+      return;
     }
 
     // Check if requested port is available or has existing Verdaccio server
@@ -1205,30 +1472,9 @@ export async function publishStaging(options) {
       );
     }
 
-    // Build package if requested
+    // Build packages if requested
     if (build) {
-      console.log(chalk.blue('🔨 Building package...'));
-      const buildProcess = spawn(
-        'node',
-        [join(packagePath, 'src', 'index.js'), 'build'],
-        {
-          cwd: packagePath,
-          stdio: 'inherit',
-        },
-      );
-
-      await new Promise((resolve, reject) => {
-        buildProcess.on('close', (code) => {
-          if (code === 0) {
-            console.log(chalk.green('✅ Package built successfully!'));
-            resolve(undefined);
-          } else {
-            reject(new Error(`Build failed with exit code ${code}`));
-          }
-        });
-
-        buildProcess.on('error', reject);
-      });
+      await buildPublishPackages(packages, rootPath, multiPackage, verbose);
     }
 
     // Update registryUrl with final port
@@ -1241,7 +1487,7 @@ export async function publishStaging(options) {
       const { configPath } = createVerdaccioConfig(
         rootPath,
         port,
-        packageInfo.name,
+        packages.map(({ info }) => info.name),
       );
       server = await startVerdaccio(configPath, port);
 
@@ -1286,11 +1532,23 @@ export async function publishStaging(options) {
     }
     console.log(chalk.cyan('   • Test User: test/test\n'));
 
-    // Publish package
-    await publishToRegistry(packagePath, finalRegistryUrl, packageInfo, {
-      force,
-      stagingVersion,
-    });
+    // Publish packages
+    let installSpecifiers = 'your-package';
+
+    if (multiPackage) {
+      const stagingVersions = await publishWorkspacePackages(
+        packages,
+        finalRegistryUrl,
+      );
+      installSpecifiers = [...stagingVersions]
+        .map(([name, version]) => `${name}@${version}`)
+        .join(' ');
+    } else {
+      await publishToRegistry(packagePath, finalRegistryUrl, packages[0].info, {
+        force,
+        stagingVersion,
+      });
+    }
 
     console.log(chalk.green('\n🎉 Staging setup completed successfully!\n'));
 
@@ -1302,7 +1560,7 @@ export async function publishStaging(options) {
     console.log(chalk.cyan('   2. Install in another project:'));
     console.log(
       chalk.gray(
-        `      npm install your-package --registry ${finalRegistryUrl}`,
+        `      npm install ${installSpecifiers} --registry ${finalRegistryUrl}`,
       ),
     );
     console.log(chalk.cyan('   3. Test your package thoroughly'));
@@ -1380,4 +1638,7 @@ export async function publishStaging(options) {
  * @property {number} [port=4873] - Registry port
  * @property {string} [path] - Package path
  * @property {boolean} [build=true] - Whether to build before publishing
+ * @property {boolean} [workspace=false] - Publish every workspace package
+ * @property {string[]} [workspaces] - Workspace globs or package names to publish
+ * @property {boolean} [dryRun=false] - List the packed files instead of publishing
  */
@@ -0,0 +1,636 @@
+/**
+ * @fileoverview Publish command implementation
+ * Publishes packages to the configured registry through the staging pipeline
+ * (build, temporary directory, manifest rewriting), after a mandatory dry run
+ * and checks of the git tree, published versions and dist-tags
+ */
+
+import { copyFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import spawn from 'cross-spawn';
+import chalk from 'chalk';
+import { loadConfig } from '../utils/config.js';
+import { promptSelect, promptUser, promptUserInput } from '../utils/input.js';
+import {
+  PackageError,
+  ConfigurationError,
+  writePackageJson,
+} from '../utils/package.js';
+import {
+  checkPublishRanges,
+  cleanupTempDir,
+  createTempDir,
+  createTempPublishDir,
+  getPublishSettings,
+} from '../utils/publish.js';
+import { parseVersion } from '../utils/semver.js';
+import { findWorkspaceRoot } from '../utils/workspace.js';
+import {
+  buildPublishPackages,
+  getPackageInfo,
+  getWorkspacePublishPackages,
+  printPackContents,
+} from './publish-staging.js';
+
+/**
+ * Number of times a one-time password is asked for before giving up
+ */
+const OTP_ATTEMPTS = 3;
+
+/**
+ * Publish target type definition
+ * @typedef {Object} PublishTarget
+ * @property {string} name - Package name
+ * @property {string} version - Version to publish
+ * @property {string} path - Package path
+ * @property {string} registry - Registry URL
+ * @property {string} tag - Dist-tag to publish under
+ * @property {string} [access] - Package access, "public" or "restricted"
+ * @property {Record<string, string>} distTags - Dist-tags before publishing, for rollback
+ * @property {string} npmDir - Directory npm runs from, with the project .npmrc of the staged copy
+ * @property {string} [tempDir] - Staged copy of the package
+ */
+
+/**
+ * Run npm synchronously, capturing its output
+ * @param {string[]} args - npm arguments
+ * @param {string} cwd - Working directory
+ * @returns {{status: number | null, stdout: string, stderr: string, error?: Error}} npm result
+ */
+function runNpm(args, cwd) {
+  const { status, stdout, stderr, error } = spawn.sync('npm', args, {
+    cwd,
+    encoding: 'utf-8',
+  });
+  return { status, stdout: stdout ?? '', stderr: stderr ?? '', error };
+}
+
+/**
+ * Get the last lines of npm output for error messages
+ * @param {string} output - npm output
+ * @returns {string} Last lines, indented
+ */
+function tailOutput(output) {
+  return output.trim().split('\n').slice(-5).join('\n   ');
+}
+
+/**
+ * Whether npm output reports a missing package
+ * @param {string} output - npm output
+ * @returns {boolean} Whether the registry answered 404
+ */
+function isNotFound(output) {
+  return /E404|404 Not Found/.test(output);
+}
+
+/**
+ * Whether npm output asks for a one-time password
+ * @param {string} output - npm output
+ * @returns {boolean} Whether two-factor authentication is required
+ */
+function needsOtp(output) {
+  return /EOTP|one-time pass/i.test(output);
+}
+
+/**
+ * Get the registry npm publishes to when none is configured for the package
+ * @param {string} cwd - Directory with the project .npmrc
+ * @returns {string} Registry URL
+ */
+function getNpmRegistry(cwd) {
+  const { status, stdout, stderr, error } = runNpm(
+    ['config', 'get', 'registry'],
+    cwd,
+  );
+  if (error || status !== 0) {
+    throw new PackageError(
+      `npm config get registry failed: ${error ? error.message : tailOutput(stderr)}`,
+      cwd,
+    );
+  }
+  return stdout.trim();
+}
+
+/**
+ * Copy the .npmrc of the package, or else of the workspace root, into a
+ * directory npm runs from, so it uses the project's registry settings and
+ * credentials. npm run from a workspace package never reads the .npmrc of
+ * the workspace root.
+ * @param {string} packagePath - Package path
+ * @param {string} rootPath - Workspace or package root
+ * @param {string} tempDir - Staged copy of the package, or an empty directory
+ */
+function copyProjectNpmrc(packagePath, rootPath, tempDir) {
+  const npmrcPath = [packagePath, rootPath]
+    .map((directory) => join(directory, '.npmrc'))
+    .find((candidate) => existsSync(candidate));
+
+  if (npmrcPath) {
+    copyFileSync(npmrcPath, join(tempDir, '.npmrc'));
+  }
+}
+
+/**
+ * Check that the git tree of the packages has no uncommitted changes
+ * @param {string} rootPath - Workspace or package root
+ */
+function checkGitClean(rootPath) {
+  const { status, stdout, stderr, error } = spawn.sync(
+    'git',
+    ['status', '--porcelain', '--', '.'],
+    { cwd: rootPath, encoding: 'utf-8' },
+  );
+
+  if (error || status !== 0) {
+    throw new ConfigurationError(
+      `Cannot check the git tree of ${rootPath}: ${error ? error.message : (stderr ?? '').trim()}`,
+      [
+        'Publish from a git checkout',
+        'Use --no-git-checks to publish without checking the git tree',
+      ],
+    );
+  }
+
+  const changes = (stdout ?? '').split('\n').filter(Boolean);
+  if (changes.length > 0) {
+    throw new ConfigurationError(
+      `The git tree has ${changes.length} uncommitted ${changes.length === 1 ? 'change' : 'changes'}:\n     ${changes.slice(0, 10).join('\n     ')}${changes.length > 10 ? '\n     ...' : ''}`,
+      [
+        'Commit or stash the changes so the published code matches a commit',
+        'Use --no-git-checks to publish anyway',
+      ],
+    );
+  }
+}
+
+/**
+ * Check whether a package version is already in the registry
+ * @param {PublishTarget} target - Package to publish
+ * @returns {boolean} Whether the version is published
+ */
+function isPublished({ name, version, registry, path: packagePath, npmDir }) {
+  const { status, stdout, stderr, error } = runNpm(
+    ['view', `${name}@${version}`, 'version', '--json', '--registry', registry],
+    npmDir,
+  );
+
+  if (!error && status === 0) {
+    return stdout.trim() !== '';
+  }
+  if (isNotFound(stdout + stderr)) {
+    return false;
+  }
+
+  throw new PackageError(
+    `Cannot look up ${name} in ${registry}: ${error ? error.message : tailOutput(stderr || stdout)}`,
+    packagePath,
+  );
+}
+
+/**
+ * Get the current dist-tags of a package
+ * @param {PublishTarget} target - Package to publish
+ * @returns {Record<string, string>} Dist-tag to version, empty for new packages
+ */
+function getDistTags({ name, registry, path: packagePath, npmDir }) {
+  const { status, stdout, stderr, error } = runNpm(
+    ['view', name, 'dist-tags', '--json', '--registry', registry],
+    npmDir,
+  );
+
+  if (!error && status === 0) {
+    return stdout.trim() ? JSON.parse(stdout) : {};
+  }
+  if (isNotFound(stdout + stderr)) {
+    return {};
+  }
+
+  throw new PackageError(
+    `Cannot read the dist-tags of ${name}: ${error ? error.message : tailOutput(stderr || stdout)}`,
+    packagePath,
+  );
+}
+
+/**
+ * Get the dist-tag a version is published under when none is chosen:
+ * publishConfig.tag, the prerelease id for prereleases, or "latest"
+ * @param {string} version - Package version
+ * @param {string} [configuredTag] - publishConfig.tag
+ * @returns {string} Dist-tag
+ */
+function getDefaultTag(version, configuredTag) {
+  if (configuredTag) return configuredTag;
+
+  const [prereleaseId] = parseVersion(version)?.prerelease ?? [];
+  if (prereleaseId === undefined) return 'latest';
+
+  return typeof prereleaseId === 'number' ? 'next' : prereleaseId;
+}
+
+/**
+ * Run npm publish from a staged copy, forwarding its output
+ * @param {string} cwd - Staged copy of the package
+ * @param {string[]} args - npm publish arguments
+ * @returns {Promise<{code: number | null, output: string}>} Exit code and output
+ */
+function runNpmPublish(cwd, args) {
+  return new Promise((resolve, reject) => {
+    // npm never reads stdin, so two-factor prompts go through our own input
+    const publish = spawn('npm', ['publish', ...args], {
+      cwd,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    let output = '';
+    publish.stdout?.on('data', (chunk) => {
+      output += chunk;
+      process.stdout.write(chunk);
+    });
+    publish.stderr?.on('data', (chunk) => {
+      output += chunk;
+      process.stderr.write(chunk);
+    });
+
+    publish.on('error', reject);
+    publish.on('close', (code) => resolve({ code, output }));
+  });
+}
+
+/**
+ * Get the npm publish arguments of a target
+ * @param {PublishTarget} target - Package to publish
+ * @param {{provenance: boolean, otp?: string}} options - Provenance and one-time password
+ * @returns {string[]} npm publish arguments
+ */
+function getPublishArgs({ registry, tag, access }, { provenance, otp }) {
+  return [
+    '--registry',
+    registry,
+    '--tag',
+    tag,
+    ...(access ? ['--access', access] : []),
+    ...(provenance ? ['--provenance'] : []),
+    ...(otp ? ['--otp', otp] : []),
+  ];
+}
+
+/**
+ * Point the dist-tags of published packages back at their previous versions.
+ * One-time passwords expire within a minute, so an expired one is asked for
+ * again.
+ * @param {PublishTarget[]} published - Packages published before the failure
+ * @param {{otp?: string, interactive: boolean}} options - Last one-time password, and whether to prompt for a new one
+ */
+async function rollbackDistTags(published, { otp, interactive }) {
+  for (const { name, version, registry, tag, distTags, npmDir } of [
+    ...published,
+  ].reverse()) {
+    const previous = distTags[tag];
+
+    if (!previous && tag === 'latest') {
+      console.warn(
+        chalk.yellow(
+          `   ⚠️  ${name}@${version} is the first version, "latest" cannot be removed`,
+        ),
+      );
+      continue;
+    }
+
+    const args = previous
+      ? ['dist-tag', 'add', `${name}@${previous}`, tag]
+      : ['dist-tag', 'rm', name, tag];
+    const runDistTag = () =>
+      runNpm(
+        [...args, '--registry', registry, ...(otp ? ['--otp', otp] : [])],
+        npmDir,
+      );
+
+    let attempts = 0;
+    let result = runDistTag();
+    while (
+      result.status !== 0 &&
+      needsOtp(result.stdout + result.stderr) &&
+      interactive &&
+      attempts < OTP_ATTEMPTS
+    ) {
+      attempts++;
+      const code = await promptUserInput(
+        chalk.cyan('🔑 One-time password for the rollback: '),
+      );
+      if (code === false) break;
+
+      otp = code;
+      result = runDistTag();
+    }
+
+    const { status, stderr, error } = result;
+
+    if (error || status !== 0) {
+      console.error(
+        chalk.red(
+          `   ❌ Could not restore ${name}@${tag}: ${error ? error.message : tailOutput(stderr)}`,
+        ),
+      );
+    } else {
+      console.log(
+        chalk.yellow(
+          previous
+            ? `   ↩️  ${name}@${tag} → ${previous}`
+            : `   ↩️  Removed ${name}@${tag}`,
+        ),
+      );
+    }
+  }
+}
+
+/**
+ * Publish command implementation with comprehensive error handling
+ * @param {import('../schemas/config.js').PublishOptions} options - Publish command options
+ * @returns {Promise<void>} Publish completion promise
+ */
+export async function publishCommand(options) {
+  const {
+    path: packagePath,
+    workspace,
+    workspaces,
+    build,
+    provenance,
+    gitChecks,
+    yes,
+    verbose,
+  } = options;
+  const multiPackage = workspace || workspaces.length > 0;
+  const interactive =
+    !yes && process.stdin.isTTY === true && process.env.CI !== 'true';
+  let otp = options.otp;
+
+  console.log(chalk.blue(`🚀 Publishing from: ${packagePath}`));
+
+  /** @type {PublishTarget[]} */
+  let targets = [];
+  /** @type {string[]} */
+  let builtPaths = [];
+
+  try {
+    // Step 1: Select the packages and resolve their manifests
+    /** @type {import('./publish-staging.js').PublishPackage[]} */
+    let packages;
+    /** @type {string} */
+    let rootPath;
+
+    if (multiPackage) {
+      ({ rootPath, packages } = getWorkspacePublishPackages(packagePath, {
+        workspace,
+        workspaces,
+      }));
+    } else {
+      const info = getPackageInfo(packagePath);
+      if (info.private) {
+        throw new PackageError(
+          `Package "${info.name}" is marked as private and cannot be published`,
+          packagePath,
+        );
+      }
+
+      packages = [{ path: packagePath, info }];
+      await loadConfig(packagePath);
+      rootPath = findWorkspaceRoot(packagePath) ?? packagePath;
+    }
+
+    for (const { path: publishPath } of packages) {
+      checkPublishRanges(publishPath);
+    }
+
+    // Step 2: Check the git tree before the build touches it
+    if (gitChecks) {
+      console.log(chalk.blue('🔍 Checking the git tree...'));
+      checkGitClean(rootPath);
+    }
+
+    // Step 3: Check the versions against the registry
+    console.log(chalk.blue('🔍 Checking published versions...'));
+    for (const { path: publishPath, info } of packages) {
+      if (!info.version) {
+        throw new PackageError(
+          `Package "${info.name}" must have a version specified in package.json`,
+          publishPath,
+        );
+      }
+
+      // npm runs with the .npmrc the staged copy gets, from the start
+      const npmDir = await createTempDir('libsync-npm-');
+      copyProjectNpmrc(publishPath, rootPath, npmDir);
+
+      const settings = getPublishSettings(publishPath);
+      targets.push({
+        name: info.name,
+        version: info.version,
+        path: publishPath,
+        registry:
+          options.registry ?? settings.registry ?? getNpmRegistry(npmDir),
+        tag: options.tag ?? getDefaultTag(info.version, settings.tag),
+        access: options.access ?? settings.access,
+        distTags: {},
+        npmDir,
+      });
+    }
+
+    const alreadyPublished = targets.filter(isPublished);
+    if (alreadyPublished.length > 0) {
+      throw new ConfigurationError(
+        `Already published: ${alreadyPublished.map(({ name, version }) => `${name}@${version}`).join(', ')}`,
+        [
+          'Bump the versions with libsync version, e.g. libsync version patch',
+          'Published versions can never be published again, even after unpublishing',
+        ],
+      );
+    }
+
+    for (const target of targets) {
+      target.distTags = getDistTags(target);
+    }
+
+    // Step 4: Choose the dist-tag
+    if (!options.tag && interactive) {
+      const candidates = [
+        ...new Set([...targets.map(({ tag }) => tag), 'latest', 'next']),
+      ];
+      const selected = await promptSelect(
+        chalk.cyan('\nDist-tag to publish under:'),
+        candidates,
+      );
+      const tag = /** @type {string} */ (candidates[selected]);
+      targets.forEach((target) => (target.tag = tag));
+    }
+
+    // Step 5: Build
+    if (build) {
+      console.log(chalk.blue('🔨 Building...'));
+      builtPaths = packages.map(({ path: publishPath }) => publishPath);
+      await buildPublishPackages(packages, rootPath, multiPackage, verbose);
+    }
+
+    // Step 6: Stage every package and dry run the publish
+    console.log(chalk.blue('🧪 Dry run...'));
+    printPackContents(packages);
+
+    for (const target of targets) {
+      target.tempDir = await createTempPublishDir(target.path);
+      copyProjectNpmrc(target.path, rootPath, target.tempDir);
+
+      const { status, stdout, stderr, error } = runNpm(
+        ['publish', '--dry-run', ...getPublishArgs(target, { provenance })],
+        target.tempDir,
+      );
+      if (verbose) {
+        console.log(chalk.gray(stderr.trim() || stdout.trim()));
+      }
+      if (error || status !== 0) {
+        throw new PackageError(
+          `Dry run of ${target.name} failed: ${error ? error.message : tailOutput(stderr || stdout)}`,
+          target.path,
+        );
+      }
+    }
+
+    console.log(chalk.cyan('\n📋 Release plan:'));
+    for (const { name, version, tag, registry } of targets) {
+      console.log(
+        `   ${name}@${version} ${chalk.gray(`→ ${tag} on ${registry}`)}`,
+      );
+    }
+    if (provenance) {
+      console.log(chalk.gray('   With provenance statements'));
+    }
+
+    if (
+      interactive &&
+      !(await promptUser(
+        chalk.cyan(`\nPublish ${targets.length} package(s)? [Y/n]: `),
+      ))
+    ) {
+      console.log(chalk.yellow('🚫 Publishing cancelled by user'));
+      return;
+    }
+
+    // Step 7: Publish in dependency order
+    /** @type {PublishTarget[]} */
+    const published = [];
+
+    for (const target of targets) {
+      console.log(
+        chalk.blue(`\n📦 Publishing ${target.name}@${target.version}`),
+      );
+
+      let attempts = 0;
+      let result = await runNpmPublish(
+        /** @type {string} */ (target.tempDir),
+        getPublishArgs(target, { provenance, otp }),
+      );
+
+      while (
+        result.code !== 0 &&
+        needsOtp(result.output) &&
+        interactive &&
+        attempts < OTP_ATTEMPTS
+      ) {
+        attempts++;
+        const code = await promptUserInput(
+          chalk.cyan('🔑 One-time password: '),
+        );
+        if (code === false) break;
+
+        otp = code;
+        result = await runNpmPublish(
+          /** @type {string} */ (target.tempDir),
+          getPublishArgs(target, { provenance, otp }),
+        );
+      }
+
+      if (result.code !== 0) {
+        const reason = needsOtp(result.output)
+          ? 'a one-time password is required (pass --otp)'
+          : `npm publish exited with code ${result.code}`;
+
+        if (published.length > 0) {
+          console.log(chalk.yellow('\n↩️  Rolling back dist-tags...'));
+          await rollbackDistTags(published, { otp, interactive });
+        }
+
+        // Registries never take a version back, so only the dist-tags move
+        const kept =
+          published.length > 0
+            ? `; ${published.map(({ name, version }) => `${name}@${version}`).join(', ')} stay published with their dist-tags restored`
+            : '';
+        throw new PackageError(
+          `Publishing ${target.name} failed after ${published.length} of ${targets.length} packages: ${reason}${kept}`,
+          target.path,
+        );
+      }
+
+      published.push(target);
+      console.log(
+        chalk.green(
+          `✅ ${target.name}@${target.version} published under "${target.tag}"`,
+        ),
+      );
+    }
+
+    console.log(
+      chalk.green(
+        `\n🎉 Published ${published.length} package(s) successfully!`,
+      ),
+    );
+  } catch (error) {
+    if (error instanceof ConfigurationError) {
+      console.error(chalk.red('\n❌ Configuration Error:'));
+      console.error(chalk.red(`   ${error.message}`));
+
+      if (error.suggestions.length > 0) {
+        console.error(chalk.yellow('\n💡 Suggestions to fix this:'));
+        error.suggestions.forEach((suggestion) => {
+          console.error(chalk.yellow(`   • ${suggestion}`));
+        });
+      }
+    } else if (error instanceof PackageError) {
+      console.error(chalk.red('\n❌ Package Error:'));
+      console.error(chalk.red(`   ${error.message}`));
+      if (error.packagePath) {
+        console.error(chalk.gray(`   Package: ${error.packagePath}`));
+      }
+    } else {
+      console.error(chalk.red('\n❌ Unexpected error during publish:'));
+      console.error(
+        chalk.red(
+          `   ${error instanceof Error ? error.message : String(error)}`,
+        ),
+      );
+    }
+
+    throw error; // Re-throw for proper CLI error handling
+  } finally {
+    for (const { tempDir, npmDir } of targets) {
+      if (tempDir) await cleanupTempDir(tempDir);
+      await cleanupTempDir(npmDir);
+    }
+
+    // The build leaves package.json in production mode
+    let restored = builtPaths.length > 0;
+    for (const builtPath of builtPaths) {
+      try {
+        await loadConfig(builtPath);
+        writePackageJson(builtPath);
+      } catch (error) {
+        restored = false;
+        console.error(
+          chalk.red(
+            `⚠️  Failed to restore package.json to dev mode: ${error instanceof Error ? error.message : String(error)}`,
+          ),
+        );
+      }
+    }
+    if (restored) {
+      console.log(chalk.green('✅ package.json restored to development mode'));
+    }
+  }
+}
@@ -0,0 +1,639 @@
+/**
+ * @fileoverview Verify command implementation
+ * Packs the built package, installs the tarball into a throwaway project and
+ * loads every entry the way a consumer would
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import chalk from 'chalk';
+import spawn from 'cross-spawn';
+import { glob } from 'glob';
+import { loadTypeScript } from '../utils/api.js';
+import { getConfig, loadConfig } from '../utils/config.js';
+import {
+  PackageError,
+  ConfigurationError,
+  getProxyFolders,
+  readPackageJson,
+} from '../utils/package.js';
+import { cleanupTempDir, createTempDir } from '../utils/publish.js';
+
+/**
+ * Verify options type definition
+ * @typedef {Object} VerifyOptions
+ * @property {string} path - Package path to verify
+ * @property {boolean} keep - Keep the temporary project for inspection
+ * @property {boolean} verbose - Enable verbose logging
+ */
+
+/**
+ * A single load of an installed entry
+ * @typedef {Object} RuntimeCheck
+ * @property {'import' | 'require'} mode - How the entry is loaded
+ * @property {string} label - Specifier shown in the report
+ * @property {string} request - Specifier or file URL passed to import()/require()
+ * @property {boolean} [proxy] - Whether the check loads a proxy folder
+ * @property {string} [error] - Failure known before running the check
+ */
+
+/**
+ * Conditions Node.js matches for import() and require()
+ */
+const RUNTIME_CONDITIONS = {
+  import: ['import', 'node', 'default'],
+  require: ['require', 'node', 'default'],
+};
+
+/**
+ * TypeScript errors for modules that cannot be resolved or have no types:
+ * "Cannot find module" and "Could not find a declaration file for module"
+ */
+const UNRESOLVED_MODULE_CODES = [2307, 7016];
+
+/**
+ * Time allowed for loading every entry
+ */
+const RUNTIME_TIMEOUT = 60_000;
+
+/**
+ * Verify command implementation with comprehensive error handling
+ * @param {VerifyOptions} options - Verify command options
+ * @returns {Promise<void>} Verify completion promise
+ */
+export async function verifyCommand(options) {
+  const { path: packagePath, keep, verbose } = options;
+
+  console.log(chalk.blue(`🧪 Verifying packed package at: ${packagePath}`));
+
+  /** @type {string | null} */
+  let tempDir = null;
+
+  try {
+    await loadConfig(packagePath);
+
+    const pkg = readPackageJson(packagePath);
+    const { sourceDir } = getConfig(packagePath);
+    const entryFields = JSON.stringify([
+      pkg.main,
+      pkg.module,
+      pkg.types,
+      pkg.exports,
+    ]);
+
+    if (
+      entryFields.includes(`"./${sourceDir}/`) ||
+      entryFields.includes(`"${sourceDir}/`)
+    ) {
+      throw new PackageError(
+        'package.json is in development mode. Run libsync build before verifying',
+        packagePath,
+      );
+    }
+
+    tempDir = await createTempDir('libsync-verify-');
+    const consumerDir = path.join(tempDir, 'consumer');
+    mkdirSync(consumerDir);
+
+    // Step 1: Pack exactly what npm would publish
+    console.log(chalk.blue('📦 Step 1: Packing package...'));
+    const packOutput = runCommand(
+      'npm',
+      ['pack', '--json', '--ignore-scripts', '--pack-destination', tempDir],
+      packagePath,
+    );
+    const [{ filename, files }] = JSON.parse(packOutput);
+    const tarballPath = path.join(tempDir, path.basename(filename));
+
+    if (verbose) {
+      console.log(
+        chalk.gray(`   ${path.basename(filename)} (${files.length} files)`),
+      );
+    }
+
+    // Step 2: Install the tarball into a throwaway consumer project
+    console.log(chalk.blue('📥 Step 2: Installing tarball...'));
+    writeFileSync(
+      path.join(consumerDir, 'package.json'),
+      JSON.stringify(
+        { name: 'libsync-verify-consumer', private: true, type: 'module' },
+        null,
+        2,
+      ) + '\n',
+    );
+    runCommand(
+      'npm',
+      [
+        'install',
+        tarballPath,
+        '--no-audit',
+        '--no-fund',
+        '--no-package-lock',
+        '--ignore-scripts',
+      ],
+      consumerDir,
+    );
+
+    const installedPath = path.join(consumerDir, 'node_modules', pkg.name);
+
+    // Step 3: Load every entry with import() and require()
+    console.log(chalk.blue('🔌 Step 3: Loading every entry...'));
+    const checks = [
+      ...getExportsChecks(pkg, installedPath),
+      ...getProxyChecks(pkg.name, getProxyFolders(packagePath), installedPath),
+    ];
+    const results = runRuntimeChecks(consumerDir, checks);
+
+    for (const { mode, label, error } of results) {
+      if (error) {
+        console.log(chalk.red(`   ❌ ${mode.padEnd(7)} ${label}`));
+        console.log(chalk.red(`      ${error}`));
+      } else if (verbose) {
+        console.log(chalk.green(`   ✅ ${mode.padEnd(7)} ${label}`));
+      }
+    }
+
+    const runtimeFailures = results.filter(({ error }) => error).length;
+
+    // Step 4: Type-check a consumer against the published declarations
+    /** @type {string[]} */
+    let typeErrors = [];
+
+    if (hasDeclarations(pkg)) {
+      console.log(chalk.blue('🔍 Step 4: Type-checking consumer...'));
+      const proxySpecifiers = Object.keys(getProxyFolders(packagePath))
+        .filter((folder) =>
+          existsSync(path.join(installedPath, folder, 'package.json')),
+        )
+        .map((folder) => `${pkg.name}/${folder}`);
+
+      typeErrors = typeCheckConsumer(
+        packagePath,
+        consumerDir,
+        installedPath,
+        pkg.name,
+        checks,
+        proxySpecifiers,
+      );
+
+      for (const typeError of typeErrors) {
+        console.log(chalk.red(`   ❌ ${typeError}`));
+      }
+    } else if (verbose) {
+      console.log(
+        chalk.gray('   Skipping type check: package has no declarations'),
+      );
+    }
+
+    if (runtimeFailures > 0 || typeErrors.length > 0) {
+      throw new PackageError(
+        `Verification failed: ${runtimeFailures} of ${results.length} entry loads and ${typeErrors.length} type ${typeErrors.length === 1 ? 'error' : 'errors'}`,
+        packagePath,
+      );
+    }
+
+    console.log(
+      chalk.green(
+        `✅ Packed package verified (${results.length} entry loads${hasDeclarations(pkg) ? ', types resolve' : ''})`,
+      ),
+    );
+  } catch (error) {
+    if (error instanceof ConfigurationError) {
+      console.error(chalk.red('\n❌ Configuration Error:'));
+      console.error(chalk.red(`   ${error.message}`));
+
+      if (error.suggestions.length > 0) {
+        console.error(chalk.yellow('\n💡 Suggestions to fix this:'));
+        error.suggestions.forEach((suggestion) => {
+          console.error(chalk.yellow(`   • ${suggestion}`));
+        });
+      }
+    } else if (error instanceof PackageError) {
+      console.error(chalk.red('\n❌ Package Error:'));
+      console.error(chalk.red(`   ${error.message}`));
+      if (error.packagePath) {
+        console.error(chalk.gray(`   Package: ${error.packagePath}`));
+      }
+    } else {
+      console.error(chalk.red('\n❌ Unexpected error during verify:'));
+      console.error(
+        chalk.red(
+          `   ${error instanceof Error ? error.message : String(error)}`,
+        ),
+      );
+    }
+
+    throw error; // Re-throw for proper CLI error handling
+  } finally {
+    if (tempDir) {
+      if (keep) {
+        console.log(chalk.gray(`   Temporary project kept at: ${tempDir}`));
+      } else {
+        await cleanupTempDir(tempDir);
+      }
+    }
+  }
+}
+
+/**
+ * Run a command and return its output, failing with its error output
+ * @param {string} command - Command to run
+ * @param {string[]} args - Command arguments
+ * @param {string} cwd - Working directory
+ * @returns {string} Standard output
+ */
+function runCommand(command, args, cwd) {
+  const { status, stdout, stderr, error } = spawn.sync(command, args, {
+    cwd,
+    encoding: 'utf-8',
+  });
+
+  if (error || status !== 0) {
+    const output = (stderr || stdout || '').trim().split('\n').slice(-5);
+    throw new PackageError(
+      `${command} ${args[0]} failed: ${error ? error.message : output.join('\n   ')}`,
+      cwd,
+    );
+  }
+
+  return stdout;
+}
+
+/**
+ * Collect every condition used in an exports value
+ * @param {unknown} value - Exports value
+ * @param {Set<string>} [conditions] - Conditions collected so far
+ * @returns {Set<string>} Conditions
+ */
+function getConditions(value, conditions = new Set()) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => getConditions(item, conditions));
+  } else if (value && typeof value === 'object') {
+    for (const [condition, nested] of Object.entries(value)) {
+      conditions.add(condition);
+      getConditions(nested, conditions);
+    }
+  }
+  return conditions;
+}
+
+/**
+ * Get the first code (non-declaration) target of an exports value
+ * @param {unknown} value - Exports value
+ * @returns {string | null} Target path
+ */
+function getCodeTarget(value) {
+  if (typeof value === 'string') {
+    return /\.d\.[cm]?ts$/.test(value) ? null : value;
+  }
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      const target = getCodeTarget(item);
+      if (target) return target;
+    }
+  } else if (value && typeof value === 'object') {
+    for (const [condition, nested] of Object.entries(value)) {
+      if (condition === 'types') continue;
+      const target = getCodeTarget(nested);
+      if (target) return target;
+    }
+  }
+  return null;
+}
+
+/**
+ * Expand a subpath pattern into the specifiers the installed files provide
+ * @param {string} subpath - Subpath pattern, e.g. "./icons/*"
+ * @param {unknown} value - Exports value of the pattern
+ * @param {string} installedPath - Installed package path
+ * @returns {string[]} Concrete subpaths
+ */
+function expandSubpathPattern(subpath, value, installedPath) {
+  const target = getCodeTarget(value);
+  if (!target || !target.includes('*')) return [];
+
+  const [prefix, suffix] = target.replace(/^\.\//, '').split('*');
+  return glob
+    .sync(`${prefix}**/*${suffix}`, { cwd: installedPath, posix: true })
+    .map((file) => file.slice(prefix.length, file.length - suffix.length))
+    .sort()
+    .map((match) => subpath.replace('*', match));
+}
+
+/**
+ * Get the import()/require() checks for the exports map, or for main when
+ * the package has no exports field
+ * @param {Record<string, any>} pkg - Production package.json
+ * @param {string} installedPath - Installed package path
+ * @returns {RuntimeCheck[]} Checks
+ */
+function getExportsChecks(pkg, installedPath) {
+  const exportsField = pkg.exports;
+
+  if (exportsField === undefined) {
+    if (!pkg.main && !pkg.module) return [];
+    /** @type {RuntimeCheck[]} */
+    const checks = [{ mode: 'import', label: pkg.name, request: pkg.name }];
+    if (pkg.main) {
+      checks.push({ mode: 'require', label: pkg.name, request: pkg.name });
+    }
+    return checks;
+  }
+
+  const exportsMap =
+    typeof exportsField === 'string' ||
+    Array.isArray(exportsField) ||
+    !Object.keys(exportsField).some((key) => key.startsWith('.'))
+      ? { '.': exportsField }
+      : exportsField;
+
+  /** @type {RuntimeCheck[]} */
+  const checks = [];
+
+  for (const [subpath, value] of Object.entries(exportsMap)) {
+    if (subpath === './package.json' || value === null) continue;
+
+    const conditions = getConditions(value);
+    const subpaths = subpath.includes('*')
+      ? expandSubpathPattern(subpath, value, installedPath)
+      : [subpath];
+
+    for (const mode of /** @type {const} */ (['import', 'require'])) {
+      const matches =
+        typeof value === 'string' ||
+        RUNTIME_CONDITIONS[mode].some((condition) => conditions.has(condition));
+      if (!matches) continue;
+
+      for (const concreteSubpath of subpaths) {
+        const specifier =
+          concreteSubpath === '.'
+            ? pkg.name
+            : `${pkg.name}${concreteSubpath.slice(1)}`;
+        checks.push({ mode, label: specifier, request: specifier });
+      }
+    }
+  }
+
+  return checks;
+}
+
+/**
+ * Get the checks loading each proxy folder through its own package.json
+ * @param {string} packageName - Package name
+ * @param {Record<string, string>} proxyFolders - Proxy folder mapping
+ * @param {string} installedPath - Installed package path
+ * @returns {RuntimeCheck[]} Checks
+ */
+function getProxyChecks(packageName, proxyFolders, installedPath) {
+  /** @type {RuntimeCheck[]} */
+  const checks = [];
+
+  for (const folder of Object.keys(proxyFolders)) {
+    const label = `${packageName}/${folder} (proxy)`;
+    const proxyPath = path.join(installedPath, folder);
+    const proxyPackageJsonPath = path.join(proxyPath, 'package.json');
+
+    if (!existsSync(proxyPackageJsonPath)) {
+      checks.push({
+        mode: 'require',
+        label,
+        request: proxyPath,
+        proxy: true,
+        error: `${folder}/package.json is not included in the packed package`,
+      });
+      continue;
+    }
+
+    const proxy = JSON.parse(readFileSync(proxyPackageJsonPath, 'utf-8'));
+
+    if (proxy.module) {
+      checks.push({
+        mode: 'import',
+        label,
+        request: pathToFileURL(path.join(proxyPath, proxy.module)).href,
+        proxy: true,
+      });
+    }
+    if (proxy.main) {
+      checks.push({ mode: 'require', label, request: proxyPath, proxy: true });
+    }
+  }
+
+  return checks;
+}
+
+/**
+ * Load every entry from inside the consumer project
+ * @param {string} consumerDir - Consumer project path
+ * @param {RuntimeCheck[]} checks - Checks to run
+ * @returns {RuntimeCheck[]} Checks with their errors
+ */
+function runRuntimeChecks(consumerDir, checks) {
+  const scriptPath = path.join(consumerDir, 'verify-runtime.mjs');
+  const resultsPath = path.join(consumerDir, 'verify-runtime.json');
+  const pending = checks.filter(({ error }) => !error);
+
+  writeFileSync(
+    scriptPath,
+    [
+      "import { writeFileSync } from 'fs';",
+      "import { createRequire } from 'module';",
+      '',
+      'const require = createRequire(import.meta.url);',
+      `const checks = ${JSON.stringify(pending)};`,
+      'const errors = [];',
+      '',
+      'for (const { mode, request } of checks) {',
+      '  try {',
+      "    if (mode === 'require') require(request);",
+      '    else await import(request);',
+      '    errors.push(null);',
+      '  } catch (error) {',
+      "    errors.push(String(error?.message ?? error).split('\\n')[0]);",
+      '  }',
+      '}',
+      '',
+      `writeFileSync(${JSON.stringify(resultsPath)}, JSON.stringify(errors));`,
+      'process.exit(0);',
+      '',
+    ].join('\n'),
+  );
+
+  const { error } = spawn.sync(process.execPath, [scriptPath], {
+    cwd: consumerDir,
+    stdio: 'ignore',
+    timeout: RUNTIME_TIMEOUT,
+  });
+
+  if (error || !existsSync(resultsPath)) {
+    throw new PackageError(
+      `Loading the installed entries did not complete${error ? `: ${error.message}` : ''}`,
+      consumerDir,
+    );
+  }
+
+  /** @type {(string | null)[]} */
+  const errors = JSON.parse(readFileSync(resultsPath, 'utf-8'));
+
+  return checks.map((check) =>
+    check.error
+      ? check
+      : { ...check, error: errors[pending.indexOf(check)] ?? undefined },
+  );
+}
+
+/**
+ * Whether the package publishes type declarations
+ * @param {Record<string, any>} pkg - Production package.json
+ * @returns {boolean} Whether declarations are published
+ */
+function hasDeclarations(pkg) {
+  return Boolean(
+    pkg.types || pkg.typings || getConditions(pkg.exports).has('types'),
+  );
+}
+
+/**
+ * Type-check generated consumers importing every entry: ESM and CommonJS
+ * consumers with "nodenext" resolution, and a consumer importing every proxy
+ * folder with "node10" resolution, the one proxy folders exist for.
+ * Errors in the declarations of dependencies are ignored, but the installed
+ * package's own declarations are checked, so broken re-exports are reported.
+ * @param {string} packagePath - Package path, used to locate TypeScript
+ * @param {string} consumerDir - Consumer project path
+ * @param {string} installedPath - Installed package path
+ * @param {string} packageName - Package name
+ * @param {RuntimeCheck[]} checks - Runtime checks, one per specifier and mode
+ * @param {string[]} proxySpecifiers - Specifiers of the installed proxy folders
+ * @returns {string[]} Formatted type errors
+ */
+function typeCheckConsumer(
+  packagePath,
+  consumerDir,
+  installedPath,
+  packageName,
+  checks,
+  proxySpecifiers,
+) {
+  const ts = loadTypeScript(packagePath, 'type-check the consumer');
+
+  /**
+   * @param {'import' | 'require'} mode - Load mode
+   * @returns {string[]} Unique package specifiers
+   */
+  const getSpecifiers = (mode) => [
+    ...new Set(
+      checks
+        .filter((check) => check.mode === mode && !check.proxy)
+        .map(({ request }) => request),
+    ),
+  ];
+
+  const esmConsumerPath = path.join(consumerDir, 'verify-types.mts');
+  const cjsConsumerPath = path.join(consumerDir, 'verify-types.cts');
+  const proxyConsumerPath = path.join(consumerDir, 'verify-types-proxies.ts');
+
+  writeFileSync(
+    esmConsumerPath,
+    getSpecifiers('import')
+      .map(
+        (specifier, index) =>
+          `import * as entry${index} from ${JSON.stringify(specifier)};\nvoid entry${index};\n`,
+      )
+      .join('') + 'export {};\n',
+  );
+  writeFileSync(
+    cjsConsumerPath,
+    getSpecifiers('require')
+      .map(
+        (specifier, index) =>
+          `import entry${index} = require(${JSON.stringify(specifier)});\nvoid entry${index};\n`,
+      )
+      .join('') + 'export {};\n',
+  );
+
+  /** @type {import('typescript').CompilerOptions} */
+  const compilerOptions = {
+    target: ts.ScriptTarget.ES2022,
+    strict: true,
+    noEmit: true,
+    types: [],
+  };
+
+  const programs = [
+    ts.createProgram([esmConsumerPath, cjsConsumerPath], {
+      ...compilerOptions,
+      module: ts.ModuleKind.NodeNext,
+      moduleResolution: ts.ModuleResolutionKind.NodeNext,
+    }),
+  ];
+
+  if (proxySpecifiers.length > 0) {
+    writeFileSync(
+      proxyConsumerPath,
+      proxySpecifiers
+        .map(
+          (specifier, index) =>
+            `import * as proxy${index} from ${JSON.stringify(specifier)};\nvoid proxy${index};\n`,
+        )
+        .join('') + 'export {};\n',
+    );
+    programs.push(
+      ts.createProgram([proxyConsumerPath], {
+        ...compilerOptions,
+        module: ts.ModuleKind.CommonJS,
+        moduleResolution: ts.ModuleResolutionKind.Node10,
+      }),
+    );
+  }
+
+  // Declarations of dependencies and TypeScript's lib files are not the
+  // package's to fix, nor are dependencies the consumer has no types for
+  const consumerFiles = [esmConsumerPath, cjsConsumerPath, proxyConsumerPath];
+  const installedDir = `${path.resolve(installedPath)}${path.sep}`;
+
+  /** @param {import('typescript').Diagnostic} diagnostic - Diagnostic */
+  const isReported = ({ file, code, messageText }) => {
+    if (!file) return true;
+
+    const fileName = path.resolve(file.fileName);
+    if (
+      !consumerFiles.includes(fileName) &&
+      !fileName.startsWith(installedDir)
+    ) {
+      return false;
+    }
+
+    const specifier = UNRESOLVED_MODULE_CODES.includes(code)
+      ? ts
+          .flattenDiagnosticMessageText(messageText, '\n')
+          .match(/module '([^']+)'/)?.[1]
+      : undefined;
+    return (
+      !specifier ||
+      specifier.startsWith('.') ||
+      specifier.startsWith('/') ||
+      specifier === packageName ||
+      specifier.startsWith(`${packageName}/`)
+    );
+  };
+
+  const diagnostics = programs.flatMap((program) =>
+    ts
+      .getPreEmitDiagnostics(program)
+      .filter(isReported)
+      .map((diagnostic) =>
+        ts
+          .formatDiagnostic(diagnostic, {
+            getCanonicalFileName: (fileName) => fileName,
+            getCurrentDirectory: () => consumerDir,
+            getNewLine: () => '\n',
+          })
+          .trim(),
+      ),
+  );
+
+  // Declarations loaded by several consumers report the same error
+  return [...new Set(diagnostics)];
+}
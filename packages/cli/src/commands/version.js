@@ -0,0 +1,606 @@
+/**
+ * @fileoverview Version command implementation
+ * Bumps package versions from a semver release type or from changeset files,
+ * bumps the workspace packages that depend on them, updates internal ranges
+ * and writes nothing until the release plan has been printed
+ */
+
+import {
+  existsSync,
+  readdirSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { promptUser } from '../utils/input.js';
+import {
+  PackageError,
+  ConfigurationError,
+  readPackageJson,
+} from '../utils/package.js';
+import {
+  bumpVersion,
+  parseVersion,
+  satisfiesPinnedRange,
+  updatePinnedRange,
+} from '../utils/semver.js';
+import {
+  findWorkspaceRoot,
+  getWorkspaceGlobs,
+  getWorkspacePackages,
+  selectWorkspacePackages,
+} from '../utils/workspace.js';
+
+/**
+ * Dependency fields whose internal ranges are updated
+ */
+const RANGE_FIELDS = /** @type {const} */ ([
+  'dependencies',
+  'peerDependencies',
+  'optionalDependencies',
+  'devDependencies',
+]);
+
+/**
+ * Dependency fields that make a package ship a new version when the
+ * dependency does; devDependencies are not installed by consumers
+ */
+const RELEASE_FIELDS = /** @type {const} */ ([
+  'dependencies',
+  'peerDependencies',
+  'optionalDependencies',
+]);
+
+/**
+ * Changeset release types, lowest first
+ */
+const CHANGESET_TYPES = /** @type {const} */ (['patch', 'minor', 'major']);
+
+/**
+ * Changeset type definition
+ * @typedef {Object} Changeset
+ * @property {string} file - Changeset file path
+ * @property {Map<string, typeof CHANGESET_TYPES[number]>} releases - Package name to release type
+ * @property {string} summary - Change description
+ */
+
+/**
+ * Release type definition
+ * @typedef {Object} Release
+ * @property {import('../utils/workspace.js').WorkspacePackage} workspacePackage - Package to release
+ * @property {import('../schemas/config.js').ReleaseType} type - Release type
+ * @property {string} version - New version
+ * @property {string} reason - Why the package is released
+ * @property {string[]} summaries - Changeset summaries of the release
+ */
+
+/**
+ * Range update type definition
+ * @typedef {Object} RangeUpdate
+ * @property {string} packageName - Package whose package.json is updated
+ * @property {typeof RANGE_FIELDS[number]} field - Dependency field
+ * @property {string} dependency - Released dependency
+ * @property {string} from - Current range
+ * @property {string} to - Updated range
+ */
+
+/**
+ * Read the changeset files of a directory. A changeset is a markdown file
+ * with the released packages in its front matter and a summary below:
+ *
+ *   ---
+ *   "@my-org/core": minor
+ *   ---
+ *
+ *   Add the useTheme hook
+ *
+ * @param {string} changesetDir - Changeset directory
+ * @returns {Changeset[]} Changesets sorted by file name
+ * @throws {ConfigurationError} When a changeset cannot be parsed
+ */
+function readChangesets(changesetDir) {
+  if (!existsSync(changesetDir)) {
+    throw new ConfigurationError(
+      `Changeset directory not found: ${changesetDir}`,
+      [
+        'Create a changeset, e.g. .changeset/add-use-theme.md',
+        'Pass a release type to bump without changesets: libsync version patch',
+      ],
+    );
+  }
+
+  return readdirSync(changesetDir)
+    .filter((file) => file.endsWith('.md') && file !== 'README.md')
+    .sort()
+    .map((file) => {
+      const filePath = path.join(changesetDir, file);
+      const content = readFileSync(filePath, 'utf-8').replace(/\r\n/g, '\n');
+      const match = content.match(/^---\n([\s\S]*?)\n?---\n?([\s\S]*)$/);
+
+      if (!match) {
+        throw new ConfigurationError(`Changeset ${file} has no front matter`, [
+          'Start the file with the released packages between --- lines',
+          'Example: "@my-org/core": minor',
+        ]);
+      }
+
+      /** @type {Map<string, typeof CHANGESET_TYPES[number]>} */
+      const releases = new Map();
+
+      for (const line of (match[1] ?? '').split('\n')) {
+        if (!line.trim()) continue;
+
+        const release = line.match(/^\s*(["']?)(.+?)\1\s*:\s*(\S+)\s*$/);
+        const type = /** @type {typeof CHANGESET_TYPES[number]} */ (
+          release?.[3]
+        );
+        if (!release || !CHANGESET_TYPES.includes(type)) {
+          throw new ConfigurationError(
+            `Invalid release in changeset ${file}: ${line.trim()}`,
+            [`Expected "package-name": ${CHANGESET_TYPES.join(' | ')}`],
+          );
+        }
+
+        releases.set(/** @type {string} */ (release[2]), type);
+      }
+
+      return { file: filePath, releases, summary: (match[2] ?? '').trim() };
+    });
+}
+
+/**
+ * Plan the releases: the requested ones, then a patch release (or a
+ * prerelease, for prerelease runs) of every workspace package that ships
+ * one of the released packages as a dependency. Dependents whose published
+ * peer range no longer includes the previous version get a major release,
+ * as changesets does.
+ * @param {import('../utils/workspace.js').WorkspacePackage[]} packages - Workspace packages
+ * @param {Map<string, {type: import('../schemas/config.js').ReleaseType, reason: string, summaries: string[]}>} requested - Requested releases by package name
+ * @param {string} [preid] - Prerelease identifier
+ * @returns {Release[]} Releases in workspace order
+ * @throws {PackageError} When a released package has no valid version
+ */
+function planReleases(packages, requested, preid) {
+  /** @type {Map<string, Release>} */
+  const releases = new Map();
+
+  /**
+   * @param {import('../utils/workspace.js').WorkspacePackage} workspacePackage - Package to release
+   * @param {{type: import('../schemas/config.js').ReleaseType, reason: string, summaries: string[]}} release - Release type and reason
+   */
+  const addRelease = (workspacePackage, { type, reason, summaries }) => {
+    const { name, path: packagePath, pkg } = workspacePackage;
+    if (!pkg.version || !parseVersion(pkg.version)) {
+      throw new PackageError(
+        `Package "${name}" has no valid semver version to bump (found ${pkg.version ? `"${pkg.version}"` : 'none'})`,
+        packagePath,
+      );
+    }
+
+    releases.set(name, {
+      workspacePackage,
+      type,
+      version: bumpVersion(pkg.version, type, preid),
+      reason,
+      summaries,
+    });
+  };
+
+  for (const workspacePackage of packages) {
+    const release = requested.get(workspacePackage.name);
+    if (release) addRelease(workspacePackage, release);
+  }
+
+  const dependentType = [...requested.values()].some(
+    ({ type }) => type === 'prerelease',
+  )
+    ? 'prerelease'
+    : 'patch';
+  const queue = [...releases.keys()];
+  // Prereleases rank lowest, but prerelease runs only plan prereleases
+  const rankType = (/** @type {string} */ type) =>
+    /** @type {readonly string[]} */ (CHANGESET_TYPES).indexOf(type);
+
+  while (queue.length > 0) {
+    const released = /** @type {string} */ (queue.shift());
+    const { workspacePackage: releasedPackage, version } =
+      /** @type {Release} */ (releases.get(released));
+    const previous = /** @type {string} */ (releasedPackage.pkg.version);
+
+    for (const workspacePackage of packages) {
+      const { name, pkg } = workspacePackage;
+      if (name === released || pkg.private || !pkg.version) continue;
+
+      const dependsOnRelease = RELEASE_FIELDS.some(
+        (field) => released in (pkg[field] ?? {}),
+      );
+      if (!dependsOnRelease) continue;
+
+      // Consumers with the previous version installed can no longer
+      // satisfy a peer range that moves past it
+      const peerRange = pkg.peerDependencies?.[released];
+      const leavesPeerRange =
+        dependentType !== 'prerelease' &&
+        peerRange !== undefined &&
+        satisfiesPinnedRange(
+          previous,
+          getPublishedRange('peerDependencies', peerRange, version) ?? '',
+        ) === false;
+      const type = leavesPeerRange ? 'major' : dependentType;
+
+      // Raise an earlier release of the dependent, but never lower it
+      const existing = releases.get(name);
+      if (existing && rankType(existing.type) >= rankType(type)) continue;
+
+      const reason = leavesPeerRange
+        ? `peer range of ${released} excludes ${previous}`
+        : `depends on ${released}`;
+      addRelease(workspacePackage, {
+        type,
+        reason: existing ? `${existing.reason}, ${reason}` : reason,
+        summaries: existing?.summaries ?? [],
+      });
+      queue.push(name);
+    }
+  }
+
+  return packages
+    .filter(({ name }) => releases.has(name))
+    .map(({ name }) => /** @type {Release} */ (releases.get(name)));
+}
+
+/**
+ * Get the range a dependency is published with once it is released:
+ * "workspace:" shorthands resolve to the new version and pinned ranges are
+ * rewritten to pin it. Peer ranges that still include the new version are
+ * kept, since rewriting them drops the versions consumers have installed.
+ * @param {typeof RANGE_FIELDS[number]} field - Dependency field
+ * @param {string} range - Dependency range in package.json
+ * @param {string} version - New version of the dependency
+ * @returns {string | null} Published range, or null when it does not follow the version
+ */
+function getPublishedRange(field, range, version) {
+  const shorthand = range.match(/^workspace:([*^~]?)$/);
+  if (shorthand) {
+    return shorthand[1] === '*' ? version : `${shorthand[1]}${version}`;
+  }
+  if (
+    field === 'peerDependencies' &&
+    satisfiesPinnedRange(version, range) === true
+  ) {
+    return range;
+  }
+  return updatePinnedRange(range, version);
+}
+
+/**
+ * Find the internal ranges that pin a released version and rewrite them.
+ * Shorthands such as "workspace:^", workspace paths and catalog ranges
+ * already follow the workspace version and are left alone.
+ * @param {import('../utils/workspace.js').WorkspacePackage[]} packages - Workspace packages
+ * @param {Release[]} releases - Planned releases
+ * @returns {{updates: RangeUpdate[], kept: RangeUpdate[]}} Updated ranges, and ranges that cannot be rewritten
+ */
+function planRangeUpdates(packages, releases) {
+  const versions = new Map(
+    releases.map(({ workspacePackage, version }) => [
+      workspacePackage.name,
+      version,
+    ]),
+  );
+  /** @type {RangeUpdate[]} */
+  const updates = [];
+  /** @type {RangeUpdate[]} */
+  const kept = [];
+
+  for (const { name: packageName, pkg } of packages) {
+    for (const field of RANGE_FIELDS) {
+      for (const [dependency, range] of Object.entries(pkg[field] ?? {})) {
+        const version = versions.get(dependency);
+        if (
+          !version ||
+          /^(workspace:([*^~]?|[./].*)|catalog:.*)$/.test(range)
+        ) {
+          continue;
+        }
+
+        const to = getPublishedRange(field, range, version);
+        if (to === null) {
+          kept.push({ packageName, field, dependency, from: range, to: range });
+        } else if (to !== range) {
+          updates.push({ packageName, field, dependency, from: range, to });
+        }
+      }
+    }
+  }
+
+  return { updates, kept };
+}
+
+/**
+ * Print the release plan
+ * @param {Release[]} releases - Planned releases
+ * @param {{updates: RangeUpdate[], kept: RangeUpdate[]}} ranges - Range updates
+ */
+function printReleasePlan(releases, { updates, kept }) {
+  const nameWidth = Math.max(
+    ...releases.map(({ workspacePackage }) => workspacePackage.name.length),
+  );
+  const versionWidth = Math.max(
+    ...releases.map(
+      ({ workspacePackage }) => String(workspacePackage.pkg.version).length,
+    ),
+  );
+
+  console.log(chalk.cyan('\n📋 Release plan:'));
+  for (const { workspacePackage, type, version, reason } of releases) {
+    const { name, pkg } = workspacePackage;
+    console.log(
+      `   ${name.padEnd(nameWidth)}  ${String(pkg.version).padStart(versionWidth)} → ${chalk.green(version)}  ${chalk.gray(`${type}, ${reason}`)}`,
+    );
+  }
+
+  if (updates.length > 0) {
+    console.log(chalk.cyan('\n🔗 Internal ranges:'));
+    for (const { packageName, field, dependency, from, to } of updates) {
+      console.log(
+        `   ${packageName} ${chalk.gray(`${field}.${dependency}`)}  ${from} → ${chalk.green(to)}`,
+      );
+    }
+  }
+
+  for (const { packageName, field, dependency, from } of kept) {
+    console.warn(
+      chalk.yellow(
+        `⚠️  ${packageName} ${field}.${dependency} "${from}" does not pin a version and is kept; check that it allows the new version`,
+      ),
+    );
+  }
+}
+
+/**
+ * Add the released changes to the top of a package's CHANGELOG.md
+ * @param {Release} release - Written release
+ * @param {Release[]} releases - All releases, for dependency notes
+ */
+function updateChangelog({ workspacePackage, version, summaries }, releases) {
+  const { name, path: packagePath, pkg } = workspacePackage;
+  const dependencyNotes = releases
+    .filter(({ workspacePackage: dependency }) =>
+      RELEASE_FIELDS.some((field) => dependency.name in (pkg[field] ?? {})),
+    )
+    .map(
+      ({ workspacePackage: dependency, version: dependencyVersion }) =>
+        `${dependency.name}@${dependencyVersion}`,
+    );
+
+  const entries = [
+    ...summaries.map((summary) => `- ${summary.replace(/\n/g, '\n  ')}`),
+    ...(dependencyNotes.length > 0
+      ? [`- Updated dependencies: ${dependencyNotes.join(', ')}`]
+      : []),
+  ];
+  if (entries.length === 0) return;
+
+  const changelogPath = path.join(packagePath, 'CHANGELOG.md');
+  const heading = `# ${name}\n`;
+  const existing = existsSync(changelogPath)
+    ? readFileSync(changelogPath, 'utf-8')
+    : heading;
+  const body = existing.startsWith(heading)
+    ? existing.slice(heading.length).replace(/^\n+/, '')
+    : existing;
+
+  writeFileSync(
+    changelogPath,
+    `${heading}\n## ${version}\n\n${entries.join('\n')}\n${body ? `\n${body}` : ''}`,
+  );
+}
+
+/**
+ * Version command implementation with comprehensive error handling
+ * @param {import('../schemas/config.js').VersionOptions} options - Version command options
+ * @returns {Promise<void>} Version completion promise
+ */
+export async function versionCommand(options) {
+  const {
+    path: packagePath,
+    bump,
+    preid,
+    workspace,
+    workspaces,
+    changesetDir,
+    dryRun,
+    yes,
+  } = options;
+  const interactive =
+    !yes && process.stdin.isTTY === true && process.env.CI !== 'true';
+
+  console.log(chalk.blue(`🔖 Versioning from: ${packagePath}`));
+
+  try {
+    // Internal ranges and dependents are only found among workspace packages
+    const workspaceRoot = findWorkspaceRoot(packagePath);
+    const rootPath =
+      workspaceRoot && getWorkspaceGlobs(workspaceRoot).length > 0
+        ? workspaceRoot
+        : packagePath;
+    /** @type {import('../utils/workspace.js').WorkspacePackage[]} */
+    let packages;
+    if (rootPath === workspaceRoot) {
+      packages = getWorkspacePackages(rootPath);
+    } else {
+      const pkg = readPackageJson(packagePath);
+      packages = [
+        {
+          name: pkg.name,
+          path: path.resolve(packagePath),
+          relativePath: '.',
+          pkg,
+        },
+      ];
+    }
+
+    /** @type {Map<string, {type: import('../schemas/config.js').ReleaseType, reason: string, summaries: string[]}>} */
+    const requested = new Map();
+    /** @type {Changeset[]} */
+    let changesets = [];
+
+    if (bump) {
+      let selected;
+      if (workspace) {
+        selected = packages.filter(({ pkg }) => !pkg.private && pkg.version);
+      } else if (workspaces.length > 0) {
+        selected = selectWorkspacePackages(rootPath, packages, workspaces);
+      } else {
+        const current = packages.find(
+          ({ path: workspacePath }) =>
+            workspacePath === path.resolve(packagePath),
+        );
+        if (!current) {
+          throw new ConfigurationError(`No package found at ${packagePath}`, [
+            'Run the command from a package directory or pass --path',
+            'Use --workspace to version every workspace package',
+          ]);
+        }
+        selected = [current];
+      }
+
+      for (const { name } of selected) {
+        requested.set(name, { type: bump, reason: 'requested', summaries: [] });
+      }
+    } else {
+      changesets = readChangesets(path.resolve(rootPath, changesetDir));
+
+      if (changesets.length === 0) {
+        console.log(
+          chalk.yellow(
+            `📭 No changesets in ${changesetDir}, nothing to version`,
+          ),
+        );
+        return;
+      }
+
+      const names = new Set(packages.map(({ name }) => name));
+      for (const { file, releases, summary } of changesets) {
+        for (const [name, type] of releases) {
+          if (!names.has(name)) {
+            throw new ConfigurationError(
+              `Changeset ${path.basename(file)} releases unknown package "${name}"`,
+              [
+                `Workspace packages: ${[...names].join(', ')}`,
+                'Fix the package name or delete the changeset',
+              ],
+            );
+          }
+
+          const current = requested.get(name);
+          const highest =
+            current &&
+            CHANGESET_TYPES.indexOf(
+              /** @type {typeof CHANGESET_TYPES[number]} */ (current.type),
+            ) > CHANGESET_TYPES.indexOf(type)
+              ? current.type
+              : type;
+
+          requested.set(name, {
+            type: highest,
+            reason: 'changeset',
+            summaries: [
+              ...(current?.summaries ?? []),
+              ...(summary ? [summary] : []),
+            ],
+          });
+        }
+      }
+    }
+
+    const releases = planReleases(packages, requested, preid);
+    const ranges = planRangeUpdates(packages, releases);
+
+    printReleasePlan(releases, ranges);
+
+    if (dryRun) {
+      console.log(chalk.green('\n✅ Dry run completed, nothing was written'));
+      return;
+    }
+
+    if (
+      interactive &&
+      !(await promptUser(
+        chalk.cyan(`\nWrite ${releases.length} new version(s)? [Y/n]: `),
+      ))
+    ) {
+      console.log(chalk.yellow('🚫 Versioning cancelled by user'));
+      return;
+    }
+
+    // Write versions and ranges in one pass per package.json
+    const versions = new Map(
+      releases.map(({ workspacePackage, version }) => [
+        workspacePackage.name,
+        version,
+      ]),
+    );
+    for (const { name, path: workspacePath } of packages) {
+      const packageUpdates = ranges.updates.filter(
+        ({ packageName }) => packageName === name,
+      );
+      if (!versions.has(name) && packageUpdates.length === 0) continue;
+
+      const pkgPath = path.join(workspacePath, 'package.json');
+      const pkg = JSON.parse(readFileSync(pkgPath, 'utf-8'));
+
+      if (versions.has(name)) pkg.version = versions.get(name);
+      for (const { field, dependency, to } of packageUpdates) {
+        pkg[field][dependency] = to;
+      }
+
+      writeFileSync(pkgPath, `${JSON.stringify(pkg, null, 2)}\n`);
+    }
+
+    // Changesets are consumed into changelogs
+    if (changesets.length > 0) {
+      for (const release of releases) {
+        updateChangelog(release, releases);
+      }
+      for (const { file } of changesets) {
+        rmSync(file);
+      }
+    }
+
+    console.log(chalk.green(`\n✅ Versioned ${releases.length} package(s)`));
+    console.log(chalk.cyan('\n📋 Next steps:'));
+    console.log(chalk.cyan('   1. Review and commit the changes'));
+    console.log(chalk.cyan('   2. Run libsync publish to release them'));
+  } catch (error) {
+    if (error instanceof ConfigurationError) {
+      console.error(chalk.red('\n❌ Configuration Error:'));
+      console.error(chalk.red(`   ${error.message}`));
+
+      if (error.suggestions.length > 0) {
+        console.error(chalk.yellow('\n💡 Suggestions to fix this:'));
+        error.suggestions.forEach((suggestion) => {
+          console.error(chalk.yellow(`   • ${suggestion}`));
+        });
+      }
+    } else if (error instanceof PackageError) {
+      console.error(chalk.red('\n❌ Package Error:'));
+      console.error(chalk.red(`   ${error.message}`));
+      if (error.packagePath) {
+        console.error(chalk.gray(`   Package: ${error.packagePath}`));
+      }
+    } else {
+      console.error(chalk.red('\n❌ Unexpected error during versioning:'));
+      console.error(
+        chalk.red(
+          `   ${error instanceof Error ? error.message : String(error)}`,
+        ),
+      );
+    }
+
+    throw error; // Re-throw for proper CLI error handling
+  }
+}
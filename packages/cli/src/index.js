@@ -7,11 +7,19 @@
 
 import { program } from 'commander';
 import chalk from 'chalk';
-import { buildCommand } from './commands/build.js';
+import { apiCommand } from './commands/api.js';
+import { buildCommand, buildWorkspaceCommand } from './commands/build.js';
+import { checkCommand } from './commands/check.js';
+import { verifyCommand } from './commands/verify.js';
 import { cleanCommand } from './commands/clean.js';
 import { devCommand } from './commands/dev.js';
+import { initCommand } from './commands/init.js';
+import { addEntryCommand } from './commands/add-entry.js';
 import { publishStaging } from './commands/publish-staging.js';
+import { publishCommand } from './commands/publish.js';
+import { versionCommand } from './commands/version.js';
 import { configValidation } from './schemas/config.js';
+import { applyCommandDefaults } from './utils/config.js';
 import {
   checkProjectStructure,
   displayWelcomeMessage,
@@ -27,20 +35,46 @@ program
   .option('--verbose', 'Enable verbose logging', false);
 
 program
-  .command('build')
-  .description('Build a library package using tsup')
+  .command('build [workspaces...]')
+  .description(
+    'Build a library package using tsup (accepts workspace globs or package names)',
+  )
   .option('-p, --path <path>', 'Package path to build', process.cwd())
   .option('-w, --watch', 'Watch for file changes and rebuild', false)
   .option('--skip-validation', 'Skip project structure validation', false)
-  .action(async (options, cmd) => {
+  .option('--no-cache', 'Always rebuild instead of restoring cached output')
+  .option('--all', 'Build every workspace package in dependency order', false)
+  .option(
+    '--concurrency <number>',
+    'Maximum number of workspace packages built in parallel',
+    (value) => parseInt(value, 10),
+  )
+  .action(async (workspacesArg, options, cmd) => {
     const globalOptions = cmd.parent?.opts() || {};
 
     try {
       const validatedOptions = configValidation.build.parse({
-        ...options,
+        ...(await applyCommandDefaults('build', options, cmd)),
+        workspaces: workspacesArg,
         verbose: globalOptions.verbose,
       });
 
+      if (validatedOptions.all || validatedOptions.workspaces.length > 0) {
+        // Workspace mode - each package is validated by its own build
+        if (validatedOptions.watch) {
+          throw new Error(
+            '--watch is not supported when building multiple workspace packages',
+          );
+        }
+
+        await buildWorkspaceCommand(validatedOptions);
+
+        console.log(
+          chalk.green(`\n✅ Workspace build completed successfully!`),
+        );
+        return;
+      }
+
       if (!validatedOptions.skipValidation) {
         await checkProjectStructure(validatedOptions.path, 'build');
       }
@@ -81,7 +115,12 @@ program
         chalk.yellow('   • Use --verbose for detailed error information'),
       );
       console.error(
-        chalk.yellow('   • Use --skip-validation to bypass structure checks\n'),
+        chalk.yellow('   • Use --skip-validation to bypass structure checks'),
+      );
+      console.error(
+        chalk.yellow(
+          '   • With --all, check the build summary for the failing package\n',
+        ),
       );
 
       process.exit(1);
@@ -98,7 +137,7 @@ program
 
     try {
       const validatedOptions = configValidation.clean.parse({
-        ...options,
+        ...(await applyCommandDefaults('clean', options, cmd)),
         verbose: globalOptions.verbose,
       });
 
@@ -149,6 +188,16 @@ program
     'Generate development package.json for packages (accepts multiple paths)',
   )
   .option('-w, --watch', 'Watch for file changes', false)
+  .option(
+    '-b, --build',
+    'Also run the tsup watch builds in the same process (implies --watch)',
+    false,
+  )
+  .option(
+    '--workspace',
+    'Process every package of the workspace, discovered from its workspace globs',
+    false,
+  )
   .option(
     '-p, --path <path>',
     'Package path to process (single package mode)',
@@ -189,6 +238,12 @@ program
           throw new Error('No valid paths provided');
         }
 
+        if (options.build || options.workspace) {
+          throw new Error(
+            `--${options.build ? 'build' : 'workspace'} does not take path arguments - use --path instead`,
+          );
+        }
+
         const validatedOptions = {
           watch: options.watch || false,
           path: process.cwd(), // Fallback, not used in multi-path mode
@@ -206,16 +261,25 @@ program
       } else {
         // Single package mode (original behavior)
         const validatedOptions = configValidation.dev.parse({
-          ...options,
+          ...(await applyCommandDefaults('dev', options, cmd)),
           verbose: globalOptions.verbose,
         });
 
-        console.log(chalk.blue('📦 Processing current package'));
-        await checkProjectStructure(validatedOptions.path, 'dev');
+        if (validatedOptions.build && validatedOptions.workspace) {
+          throw new Error('--build cannot be combined with --workspace');
+        }
+
+        // The workspace path is usually the root, which is not a package
+        if (!validatedOptions.workspace) {
+          console.log(chalk.blue('📦 Processing current package'));
+          await checkProjectStructure(validatedOptions.path, 'dev');
+        }
 
         await devCommand(validatedOptions);
 
-        if (validatedOptions.watch) {
+        if (validatedOptions.build) {
+          // dev --build reports its status with the prefixed watcher output
+        } else if (validatedOptions.watch) {
           console.log(chalk.green(`\n✅ Dev mode started with file watching!`));
           console.log(chalk.gray(`   Root path: ${validatedOptions.path}`));
           console.log(chalk.yellow('   Press Ctrl+C to stop watching...\n'));
@@ -260,8 +324,10 @@ program
   });
 
 program
-  .command('publish:staging')
-  .description('Set up staging environment and publish package for testing')
+  .command('publish:staging [workspaces...]')
+  .description(
+    'Set up staging environment and publish packages for testing (accepts workspace globs or package names)',
+  )
   .option(
     '-p, --port <number>',
     'Registry port number',
@@ -282,15 +348,35 @@ program
     '--staging-version',
     ' Use staging-specific versioning (adds staging suffix)',
   )
-  .action(async (options, cmd) => {
+  .option(
+    '--workspace',
+    'Publish every workspace package in dependency order',
+    false,
+  )
+  .option(
+    '--dry-run',
+    'List the files each package would be published with, without publishing',
+    false,
+  )
+  .action(async (workspacesArg, options, cmd) => {
     const globalOptions = cmd.parent?.opts() || {};
 
     try {
       const validatedOptions = configValidation.publishStaging.parse({
-        ...options,
+        ...(await applyCommandDefaults('publishStaging', options, cmd)),
+        workspaces: workspacesArg,
         verbose: globalOptions.verbose,
       });
 
+      if (
+        validatedOptions.force &&
+        (validatedOptions.workspace || validatedOptions.workspaces.length > 0)
+      ) {
+        throw new Error(
+          '--force is not supported when publishing multiple workspace packages, which always get staging versions',
+        );
+      }
+
       await publishStaging(validatedOptions);
     } catch (error) {
       console.error(chalk.red('\n❌ Staging setup failed:'));
@@ -326,6 +412,404 @@ program
     }
   });
 
+program
+  .command('publish [workspaces...]')
+  .description(
+    'Publish packages to the configured registry after a dry run (accepts workspace globs or package names)',
+  )
+  .option('--path <path>', 'Package path to publish', process.cwd())
+  .option('--no-build', 'Skip building the package before publishing')
+  .option(
+    '--workspace',
+    'Publish every workspace package in dependency order',
+    false,
+  )
+  .option('--tag <tag>', 'Dist-tag to publish under')
+  .option('--access <access>', 'Package access, public or restricted')
+  .option('--registry <url>', 'Registry to publish to')
+  .option('--otp <code>', 'One-time password for two-factor authentication')
+  .option('--provenance', 'Publish with provenance statements', false)
+  .option(
+    '--no-git-checks',
+    'Publish even when the git tree has uncommitted changes',
+  )
+  .option('-y, --yes', 'Publish without prompting', false)
+  .action(async (workspacesArg, options, cmd) => {
+    const globalOptions = cmd.parent?.opts() || {};
+
+    try {
+      const validatedOptions = configValidation.publish.parse({
+        ...(await applyCommandDefaults('publish', options, cmd)),
+        workspaces: workspacesArg,
+        verbose: globalOptions.verbose,
+      });
+
+      await publishCommand(validatedOptions);
+    } catch (error) {
+      console.error(chalk.red('\n❌ Publish failed:'));
+
+      if (error instanceof Error) {
+        console.error(chalk.red(`   ${error.message}`));
+
+        if (globalOptions.verbose && error.stack) {
+          console.error(chalk.gray('\nStack trace:'));
+          console.error(chalk.gray(error.stack));
+        }
+      } else {
+        console.error(chalk.red(`   ${String(error)}`));
+      }
+
+      console.error(chalk.yellow('\n💡 Troubleshooting tips:'));
+      console.error(
+        chalk.yellow('   • Check that you are logged in with npm whoami'),
+      );
+      console.error(
+        chalk.yellow(
+          '   • Try libsync publish:staging to test the release locally first',
+        ),
+      );
+      console.error(
+        chalk.yellow('   • Pass --otp <code> when running without a terminal'),
+      );
+      console.error(
+        chalk.yellow('   • Use --verbose for detailed error information\n'),
+      );
+
+      process.exit(1);
+    }
+  });
+
+program
+  .command('version [bump] [workspaces...]')
+  .description(
+    'Bump versions by a release type (major, minor, patch, prerelease) or from changeset files, with their workspace dependents',
+  )
+  .option('--path <path>', 'Package path to version', process.cwd())
+  .option('--preid <id>', 'Prerelease identifier, e.g. beta or rc')
+  .option('--workspace', 'Bump every public workspace package', false)
+  .option(
+    '--changeset-dir <dir>',
+    'Changeset directory, relative to the workspace root',
+  )
+  .option('--dry-run', 'Print the release plan without writing anything', false)
+  .option('-y, --yes', 'Write the new versions without prompting', false)
+  .action(async (bumpArg, workspacesArg, options, cmd) => {
+    const globalOptions = cmd.parent?.opts() || {};
+
+    try {
+      const validatedOptions = configValidation.version.parse({
+        ...(await applyCommandDefaults('version', options, cmd)),
+        bump: bumpArg,
+        workspaces: workspacesArg,
+        verbose: globalOptions.verbose,
+      });
+
+      if (validatedOptions.preid && validatedOptions.bump !== 'prerelease') {
+        throw new Error('--preid only applies to prerelease bumps');
+      }
+      if (
+        !validatedOptions.bump &&
+        (validatedOptions.workspace || validatedOptions.workspaces.length > 0)
+      ) {
+        throw new Error(
+          'Package selection only applies to release type bumps; changesets name the packages they release',
+        );
+      }
+
+      await versionCommand(validatedOptions);
+    } catch (error) {
+      console.error(chalk.red('\n❌ Versioning failed:'));
+
+      if (error instanceof Error) {
+        console.error(chalk.red(`   ${error.message}`));
+
+        if (globalOptions.verbose && error.stack) {
+          console.error(chalk.gray('\nStack trace:'));
+          console.error(chalk.gray(error.stack));
+        }
+      } else {
+        console.error(chalk.red(`   ${String(error)}`));
+      }
+
+      console.error(chalk.yellow('\n💡 Troubleshooting tips:'));
+      console.error(
+        chalk.yellow(
+          '   • Check that every package has a valid semver version',
+        ),
+      );
+      console.error(
+        chalk.yellow(
+          '   • Use --dry-run to print the release plan without writing',
+        ),
+      );
+      console.error(
+        chalk.yellow('   • Use --verbose for detailed error information\n'),
+      );
+
+      process.exit(1);
+    }
+  });
+
+program
+  .command('check')
+  .description('Check that a built package resolves correctly for consumers')
+  .option('-p, --path <path>', 'Package path to check', process.cwd())
+  .action(async (options, cmd) => {
+    const globalOptions = cmd.parent?.opts() || {};
+
+    try {
+      const validatedOptions = configValidation.check.parse({
+        ...options,
+        verbose: globalOptions.verbose,
+      });
+
+      await checkCommand(validatedOptions);
+    } catch (error) {
+      console.error(chalk.red('\n❌ Check failed:'));
+
+      if (error instanceof Error) {
+        console.error(chalk.red(`   ${error.message}`));
+
+        if (globalOptions.verbose && error.stack) {
+          console.error(chalk.gray('\nStack trace:'));
+          console.error(chalk.gray(error.stack));
+        }
+      } else {
+        console.error(chalk.red(`   ${String(error)}`));
+      }
+
+      console.error(chalk.yellow('\n💡 Troubleshooting tips:'));
+      console.error(
+        chalk.yellow(
+          '   • Run libsync build first: check reads the production package.json',
+        ),
+      );
+      console.error(
+        chalk.yellow('   • Follow the suggestions listed under each problem'),
+      );
+      console.error(
+        chalk.yellow('   • Use --verbose for detailed error information\n'),
+      );
+
+      process.exit(1);
+    }
+  });
+
+program
+  .command('api')
+  .description('Write public API reports and detect breaking changes')
+  .option('-p, --path <path>', 'Package path to report on', process.cwd())
+  .option('--check', 'Fail when the committed reports are out of date', false)
+  .option('--dir <dir>', 'Report directory, relative to the package', 'api')
+  .action(async (options, cmd) => {
+    const globalOptions = cmd.parent?.opts() || {};
+
+    try {
+      const validatedOptions = configValidation.api.parse({
+        ...(await applyCommandDefaults('api', options, cmd)),
+        verbose: globalOptions.verbose,
+      });
+
+      await apiCommand(validatedOptions);
+    } catch (error) {
+      console.error(chalk.red('\n❌ API report failed:'));
+
+      if (error instanceof Error) {
+        console.error(chalk.red(`   ${error.message}`));
+
+        if (globalOptions.verbose && error.stack) {
+          console.error(chalk.gray('\nStack trace:'));
+          console.error(chalk.gray(error.stack));
+        }
+      } else {
+        console.error(chalk.red(`   ${String(error)}`));
+      }
+
+      console.error(chalk.yellow('\n💡 Troubleshooting tips:'));
+      console.error(
+        chalk.yellow(
+          '   • Run libsync api without --check to update the reports, then commit them',
+        ),
+      );
+      console.error(
+        chalk.yellow(
+          '   • Breaking changes (removed or changed exports) need a major version bump',
+        ),
+      );
+      console.error(
+        chalk.yellow(
+          '   • Ensure typescript is installed and tsconfig.json is valid',
+        ),
+      );
+      console.error(
+        chalk.yellow('   • Use --verbose for detailed error information\n'),
+      );
+
+      process.exit(1);
+    }
+  });
+
+program
+  .command('verify')
+  .description('Install the packed package in a temp project and load it')
+  .option('-p, --path <path>', 'Package path to verify', process.cwd())
+  .option('--keep', 'Keep the temporary project for inspection', false)
+  .action(async (options, cmd) => {
+    const globalOptions = cmd.parent?.opts() || {};
+
+    try {
+      const validatedOptions = configValidation.verify.parse({
+        ...options,
+        verbose: globalOptions.verbose,
+      });
+
+      await verifyCommand(validatedOptions);
+    } catch (error) {
+      console.error(chalk.red('\n❌ Verify failed:'));
+
+      if (error instanceof Error) {
+        console.error(chalk.red(`   ${error.message}`));
+
+        if (globalOptions.verbose && error.stack) {
+          console.error(chalk.gray('\nStack trace:'));
+          console.error(chalk.gray(error.stack));
+        }
+      } else {
+        console.error(chalk.red(`   ${String(error)}`));
+      }
+
+      console.error(chalk.yellow('\n💡 Troubleshooting tips:'));
+      console.error(
+        chalk.yellow(
+          '   • Run libsync build first: verify packs the production package.json',
+        ),
+      );
+      console.error(
+        chalk.yellow(
+          '   • Run libsync check for a static diagnosis of the failing entries',
+        ),
+      );
+      console.error(
+        chalk.yellow(
+          '   • Use --keep to inspect the temporary project after a failure',
+        ),
+      );
+      console.error(
+        chalk.yellow('   • Use --verbose for detailed error information\n'),
+      );
+
+      process.exit(1);
+    }
+  });
+
+program
+  .command('init')
+  .description('Create a new package from a template')
+  .option('-p, --path <path>', 'Directory of the new package', process.cwd())
+  .option('--name <name>', 'Package name')
+  .option('--description <description>', 'Package description')
+  .option(
+    '-t, --template <template>',
+    'Template: library, react, cli, eslint-config or prettier-config',
+  )
+  .option('-y, --yes', 'Use defaults instead of prompting', false)
+  .option('--force', 'Overwrite existing files', false)
+  .action(async (options, cmd) => {
+    const globalOptions = cmd.parent?.opts() || {};
+
+    try {
+      const validatedOptions = configValidation.init.parse({
+        ...options,
+        verbose: globalOptions.verbose,
+      });
+
+      await initCommand(validatedOptions);
+    } catch (error) {
+      console.error(chalk.red('\n❌ Init failed:'));
+
+      if (error instanceof Error) {
+        console.error(chalk.red(`   ${error.message}`));
+
+        if (globalOptions.verbose && error.stack) {
+          console.error(chalk.gray('\nStack trace:'));
+          console.error(chalk.gray(error.stack));
+        }
+      } else {
+        console.error(chalk.red(`   ${String(error)}`));
+      }
+
+      console.error(chalk.yellow('\n💡 Troubleshooting tips:'));
+      console.error(
+        chalk.yellow(
+          '   • Pass --name and --template with --yes to run without prompts',
+        ),
+      );
+      console.error(
+        chalk.yellow(
+          '   • Use --force to create the package in a non-empty directory',
+        ),
+      );
+      console.error(
+        chalk.yellow('   • Use --verbose for detailed error information\n'),
+      );
+
+      process.exit(1);
+    }
+  });
+
+// Add-entry command
+program
+  .command('add-entry <entry>')
+  .description(
+    'Create an entry folder from a template and re-export it from its parent',
+  )
+  .option('-p, --path <path>', 'Package path', process.cwd())
+  .option('-t, --template <template>', 'Template: component or module')
+  .option('--no-barrel', 'Do not re-export the entry from the parent index')
+  .action(async (entry, options, cmd) => {
+    const globalOptions = cmd.parent?.opts() || {};
+
+    try {
+      const validatedOptions = configValidation.addEntry.parse({
+        ...(await applyCommandDefaults('addEntry', options, cmd)),
+        entry,
+        verbose: globalOptions.verbose,
+      });
+
+      await addEntryCommand(validatedOptions);
+    } catch (error) {
+      console.error(chalk.red('\n❌ Add-entry failed:'));
+
+      if (error instanceof Error) {
+        console.error(chalk.red(`   ${error.message}`));
+
+        if (globalOptions.verbose && error.stack) {
+          console.error(chalk.gray('\nStack trace:'));
+          console.error(chalk.gray(error.stack));
+        }
+      } else {
+        console.error(chalk.red(`   ${String(error)}`));
+      }
+
+      console.error(chalk.yellow('\n💡 Troubleshooting tips:'));
+      console.error(
+        chalk.yellow(
+          '   • Pass the entry relative to the source directory, e.g. components/card',
+        ),
+      );
+      console.error(
+        chalk.yellow(
+          '   • Use --template module for packages without React or TypeScript',
+        ),
+      );
+      console.error(
+        chalk.yellow('   • Use --verbose for detailed error information\n'),
+      );
+
+      process.exit(1);
+    }
+  });
+
 // Handle unknown commands
 program.on('command:*', (operands) => {
   console.error(chalk.red(`\n❌ Unknown command: ${operands[0]}`));
@@ -340,6 +824,33 @@ program.on('command:*', (operands) => {
       '   • publish:staging - Set up staging environment for testing',
     ),
   );
+  console.error(
+    chalk.yellow('   • publish - Publish packages to the configured registry'),
+  );
+  console.error(
+    chalk.yellow(
+      '   • version - Bump versions from a release type or changesets',
+    ),
+  );
+  console.error(
+    chalk.yellow('   • check - Check a built package for consumer problems'),
+  );
+  console.error(
+    chalk.yellow('   • api   - Write public API reports and check for changes'),
+  );
+  console.error(
+    chalk.yellow(
+      '   • verify - Install the packed package and load every entry',
+    ),
+  );
+  console.error(
+    chalk.yellow('   • init  - Create a new package from a template'),
+  );
+  console.error(
+    chalk.yellow(
+      '   • add-entry - Create an entry folder and re-export it from its parent',
+    ),
+  );
   console.error(
     chalk.gray('\n   Use --help with any command for more information\n'),
   );
@@ -18,6 +18,35 @@ const validPath = z.string().refine(
   },
 );
 
+/**
+ * Templates libsync init can create a package from
+ */
+export const PACKAGE_TEMPLATE_NAMES = /** @type {const} */ ([
+  'library',
+  'react',
+  'cli',
+  'eslint-config',
+  'prettier-config',
+]);
+
+/**
+ * Templates libsync add-entry can create an entry folder from
+ */
+export const ENTRY_TEMPLATE_NAMES = /** @type {const} */ ([
+  'component',
+  'module',
+]);
+
+/**
+ * Release types libsync version can bump a version by
+ */
+export const RELEASE_TYPES = /** @type {const} */ ([
+  'major',
+  'minor',
+  'patch',
+  'prerelease',
+]);
+
 /**
  * Configuration validation schemas for CLI commands
  */
@@ -26,7 +55,11 @@ export const configValidation = {
     path: validPath.default(process.cwd()),
     watch: z.boolean().default(false),
     skipValidation: z.boolean().default(false),
+    cache: z.boolean().default(true),
     verbose: z.boolean().default(false),
+    all: z.boolean().default(false),
+    workspaces: z.array(z.string().min(1)).default([]),
+    concurrency: z.number().int().min(1).optional(),
   }),
 
   clean: z.object({
@@ -37,6 +70,8 @@ export const configValidation = {
 
   dev: z.object({
     watch: z.boolean().default(false),
+    build: z.boolean().default(false),
+    workspace: z.boolean().default(false),
     path: validPath.default(process.cwd()),
     verbose: z.boolean().default(false),
   }),
@@ -49,9 +84,268 @@ export const configValidation = {
     reuseServer: z.boolean().default(false),
     force: z.boolean().default(false),
     stagingVersion: z.boolean().default(false),
+    workspace: z.boolean().default(false),
+    workspaces: z.array(z.string().min(1)).default([]),
+    dryRun: z.boolean().default(false),
+  }),
+
+  publish: z.object({
+    path: validPath.default(process.cwd()),
+    build: z.boolean().default(true),
+    verbose: z.boolean().default(false),
+    workspace: z.boolean().default(false),
+    workspaces: z.array(z.string().min(1)).default([]),
+    tag: z
+      .string()
+      .regex(
+        /^[A-Za-z][\w.-]*$/,
+        'Expected a dist-tag name such as latest or next, not a version',
+      )
+      .optional(),
+    access: z.enum(['public', 'restricted']).optional(),
+    registry: z.string().url().optional(),
+    otp: z.string().min(1).optional(),
+    provenance: z.boolean().default(false),
+    gitChecks: z.boolean().default(true),
+    yes: z.boolean().default(false),
+  }),
+
+  version: z.object({
+    path: validPath.default(process.cwd()),
+    verbose: z.boolean().default(false),
+    bump: z.enum(RELEASE_TYPES).optional(),
+    preid: z
+      .string()
+      .regex(
+        /^[0-9A-Za-z-]+$/,
+        'Expected a prerelease identifier such as beta or rc',
+      )
+      .optional(),
+    workspace: z.boolean().default(false),
+    workspaces: z.array(z.string().min(1)).default([]),
+    changesetDir: z.string().min(1).default('.changeset'),
+    dryRun: z.boolean().default(false),
+    yes: z.boolean().default(false),
+  }),
+
+  check: z.object({
+    path: validPath.default(process.cwd()),
+    verbose: z.boolean().default(false),
+  }),
+
+  api: z.object({
+    path: validPath.default(process.cwd()),
+    check: z.boolean().default(false),
+    dir: z.string().min(1).default('api'),
+    verbose: z.boolean().default(false),
+  }),
+
+  verify: z.object({
+    path: validPath.default(process.cwd()),
+    keep: z.boolean().default(false),
+    verbose: z.boolean().default(false),
+  }),
+
+  init: z.object({
+    // The package directory is created when it does not exist
+    path: z.string().min(1).default(process.cwd()),
+    name: z.string().min(1).optional(),
+    description: z.string().optional(),
+    template: z.enum(PACKAGE_TEMPLATE_NAMES).optional(),
+    yes: z.boolean().default(false),
+    force: z.boolean().default(false),
+    verbose: z.boolean().default(false),
+  }),
+
+  addEntry: z.object({
+    path: validPath.default(process.cwd()),
+    entry: z
+      .string()
+      .regex(
+        /^[A-Za-z0-9][\w-]*(?:\/[A-Za-z0-9][\w-]*)*$/,
+        'Expected an entry path relative to the source directory, e.g. components/card',
+      ),
+    template: z.enum(ENTRY_TEMPLATE_NAMES).optional(),
+    barrel: z.boolean().default(true),
+    verbose: z.boolean().default(false),
   }),
 };
 
+/**
+ * Per-command defaults accepted in the libsync config file.
+ * Every field is optional; values passed on the command line always win.
+ */
+const commandDefaultsSchema = z
+  .object({
+    build: configValidation.build
+      .omit({ path: true, verbose: true, workspaces: true })
+      .partial(),
+    clean: configValidation.clean.omit({ path: true, verbose: true }).partial(),
+    dev: configValidation.dev.omit({ path: true, verbose: true }).partial(),
+    publishStaging: configValidation.publishStaging
+      .omit({ path: true, verbose: true, workspaces: true })
+      .partial(),
+    publish: configValidation.publish
+      .omit({
+        path: true,
+        verbose: true,
+        workspaces: true,
+        otp: true,
+        yes: true,
+      })
+      .partial(),
+    version: configValidation.version
+      .omit({
+        path: true,
+        verbose: true,
+        bump: true,
+        preid: true,
+        workspaces: true,
+        dryRun: true,
+        yes: true,
+      })
+      .partial(),
+    api: configValidation.api.omit({ path: true, verbose: true }).partial(),
+    addEntry: configValidation.addEntry
+      .omit({ path: true, verbose: true, entry: true })
+      .partial(),
+  })
+  .partial()
+  .strict();
+
+/**
+ * Export conditions that libsync always manages itself
+ */
+const RESERVED_CONDITIONS = ['types', 'import', 'require', 'default'];
+
+/**
+ * Extra tsup build wired into the generated exports under a custom condition
+ */
+const exportConditionSchema = z
+  .object({
+    name: z
+      .string()
+      .min(1)
+      .refine((name) => !RESERVED_CONDITIONS.includes(name), {
+        message: `Condition name cannot be one of: ${RESERVED_CONDITIONS.join(', ')}`,
+      }),
+    outDir: z.string().min(1),
+    format: z.enum(['esm', 'cjs']).default('esm'),
+    platform: z.enum(['browser', 'node', 'neutral']).optional(),
+    define: z.record(z.string()).default({}),
+  })
+  .strict();
+
+/**
+ * Static assets copied from the source directory into the build output
+ */
+const DEFAULT_ASSETS = [
+  '**/*.{woff,woff2,ttf,otf,eot}',
+  '**/*.{svg,png,jpg,jpeg,gif,webp,avif}',
+  '**/*.json',
+];
+
+/**
+ * Size limit in bytes, or a string with a unit such as "10 kB"
+ */
+const sizeLimitSchema = z.union([
+  z.number().int().positive(),
+  z
+    .string()
+    .regex(/^\d+(\.\d+)?\s*(B|kB|KB|MB)$/, 'Expected a size such as "10 kB"'),
+]);
+
+/**
+ * Size budget of one entry: a gzip limit, or limits per compression
+ */
+const sizeBudgetSchema = z.union([
+  sizeLimitSchema,
+  z
+    .object({
+      raw: sizeLimitSchema.optional(),
+      gzip: sizeLimitSchema.optional(),
+      brotli: sizeLimitSchema.optional(),
+    })
+    .strict(),
+]);
+
+/**
+ * Project-level libsync configuration schema
+ * Read from libsync.config.{js,mjs,cjs} or the "libsync" key in package.json
+ */
+export const libsyncConfigSchema = z
+  .object({
+    sourceDir: z.string().min(1).default('src'),
+    outDirs: z
+      .object({
+        esm: z.string().min(1).default('esm'),
+        cjs: z.string().min(1).default('cjs'),
+      })
+      .strict()
+      .default({}),
+    entries: z.array(z.string().min(1)).min(1).default(['**/*']),
+    exclude: z.array(z.string().min(1)).default([]),
+    entryMode: z.enum(['files', 'exports']).default('files'),
+    declarations: z.enum(['files', 'bundle']).default('files'),
+    testPatterns: z
+      .array(z.string().min(1))
+      .default(['**/*.test.*', '**/*.spec.*']),
+    conditions: z.array(exportConditionSchema).default([]),
+    styles: z
+      .record(
+        z
+          .string()
+          .regex(/^\.\/.+\.css$/, 'Expected a subpath such as "./styles.css"'),
+        z.string().min(1),
+      )
+      .default({}),
+    assets: z.array(z.string().min(1)).default(DEFAULT_ASSETS),
+    tailwind: z
+      .object({
+        preset: z.boolean().default(false),
+        content: z.boolean().default(false),
+      })
+      .strict()
+      .default({}),
+    sideEffects: z
+      .union([z.literal('auto'), z.boolean(), z.array(z.string().min(1))])
+      .default('auto'),
+    size: z
+      .object({
+        budgets: z.record(sizeBudgetSchema).default({}),
+        report: z.string().min(1).optional(),
+      })
+      .strict()
+      .default({}),
+    commands: commandDefaultsSchema.default({}),
+  })
+  .strict()
+  .superRefine((config, ctx) => {
+    const usedDirs = [config.sourceDir, config.outDirs.esm, config.outDirs.cjs];
+    /** @type {Set<string>} */
+    const names = new Set();
+
+    config.conditions.forEach((condition, index) => {
+      if (names.has(condition.name)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['conditions', index, 'name'],
+          message: `Duplicate condition "${condition.name}"`,
+        });
+      }
+      names.add(condition.name);
+
+      if (usedDirs.includes(condition.outDir)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['conditions', index, 'outDir'],
+          message: `Output directory "${condition.outDir}" is already used by another build`,
+        });
+      }
+      usedDirs.push(condition.outDir);
+    });
+  });
+
 /**
  * Package.json validation schema
  */
@@ -66,10 +360,13 @@ export const packageJsonSchema = z.object({
   dependencies: z.record(z.string()).optional(),
   devDependencies: z.record(z.string()).optional(),
   peerDependencies: z.record(z.string()).optional(),
+  optionalDependencies: z.record(z.string()).optional(),
   scripts: z.record(z.string()).optional(),
   type: z.enum(['module', 'commonjs']).optional(),
   types: z.string().optional(),
   typings: z.string().optional(),
+  sideEffects: z.union([z.boolean(), z.array(z.string())]).optional(),
+  libsync: z.record(z.any()).optional(),
 });
 
 /**
@@ -105,7 +402,11 @@ export const tsConfigSchema = z.object({
  * @property {string} path - Package path to build
  * @property {boolean} watch - Watch for file changes and rebuild
  * @property {boolean} skipValidation - Skip project structure validation
+ * @property {boolean} cache - Reuse cached output when sources are unchanged
  * @property {boolean} verbose - Enable verbose logging
+ * @property {boolean} all - Build every package of the workspace
+ * @property {string[]} workspaces - Workspace globs or package names to build
+ * @property {number} [concurrency] - Maximum number of packages built in parallel
  */
 
 /**
@@ -134,6 +435,38 @@ export const tsConfigSchema = z.object({
  * @property {boolean} reuseServer - Automatically reuse existing Verdaccio servers without prompting
  * @property {boolean} force - Force republish existing packages (overwrite existing versions)
  * @property {boolean} stagingVersion - Use staging-specific versioning (adds staging suffix)
+ * @property {boolean} workspace - Publish every workspace package in dependency order
+ * @property {string[]} workspaces - Workspace globs or package names to publish in dependency order
+ * @property {boolean} dryRun - List the files each package would be published with instead of publishing
+ */
+
+/**
+ * @typedef {Object} PublishOptions
+ * @property {string} path - Package path to publish
+ * @property {boolean} build - Whether to build before publishing
+ * @property {boolean} verbose - Enable verbose logging
+ * @property {boolean} workspace - Publish every workspace package in dependency order
+ * @property {string[]} workspaces - Workspace globs or package names to publish in dependency order
+ * @property {string} [tag] - Dist-tag to publish under, prompted for when omitted
+ * @property {'public' | 'restricted'} [access] - Package access, overrides publishConfig.access
+ * @property {string} [registry] - Registry URL, overrides publishConfig.registry and the npm config
+ * @property {string} [otp] - One-time password for two-factor authentication
+ * @property {boolean} provenance - Publish with provenance statements
+ * @property {boolean} gitChecks - Refuse to publish from a git tree with uncommitted changes
+ * @property {boolean} yes - Publish without prompting
+ */
+
+/**
+ * @typedef {Object} VersionOptions
+ * @property {string} path - Package path to version
+ * @property {boolean} verbose - Enable verbose logging
+ * @property {ReleaseType} [bump] - Release type; changesets are read when omitted
+ * @property {string} [preid] - Prerelease identifier for prerelease bumps
+ * @property {boolean} workspace - Bump every public workspace package
+ * @property {string[]} workspaces - Workspace globs or package names to bump
+ * @property {string} changesetDir - Changeset directory, relative to the workspace root
+ * @property {boolean} dryRun - Print the release plan without writing anything
+ * @property {boolean} yes - Write without prompting
  */
 
 /**
@@ -149,10 +482,48 @@ export const tsConfigSchema = z.object({
  * @property {Record<string, string>} [dependencies] - Runtime dependencies
  * @property {Record<string, string>} [devDependencies] - Development dependencies
  * @property {Record<string, string>} [peerDependencies] - Peer dependencies
+ * @property {Record<string, string>} [optionalDependencies] - Optional dependencies
  * @property {Record<string, string>} [scripts] - NPM scripts
  * @property {'module'|'commonjs'} [type] - Module type
  * @property {string} [types] - Type definitions entry point
  * @property {string} [typings] - Alternative type definitions entry point
+ * @property {boolean|string[]} [sideEffects] - Files with side effects, for bundler tree-shaking
+ * @property {Record<string, any>} [libsync] - Inline libsync configuration
+ */
+
+/**
+ * Name of a libsync init template
+ * @typedef {typeof PACKAGE_TEMPLATE_NAMES[number]} PackageTemplateName
+ */
+
+/**
+ * Name of a libsync add-entry template
+ * @typedef {typeof ENTRY_TEMPLATE_NAMES[number]} EntryTemplateName
+ */
+
+/**
+ * Release type of a libsync version bump
+ * @typedef {typeof RELEASE_TYPES[number]} ReleaseType
+ */
+
+/**
+ * Resolved libsync configuration (all defaults applied)
+ * @typedef {z.infer<typeof libsyncConfigSchema>} LibsyncConfig
+ */
+
+/**
+ * Custom export condition build
+ * @typedef {z.infer<typeof exportConditionSchema>} ExportCondition
+ */
+
+/**
+ * Size budget of one entry
+ * @typedef {z.infer<typeof sizeBudgetSchema>} SizeBudget
+ */
+
+/**
+ * Libsync configuration as written by users (every field optional)
+ * @typedef {z.input<typeof libsyncConfigSchema>} LibsyncConfigInput
  */
 
 /**
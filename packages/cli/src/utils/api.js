@@ -0,0 +1,581 @@
+/**
+ * @fileoverview Public API reports
+ * Extracts the exported symbols and type signatures of every public entry with
+ * the TypeScript compiler API, and classifies changes against committed reports
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { createRequire } from 'module';
+import { join, resolve } from 'path';
+import {
+  ConfigurationError,
+  PackageError,
+  getDeclarationEntries,
+  readPackageJson,
+} from './package.js';
+
+/**
+ * @typedef {typeof import('typescript')} TypeScript
+ */
+
+/**
+ * Difference between two API reports of an entry
+ * @typedef {Object} ApiDiff
+ * @property {string[]} added - Exports and members only in the current API
+ * @property {string[]} removed - Exports and members only in the committed API
+ * @property {string[]} changed - Exports and members whose signature changed
+ */
+
+/**
+ * Public API of one entry
+ * @typedef {Object} ApiReport
+ * @property {string} name - Report name (entry path without a trailing /index)
+ * @property {string} title - Import specifier of the entry
+ * @property {string[]} lines - Rendered declarations, one member per line
+ */
+
+/**
+ * Modifiers that may precede a member name in a report line
+ */
+const MEMBER_MODIFIERS = /^(?:(?:protected|readonly|abstract)\s+)*/;
+
+/**
+ * Get the parameter list of a signature text such as <T>(a: T): B
+ * @param {string} signature - Signature text
+ * @returns {string} Parameter list, e.g. (a: T)
+ */
+function getParameterList(signature) {
+  let depth = 0;
+  let start = -1;
+
+  for (let index = 0; index < signature.length; index++) {
+    const char = signature[index];
+    if (char === '(' && depth === 0 && start === -1) start = index;
+    if ('(<[{'.includes(char)) depth++;
+    // The ">" of an arrow function type does not close anything
+    if (')>]}'.includes(char) && signature[index - 1] !== '=') depth--;
+    if (start !== -1 && depth === 0 && char === ')') {
+      return signature.slice(start, index + 1);
+    }
+  }
+
+  return signature;
+}
+
+/**
+ * Drop the import("...") qualifiers the checker adds to types that are not in
+ * scope, which contain absolute paths
+ * @param {string} text - Type text
+ * @returns {string} Type text with bare type names
+ */
+function withoutImportTypes(text) {
+  return text.replace(/import\("[^"]*"\)\./g, '');
+}
+
+/**
+ * Load the TypeScript compiler used by the package
+ * @param {string} rootPath - Root path of the package
+ * @param {string} [purpose] - What TypeScript is needed for, used in the error
+ * @returns {TypeScript} TypeScript module
+ */
+export function loadTypeScript(rootPath, purpose = 'extract the public API') {
+  try {
+    return createRequire(resolve(rootPath, 'package.json'))('typescript');
+  } catch {
+    throw new ConfigurationError(`TypeScript is required to ${purpose}`, [
+      'Install typescript in the package or workspace root, e.g. pnpm add -D typescript',
+    ]);
+  }
+}
+
+/**
+ * Create a program containing the given entries, using the package tsconfig
+ * @param {TypeScript} ts - TypeScript module
+ * @param {string} rootPath - Root path of the package
+ * @param {string[]} files - Entry files
+ * @returns {import('typescript').Program} Program
+ */
+function createProgram(ts, rootPath, files) {
+  const configPath = ['tsconfig.build.json', 'tsconfig.json']
+    .map((file) => join(rootPath, file))
+    .find((file) => existsSync(file));
+
+  /** @type {import('typescript').CompilerOptions} */
+  let options = { allowJs: true, strict: true, skipLibCheck: true };
+
+  if (configPath) {
+    const parsed = ts.getParsedCommandLineOfConfigFile(
+      configPath,
+      {},
+      {
+        ...ts.sys,
+        onUnRecoverableConfigFileDiagnostic: (diagnostic) => {
+          throw new ConfigurationError(
+            `Invalid ${configPath}: ${ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')}`,
+            ['Fix the tsconfig file so that tsc can read it'],
+          );
+        },
+      },
+    );
+    options = parsed?.options ?? options;
+  }
+
+  return ts.createProgram({
+    rootNames: files,
+    options: { ...options, noEmit: true },
+  });
+}
+
+/**
+ * Render the exported symbols of a module as report lines
+ * @param {TypeScript} ts - TypeScript module
+ * @param {import('typescript').TypeChecker} checker - Type checker
+ * @param {import('typescript').SourceFile} sourceFile - Entry source file
+ * @returns {string[]} Report lines
+ */
+function renderModule(ts, checker, sourceFile) {
+  const moduleSymbol = checker.getSymbolAtLocation(sourceFile);
+  if (!moduleSymbol) {
+    return []; // A script without imports or exports has no public API
+  }
+
+  const flags = ts.TypeFormatFlags.NoTruncation;
+
+  /**
+   * @param {import('typescript').Type} type - Type
+   * @returns {string} Type text
+   */
+  const typeText = (type) =>
+    withoutImportTypes(checker.typeToString(type, sourceFile, flags));
+
+  /**
+   * @param {import('typescript').Signature} signature - Signature
+   * @returns {string} Signature text, e.g. <T>(value: T): T
+   */
+  const signatureText = (signature) =>
+    withoutImportTypes(checker.signatureToString(signature, sourceFile, flags));
+
+  /**
+   * @param {import('typescript').Symbol} symbol - Symbol
+   * @returns {string} Type parameters as written, e.g. <T extends object>
+   */
+  const typeParametersText = (symbol) => {
+    const declaration = /** @type {any} */ (symbol.declarations?.[0]);
+    const parameters = declaration?.typeParameters;
+    return parameters?.length
+      ? `<${parameters.map((/** @type {any} */ p) => p.getText()).join(', ')}>`
+      : '';
+  };
+
+  /**
+   * @param {import('typescript').Symbol} symbol - Class or interface symbol
+   * @returns {string} Heritage clauses as written, e.g. " extends Base<T>"
+   */
+  const heritageText = (symbol) => {
+    const declaration = /** @type {any} */ (symbol.declarations?.[0]);
+    const clauses = declaration?.heritageClauses ?? [];
+    return clauses
+      .map(
+        (/** @type {any} */ clause) =>
+          ` ${clause.getText().replace(/\s+/g, ' ')}`,
+      )
+      .join('');
+  };
+
+  /**
+   * @param {import('typescript').Symbol} symbol - Member symbol
+   * @returns {number} Combined modifier flags of its first declaration
+   */
+  const modifierFlags = (symbol) => {
+    const declaration = symbol.declarations?.[0];
+    return declaration ? ts.getCombinedModifierFlags(declaration) : 0;
+  };
+
+  /**
+   * Render the properties and methods a class or interface declares itself.
+   * Inherited members are covered by the heritage clause of the header.
+   * @param {import('typescript').Type} type - Type
+   * @param {import('typescript').Symbol} owner - Declaring class or interface
+   * @param {string} prefix - Prefix for every member (e.g. "static ")
+   * @returns {string[]} Member lines
+   */
+  const renderMembers = (type, owner, prefix) =>
+    checker
+      .getPropertiesOfType(type)
+      .filter((member) => {
+        const modifiers = modifierFlags(member);
+        const isOwn = member.declarations?.some((declaration) =>
+          owner.declarations?.includes(
+            // Parameter properties are declared by the constructor
+            /** @type {import('typescript').Declaration} */ (
+              ts.isParameter(declaration)
+                ? declaration.parent.parent
+                : declaration.parent
+            ),
+          ),
+        );
+        return (
+          isOwn &&
+          !(modifiers & ts.ModifierFlags.Private) &&
+          !member.getName().startsWith('#') &&
+          member.getName() !== 'prototype'
+        );
+      })
+      .sort((a, b) =>
+        checker.symbolToString(a).localeCompare(checker.symbolToString(b)),
+      )
+      .flatMap((member) => {
+        const modifiers = modifierFlags(member);
+        const name = checker.symbolToString(member);
+        const optional = member.flags & ts.SymbolFlags.Optional ? '?' : '';
+        const protectedText =
+          modifiers & ts.ModifierFlags.Protected ? 'protected ' : '';
+        const memberType = checker.getTypeOfSymbol(member);
+
+        if (member.flags & ts.SymbolFlags.Method) {
+          return memberType
+            .getCallSignatures()
+            .map(
+              (signature) =>
+                `  ${prefix}${protectedText}${name}${optional}${signatureText(signature)};`,
+            );
+        }
+
+        const readonly =
+          modifiers & ts.ModifierFlags.Readonly ||
+          (member.flags & ts.SymbolFlags.GetAccessor &&
+            !(member.flags & ts.SymbolFlags.SetAccessor))
+            ? 'readonly '
+            : '';
+        return [
+          `  ${prefix}${protectedText}${readonly}${name}${optional}: ${typeText(memberType)};`,
+        ];
+      });
+
+  /**
+   * Render call, construct and index signatures of an interface
+   * @param {import('typescript').Type} type - Interface type
+   * @returns {string[]} Signature lines
+   */
+  const renderSignatures = (type) => [
+    ...type
+      .getCallSignatures()
+      .map((signature) => `  ${signatureText(signature)};`),
+    ...type
+      .getConstructSignatures()
+      .map((signature) => `  new ${signatureText(signature)};`),
+    ...checker
+      .getIndexInfosOfType(type)
+      .map(
+        ({ keyType, type: valueType, isReadonly }) =>
+          `  ${isReadonly ? 'readonly ' : ''}[key: ${typeText(keyType)}]: ${typeText(valueType)};`,
+      ),
+  ];
+
+  /**
+   * Render every meaning of an exported symbol
+   * @param {string} name - Exported name
+   * @param {import('typescript').Symbol} symbol - Resolved symbol
+   * @returns {string[]} Report lines
+   */
+  const renderSymbol = (name, symbol) => {
+    /** @type {string[]} */
+    const lines = [];
+    const typeParameters = typeParametersText(symbol);
+
+    if (symbol.flags & ts.SymbolFlags.Function) {
+      for (const signature of checker
+        .getTypeOfSymbol(symbol)
+        .getCallSignatures()) {
+        lines.push(`export function ${name}${signatureText(signature)};`);
+      }
+    }
+
+    if (symbol.flags & ts.SymbolFlags.Variable) {
+      const declaration = symbol.valueDeclaration;
+      const keyword =
+        declaration && ts.getCombinedNodeFlags(declaration) & ts.NodeFlags.Const
+          ? 'const'
+          : 'let';
+      lines.push(
+        `export ${keyword} ${name}: ${typeText(checker.getTypeOfSymbol(symbol))};`,
+      );
+    }
+
+    if (symbol.flags & ts.SymbolFlags.Class) {
+      const staticType = checker.getTypeOfSymbol(symbol);
+      const abstract =
+        modifierFlags(symbol) & ts.ModifierFlags.Abstract ? 'abstract ' : '';
+      lines.push(
+        `export ${abstract}class ${name}${typeParameters}${heritageText(symbol)} {`,
+        ...staticType
+          .getConstructSignatures()
+          .map(
+            (signature) =>
+              `  constructor${getParameterList(signatureText(signature))};`,
+          ),
+        ...renderMembers(staticType, symbol, 'static '),
+        ...renderMembers(checker.getDeclaredTypeOfSymbol(symbol), symbol, ''),
+        '}',
+      );
+    }
+
+    if (symbol.flags & ts.SymbolFlags.Interface) {
+      const type = checker.getDeclaredTypeOfSymbol(symbol);
+      lines.push(
+        `export interface ${name}${typeParameters}${heritageText(symbol)} {`,
+        ...renderSignatures(type),
+        ...renderMembers(type, symbol, ''),
+        '}',
+      );
+    }
+
+    if (symbol.flags & ts.SymbolFlags.TypeAlias) {
+      const declaration = symbol.declarations?.[0];
+      lines.push(
+        `export type ${name}${typeParameters} = ${withoutImportTypes(
+          checker.typeToString(
+            checker.getDeclaredTypeOfSymbol(symbol),
+            declaration,
+            flags | ts.TypeFormatFlags.InTypeAlias,
+          ),
+        )};`,
+      );
+    }
+
+    if (symbol.flags & ts.SymbolFlags.Enum) {
+      const constText = symbol.flags & ts.SymbolFlags.ConstEnum ? 'const ' : '';
+      lines.push(`export ${constText}enum ${name} {`);
+      for (const member of symbol.exports?.values() ?? []) {
+        const declaration = /** @type {import('typescript').EnumMember} */ (
+          member.valueDeclaration
+        );
+        const value = declaration
+          ? checker.getConstantValue(declaration)
+          : undefined;
+        lines.push(
+          `  ${member.getName()}${value === undefined ? '' : ` = ${JSON.stringify(value)}`},`,
+        );
+      }
+      lines.push('}');
+    }
+
+    if (
+      symbol.flags &
+      (ts.SymbolFlags.ValueModule | ts.SymbolFlags.NamespaceModule)
+    ) {
+      lines.push(`export namespace ${name} {`);
+      for (const member of checker
+        .getExportsOfModule(symbol)
+        .sort((a, b) => a.getName().localeCompare(b.getName()))) {
+        const resolved =
+          member.flags & ts.SymbolFlags.Alias
+            ? checker.getAliasedSymbol(member)
+            : member;
+        if (!(resolved.flags & ts.SymbolFlags.Value)) continue;
+        lines.push(
+          `  ${member.getName()}: ${typeText(checker.getTypeOfSymbol(resolved))};`,
+        );
+      }
+      lines.push('}');
+    }
+
+    return lines;
+  };
+
+  return checker
+    .getExportsOfModule(moduleSymbol)
+    .sort((a, b) => a.getName().localeCompare(b.getName()))
+    .flatMap((exportSymbol) =>
+      renderSymbol(
+        exportSymbol.getName(),
+        exportSymbol.flags & ts.SymbolFlags.Alias
+          ? checker.getAliasedSymbol(exportSymbol)
+          : exportSymbol,
+      ),
+    );
+}
+
+/**
+ * Extract the public API of every public entry of a package
+ * @param {string} rootPath - Root path of the package
+ * @returns {ApiReport[]} One report per entry, sorted by name
+ */
+export function extractApiReports(rootPath) {
+  const ts = loadTypeScript(rootPath);
+  const pkg = readPackageJson(rootPath);
+  const entries = Object.entries(getDeclarationEntries(rootPath));
+  const program = createProgram(
+    ts,
+    rootPath,
+    entries.map(([, file]) => file),
+  );
+  const checker = program.getTypeChecker();
+
+  return entries
+    .map(([entry, file]) => {
+      const sourceFile = program.getSourceFile(file);
+      if (!sourceFile) {
+        throw new PackageError(`Could not load entry ${file}`, rootPath);
+      }
+
+      const name = entry === 'index' ? 'index' : entry.replace(/\/index$/, '');
+      return {
+        name,
+        title: name === 'index' ? pkg.name : `${pkg.name}/${name}`,
+        lines: renderModule(ts, checker, sourceFile),
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Render an API report as markdown
+ * @param {ApiReport} report - API report
+ * @returns {string} Markdown content
+ */
+export function renderApiReport(report) {
+  return [
+    `# API Report: ${report.title}`,
+    '',
+    '<!-- Generated by `libsync api`. Do not edit this file by hand. -->',
+    '',
+    '```ts',
+    ...report.lines,
+    '```',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Get the key identifying the member declared by a report line
+ * @param {string} line - Member line without indentation
+ * @returns {string} Member key
+ */
+function getMemberKey(line) {
+  const isStatic = line.startsWith('static ');
+  const text = line.replace(/^static\s+/, '').replace(MEMBER_MODIFIERS, '');
+  const prefix = isStatic ? 'static ' : '';
+
+  if (text.startsWith('[')) {
+    return `${prefix}${text.slice(0, text.indexOf(']') + 1)}`;
+  }
+  if (/^new\s*[<(]/.test(text)) {
+    return 'new()';
+  }
+  if (/^[<(]/.test(text)) {
+    return '()';
+  }
+  return `${prefix}${text.match(/^[^\s(:<?;,=]+/)?.[0] ?? text}`;
+}
+
+/**
+ * Parse report markdown into declarations keyed by export or member name
+ * @param {string} content - Report markdown
+ * @returns {Map<string, string>} Declaration text by key (overloads joined)
+ */
+export function parseApiReport(content) {
+  const block = content.match(/```ts\n([\s\S]*?)```/)?.[1] ?? '';
+  /** @type {Map<string, string>} */
+  const declarations = new Map();
+  /** @type {string | null} */
+  let parent = null;
+
+  /**
+   * @param {string} key - Declaration key
+   * @param {string} text - Declaration text
+   */
+  const add = (key, text) => {
+    const existing = declarations.get(key);
+    declarations.set(
+      key,
+      existing === undefined ? text : `${existing}\n${text}`,
+    );
+  };
+
+  for (const line of block.split('\n')) {
+    if (line.trim() === '' || line === '}') {
+      if (line === '}') parent = null;
+      continue;
+    }
+
+    if (parent && line.startsWith('  ')) {
+      add(`${parent}.${getMemberKey(line.trim())}`, line.trim());
+      continue;
+    }
+
+    const name =
+      line.match(
+        /^export\s+(?:abstract\s+|const\s+(?=enum))?(?:function|class|interface|type|enum|namespace|const|let)\s+([^\s<(:=]+)/,
+      )?.[1] ?? line;
+    add(name, line);
+    parent = line.endsWith('{') ? name : null;
+  }
+
+  return declarations;
+}
+
+/**
+ * Compare a committed API report with the current one
+ * @param {string | null} previous - Committed report markdown, or null if none
+ * @param {string | null} current - Current report markdown, or null if the entry was removed
+ * @returns {ApiDiff} Classified differences
+ */
+export function diffApiReports(previous, current) {
+  const before = parseApiReport(previous ?? '');
+  const after = parseApiReport(current ?? '');
+
+  const added = [...after.keys()].filter((key) => !before.has(key));
+  const removed = [...before.keys()].filter((key) => !after.has(key));
+  const changed = [...after.keys()].filter(
+    (key) => before.has(key) && before.get(key) !== after.get(key),
+  );
+
+  // Members of an added or removed export are covered by the export itself
+  /**
+   * @param {string[]} keys - Declaration keys
+   * @returns {string[]} Keys without members of the given exports
+   */
+  const withoutMembersOf = (keys) => {
+    const exports = new Set(keys.filter((key) => !key.includes('.')));
+    return keys.filter(
+      (key) => !exports.has(key.split('.')[0]) || !key.includes('.'),
+    );
+  };
+
+  return {
+    added: withoutMembersOf(added),
+    removed: withoutMembersOf(removed),
+    changed,
+  };
+}
+
+/**
+ * Check whether a diff contains breaking changes
+ * @param {ApiDiff} diff - API diff
+ * @returns {boolean} Whether anything was removed or changed
+ */
+export function isBreakingApiDiff(diff) {
+  return diff.removed.length > 0 || diff.changed.length > 0;
+}
+
+/**
+ * Get the path of an API report file
+ * @param {string} reportDir - Report directory path
+ * @param {string} name - Report name
+ * @returns {string} Report file path
+ */
+export function getApiReportPath(reportDir, name) {
+  return join(reportDir, `${name}.api.md`);
+}
+
+/**
+ * Read a committed API report
+ * @param {string} reportDir - Report directory path
+ * @param {string} name - Report name
+ * @returns {string | null} Report markdown, or null if it does not exist
+ */
+export function readApiReport(reportDir, name) {
+  const reportPath = getApiReportPath(reportDir, name);
+  return existsSync(reportPath) ? readFileSync(reportPath, 'utf-8') : null;
+}
@@ -0,0 +1,255 @@
+/**
+ * @fileoverview Stylesheet and static asset pipeline
+ * Compiles stylesheet entries (with Tailwind CSS when they use it), enables
+ * CSS modules in the tsup builds, copies static assets next to the build
+ * output and exposes every resulting stylesheet in the exports map
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { createRequire } from 'module';
+import { dirname, join, relative, resolve } from 'path';
+import spawn from 'cross-spawn';
+import fse from 'fs-extra';
+import { glob } from 'glob';
+import { build } from 'tsup';
+import { getConfig } from './config.js';
+import {
+  ConfigurationError,
+  PackageError,
+  getDeclarationEntries,
+  getPackageBuilds,
+  getSourceDir,
+} from './package.js';
+
+/**
+ * Namespace of the CSS modules loaded by cssModulesPlugin
+ */
+const CSS_MODULES_NAMESPACE = 'libsync-css-module';
+
+/**
+ * Stylesheet config files that affect the compiled output
+ */
+export const STYLE_CONFIG_FILES = [
+  'tailwind.config.js',
+  'tailwind.config.cjs',
+  'tailwind.config.mjs',
+  'tailwind.config.ts',
+  'postcss.config.js',
+  'postcss.config.cjs',
+  'postcss.config.mjs',
+];
+
+/**
+ * esbuild plugin loading *.module.css imports as CSS modules. tsup loads
+ * every .css file as global CSS, so CSS modules are resolved into their own
+ * namespace before tsup's loader sees them.
+ * @returns {NonNullable<import('tsup').Options['esbuildPlugins']>[number]} esbuild plugin
+ */
+export function cssModulesPlugin() {
+  return {
+    name: 'libsync-css-modules',
+    setup(pluginBuild) {
+      pluginBuild.onResolve({ filter: /\.module\.css$/ }, (args) => ({
+        // A path that does not end in .css keeps tsup's CSS loader away
+        path: `${resolve(args.resolveDir, args.path)}?module`,
+        namespace: CSS_MODULES_NAMESPACE,
+      }));
+
+      pluginBuild.onLoad(
+        { filter: /.*/, namespace: CSS_MODULES_NAMESPACE },
+        (args) => {
+          const file = args.path.replace(/\?module$/, '');
+          return {
+            contents: readFileSync(file, 'utf-8'),
+            loader: 'local-css',
+            resolveDir: dirname(file),
+            watchFiles: [file],
+          };
+        },
+      );
+    },
+  };
+}
+
+/**
+ * Get the output directory stylesheets are published from: the ESM build,
+ * or the CJS build of CJS-only packages
+ * @param {string} rootPath - Root path of the package
+ * @returns {string} Output directory relative to the package root
+ */
+export function getStylesDir(rootPath) {
+  const builds = getPackageBuilds(rootPath);
+  return builds.esm ?? builds.cjs;
+}
+
+/**
+ * Whether a stylesheet needs Tailwind CSS to compile
+ * @param {string} css - Stylesheet source
+ * @returns {boolean} Whether Tailwind directives are used
+ */
+function usesTailwind(css) {
+  return /@tailwind\s|@import\s+["']tailwindcss["']/.test(css);
+}
+
+/**
+ * Locate the Tailwind CSS command line installed for the package
+ * @param {string} rootPath - Root path of the package
+ * @returns {string} Path to the CLI script
+ */
+function resolveTailwindCli(rootPath) {
+  const require = createRequire(join(rootPath, 'package.json'));
+
+  // Tailwind 4 ships its CLI separately; Tailwind 3 includes it
+  for (const name of ['@tailwindcss/cli', 'tailwindcss']) {
+    try {
+      const packageJsonPath = require.resolve(`${name}/package.json`);
+      const { bin } = JSON.parse(readFileSync(packageJsonPath, 'utf-8'));
+      const cli = typeof bin === 'string' ? bin : bin?.tailwindcss;
+      if (cli) return join(dirname(packageJsonPath), cli);
+    } catch {
+      // Try the next package
+    }
+  }
+
+  throw new ConfigurationError(
+    'Tailwind CSS is required to compile stylesheets that use @tailwind',
+    [
+      'Install tailwindcss in the package or workspace root, e.g. pnpm add -D tailwindcss',
+      'For Tailwind CSS 4, also install @tailwindcss/cli',
+    ],
+  );
+}
+
+/**
+ * Compile the stylesheet entries of the libsync config into the styles
+ * directory. Stylesheets using Tailwind go through the Tailwind CLI (which
+ * reads tailwind.config.* from the package root); the others are bundled by
+ * tsup, which inlines their imports and resolves url() references.
+ * @param {string} rootPath - Root path of the package
+ * @param {boolean} verbose - Enable verbose logging
+ * @returns {Promise<string[]>} Written stylesheets, relative to the package root
+ */
+export async function buildStylesheets(rootPath, verbose) {
+  const { styles } = getConfig(rootPath);
+  const stylesDir = getStylesDir(rootPath);
+  /** @type {string[]} */
+  const written = [];
+
+  for (const [subpath, source] of Object.entries(styles)) {
+    const sourcePath = join(rootPath, source);
+    const outputPath = join(rootPath, stylesDir, subpath);
+
+    if (!existsSync(sourcePath)) {
+      throw new ConfigurationError(`Stylesheet not found: ${source}`, [
+        `Check the "styles" entry for ${subpath} in your libsync config`,
+      ]);
+    }
+
+    if (usesTailwind(readFileSync(sourcePath, 'utf-8'))) {
+      const { status, stderr, error } = spawn.sync(
+        process.execPath,
+        [
+          resolveTailwindCli(rootPath),
+          '--input',
+          sourcePath,
+          '--output',
+          outputPath,
+          '--minify',
+        ],
+        { cwd: rootPath, encoding: 'utf-8' },
+      );
+
+      if (error || status !== 0) {
+        throw new PackageError(
+          `Failed to compile ${source} with Tailwind CSS: ${error ? error.message : stderr.trim()}`,
+          rootPath,
+        );
+      }
+    } else {
+      try {
+        await build({
+          entry: {
+            [subpath.replace(/^\.\//, '').replace(/\.css$/, '')]: sourcePath,
+          },
+          outDir: join(rootPath, stylesDir),
+          config: false,
+          minify: true,
+          silent: !verbose,
+        });
+      } catch (error) {
+        throw new PackageError(
+          `Failed to bundle ${source}: ${error instanceof Error ? error.message : String(error)}`,
+          rootPath,
+        );
+      }
+    }
+
+    written.push(relative(rootPath, outputPath));
+  }
+
+  return written;
+}
+
+/**
+ * Copy the static assets matched by the "assets" globs from the source
+ * directory into every output directory, keeping their relative paths
+ * @param {string} rootPath - Root path of the package
+ * @param {string[]} outDirs - Output directories relative to the package root
+ * @returns {number} Number of copied files
+ */
+export function copyAssets(rootPath, outDirs) {
+  const { assets, exclude, testPatterns } = getConfig(rootPath);
+  if (assets.length === 0) return 0;
+
+  const sourceDir = getSourceDir(rootPath);
+  const files = glob.sync(assets, {
+    cwd: join(rootPath, sourceDir),
+    ignore: [...testPatterns, ...exclude],
+    nodir: true,
+    posix: true,
+  });
+
+  for (const outDir of outDirs) {
+    for (const file of files) {
+      fse.copySync(
+        join(rootPath, sourceDir, file),
+        join(rootPath, outDir, file),
+      );
+    }
+  }
+
+  return files.length;
+}
+
+/**
+ * Get the exports of every stylesheet. Configured stylesheets point at their
+ * source in development mode and at the compiled file in production; the
+ * CSS that tsup emits for entries importing styles is only exported in
+ * production, under the entry's subpath (`./components.css`).
+ * @param {string} rootPath - Root path of the package
+ * @param {boolean} prod - Whether to generate for production
+ * @returns {Record<string, string>} Subpath to target
+ */
+export function getStylesheetExports(rootPath, prod) {
+  const { styles } = getConfig(rootPath);
+  const stylesDir = getStylesDir(rootPath);
+  /** @type {Record<string, string>} */
+  const exportsMap = {};
+
+  if (prod) {
+    for (const name of Object.keys(getDeclarationEntries(rootPath)).sort()) {
+      if (existsSync(join(rootPath, stylesDir, `${name}.css`))) {
+        exportsMap[`./${name.replace(/\/index$/, '')}.css`] =
+          `./${join(stylesDir, `${name}.css`)}`;
+      }
+    }
+  }
+
+  for (const [subpath, source] of Object.entries(styles)) {
+    exportsMap[subpath] = prod
+      ? `./${join(stylesDir, subpath)}`
+      : `./${join(source)}`;
+  }
+
+  return exportsMap;
+}
@@ -0,0 +1,319 @@
+/**
+ * @fileoverview Content-addressed build cache
+ * Stores build output under node_modules/.cache/libsync keyed on a hash of
+ * everything that can change it, so unchanged packages skip tsc and tsup
+ */
+
+import { createHash } from 'crypto';
+import { existsSync, readFileSync, readdirSync, statSync } from 'fs';
+import { createRequire } from 'module';
+import { basename, join, relative, resolve } from 'path';
+import chalk from 'chalk';
+import fse from 'fs-extra';
+import { glob } from 'glob';
+import { STYLE_CONFIG_FILES } from './assets.js';
+import { findConfigFile, getConfig } from './config.js';
+import { getSourceDir, readPackageJson } from './package.js';
+
+/**
+ * Bump when the layout of the build output changes, to invalidate old entries
+ */
+const CACHE_VERSION = 3;
+
+/**
+ * Number of cache entries kept per package
+ */
+const MAX_CACHE_ENTRIES = 5;
+
+/**
+ * Cache entry directory names: SHA-256 hex digests of the cache key
+ */
+const CACHE_ENTRY_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Name of the chunk inputs file, in the cache directory and in each entry
+ */
+const CHUNK_INPUTS_FILE = 'chunk-inputs.json';
+
+/**
+ * Build configuration files that affect the output
+ */
+const BUILD_CONFIG_FILES = [
+  'tsup.config.js',
+  'tsup.config.mjs',
+  'tsup.config.cjs',
+  'tsup.config.ts',
+  'tsconfig.build.json',
+  'tsconfig.json',
+];
+
+/**
+ * Package.json fields that affect the output
+ */
+const PACKAGE_JSON_FIELDS = /** @type {const} */ ([
+  'name',
+  'version',
+  'type',
+  'main',
+  'module',
+  'types',
+  'bin',
+  'exports',
+  'sideEffects',
+  'dependencies',
+  'peerDependencies',
+]);
+
+/**
+ * Get the resolved versions of the tools that produce the build output, so
+ * upgrading libsync, tsup or TypeScript never restores stale output
+ * @param {string} rootPath - Root path of the package
+ * @returns {Record<string, string | null>} Tool name to version, null when not installed
+ */
+function getToolchainVersions(rootPath) {
+  const cliRequire = createRequire(import.meta.url);
+  // tsc is run from the package, so use the TypeScript it resolves
+  const packageRequire = createRequire(resolve(rootPath, 'package.json'));
+
+  /**
+   * @param {NodeRequire} require - Require function to resolve with
+   * @param {string} request - package.json to read
+   * @returns {string | null} Version, or null when it cannot be resolved
+   */
+  const readVersion = (require, request) => {
+    try {
+      return require(request).version ?? null;
+    } catch {
+      return null;
+    }
+  };
+
+  return {
+    libsync: readVersion(cliRequire, '../../package.json'),
+    tsup: readVersion(cliRequire, 'tsup/package.json'),
+    typescript:
+      readVersion(packageRequire, 'typescript/package.json') ??
+      readVersion(cliRequire, 'typescript/package.json'),
+  };
+}
+
+/**
+ * Get the configs that tsconfig.build.json and tsconfig.json extend, e.g. a
+ * shared @repo/tsconfig package, resolved the way tsc resolves them
+ * @param {string} rootPath - Root path of the package
+ * @returns {string[]} Absolute paths of the extended configs, empty when TypeScript is not installed
+ */
+function getExtendedTsConfigFiles(rootPath) {
+  /** @type {typeof import('typescript')} */
+  let ts;
+  try {
+    ts = createRequire(resolve(rootPath, 'package.json'))('typescript');
+  } catch {
+    return [];
+  }
+
+  /** @type {Set<string>} */
+  const files = new Set();
+  for (const file of ['tsconfig.build.json', 'tsconfig.json']) {
+    const configPath = join(rootPath, file);
+    if (!existsSync(configPath)) continue;
+
+    const sourceFile = ts.readJsonConfigFile(configPath, ts.sys.readFile);
+    ts.parseJsonSourceFileConfigFileContent(
+      sourceFile,
+      ts.sys,
+      rootPath,
+      undefined,
+      configPath,
+    );
+    for (const extendedFile of sourceFile.extendedSourceFiles ?? []) {
+      files.add(resolve(extendedFile));
+    }
+  }
+
+  return [...files];
+}
+
+/**
+ * Get the cache directory of a package
+ * @param {string} rootPath - Root path of the package
+ * @returns {string} Cache directory path
+ */
+export function getBuildCacheDir(rootPath) {
+  return join(rootPath, 'node_modules', '.cache', 'libsync');
+}
+
+/**
+ * Get the path of the file recording the source modules of each shared chunk,
+ * kept with the build output it describes
+ * @param {string} rootPath - Root path of the package
+ * @returns {string} Chunk inputs file path
+ */
+export function getChunkInputsPath(rootPath) {
+  return join(getBuildCacheDir(rootPath), CHUNK_INPUTS_FILE);
+}
+
+/**
+ * Compute the cache key of a package build.
+ * Must be called while package.json is in development mode.
+ * @param {string} rootPath - Root path of the package
+ * @param {Record<string, string>} builds - Build formats and output directories
+ * @returns {string} Hex digest identifying the build output
+ */
+export function getBuildCacheKey(rootPath, builds) {
+  const hash = createHash('sha256');
+  const pkg = readPackageJson(rootPath);
+
+  hash.update(
+    JSON.stringify({
+      version: CACHE_VERSION,
+      toolchain: getToolchainVersions(rootPath),
+      builds,
+      config: getConfig(rootPath),
+      pkg: PACKAGE_JSON_FIELDS.map((field) => [field, pkg[field]]),
+    }),
+  );
+
+  const configFile = findConfigFile(rootPath);
+  const configFiles = [
+    ...BUILD_CONFIG_FILES,
+    ...STYLE_CONFIG_FILES,
+    // Stylesheet entries usually live outside the source directory
+    ...Object.values(getConfig(rootPath).styles),
+    ...(configFile ? [basename(configFile)] : []),
+  ];
+
+  for (const file of configFiles) {
+    const filePath = join(rootPath, file);
+    if (existsSync(filePath)) {
+      hash.update(`\0${file}\0`);
+      hash.update(readFileSync(filePath));
+    }
+  }
+
+  // Shared base configs usually live in another package or the workspace root
+  for (const filePath of getExtendedTsConfigFiles(rootPath)) {
+    if (existsSync(filePath)) {
+      hash.update(`\0${relative(rootPath, filePath)}\0`);
+      hash.update(readFileSync(filePath));
+    }
+  }
+
+  // Every source file counts, not only entries: entries pull in the rest as chunks
+  const sourceDir = getSourceDir(rootPath);
+  const sourceFiles = glob.sync('**/*', {
+    cwd: join(rootPath, sourceDir),
+    nodir: true,
+    dot: true,
+    posix: true,
+  });
+
+  for (const file of sourceFiles.sort()) {
+    hash.update(`\0${sourceDir}/${file}\0`);
+    hash.update(readFileSync(join(rootPath, sourceDir, file)));
+  }
+
+  return hash.digest('hex');
+}
+
+/**
+ * Restore build output from the cache
+ * @param {string} rootPath - Root path of the package
+ * @param {string} key - Cache key
+ * @param {Record<string, string>} builds - Build formats and output directories
+ * @returns {boolean} Whether the cache had an entry to restore
+ */
+export function restoreBuildCache(rootPath, key, builds) {
+  const entryPath = join(getBuildCacheDir(rootPath), key);
+  const buildDirs = [...new Set(Object.values(builds))];
+
+  if (
+    !existsSync(entryPath) ||
+    !buildDirs.every((buildDir) => existsSync(join(entryPath, buildDir)))
+  ) {
+    return false;
+  }
+
+  try {
+    for (const buildDir of buildDirs) {
+      fse.copySync(join(entryPath, buildDir), join(rootPath, buildDir));
+    }
+
+    // Entries saved without chunk inputs fall back to listing every chunk
+    const chunkInputsPath = join(entryPath, CHUNK_INPUTS_FILE);
+    if (existsSync(chunkInputsPath)) {
+      fse.copySync(chunkInputsPath, getChunkInputsPath(rootPath));
+    } else {
+      fse.removeSync(getChunkInputsPath(rootPath));
+    }
+
+    // Mark as recently used so pruning keeps it
+    const now = new Date();
+    fse.utimesSync(entryPath, now, now);
+    return true;
+  } catch (error) {
+    console.warn(
+      chalk.yellow(
+        `   Warning: Could not restore build cache: ${error instanceof Error ? error.message : String(error)}`,
+      ),
+    );
+    for (const buildDir of buildDirs) {
+      fse.removeSync(join(rootPath, buildDir));
+    }
+    return false;
+  }
+}
+
+/**
+ * Save build output to the cache and prune old entries
+ * @param {string} rootPath - Root path of the package
+ * @param {string} key - Cache key
+ * @param {Record<string, string>} builds - Build formats and output directories
+ */
+export function saveBuildCache(rootPath, key, builds) {
+  const cacheDir = getBuildCacheDir(rootPath);
+  const entryPath = join(cacheDir, key);
+
+  try {
+    fse.removeSync(entryPath);
+
+    for (const buildDir of new Set(Object.values(builds))) {
+      fse.copySync(join(rootPath, buildDir), join(entryPath, buildDir));
+    }
+    if (existsSync(getChunkInputsPath(rootPath))) {
+      fse.copySync(
+        getChunkInputsPath(rootPath),
+        join(entryPath, CHUNK_INPUTS_FILE),
+      );
+    }
+
+    pruneBuildCache(cacheDir);
+  } catch (error) {
+    // A failed cache write must never fail the build
+    fse.removeSync(entryPath);
+    console.warn(
+      chalk.yellow(
+        `   Warning: Could not save build cache: ${error instanceof Error ? error.message : String(error)}`,
+      ),
+    );
+  }
+}
+
+/**
+ * Remove the least recently used cache entries beyond the limit, leaving
+ * other files in the cache directory, such as the size report, alone
+ * @param {string} cacheDir - Cache directory path
+ */
+function pruneBuildCache(cacheDir) {
+  const entries = readdirSync(cacheDir)
+    .filter((name) => CACHE_ENTRY_PATTERN.test(name))
+    .map((name) => ({
+      path: join(cacheDir, name),
+      mtime: statSync(join(cacheDir, name)).mtimeMs,
+    }))
+    .sort((a, b) => b.mtime - a.mtime);
+
+  for (const entry of entries.slice(MAX_CACHE_ENTRIES)) {
+    fse.removeSync(entry.path);
+  }
+}
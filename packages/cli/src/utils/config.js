@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Project-level configuration loading
+ * Resolves libsync.config.{js,mjs,cjs} or the "libsync" key in package.json
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { basename, join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import chalk from 'chalk';
+import { libsyncConfigSchema } from '../schemas/config.js';
+import { ConfigurationError, PackageError } from './package.js';
+
+/**
+ * Supported config file names, in lookup order
+ */
+const CONFIG_FILE_NAMES = [
+  'libsync.config.js',
+  'libsync.config.mjs',
+  'libsync.config.cjs',
+];
+
+/**
+ * Configs loaded from files, keyed by resolved package path.
+ * File configs need a dynamic import, so they are loaded once per run by
+ * `loadConfig` and served synchronously afterwards by `getConfig`.
+ * @type {Map<string, import('../schemas/config.js').LibsyncConfig>}
+ */
+const fileConfigCache = new Map();
+
+/**
+ * Identity helper that gives config files type checking and autocompletion
+ * @param {import('../schemas/config.js').LibsyncConfigInput} config - Libsync configuration
+ * @returns {import('../schemas/config.js').LibsyncConfigInput} The same configuration
+ */
+export function defineConfig(config) {
+  return config;
+}
+
+/**
+ * Find the libsync config file of a package, if any
+ * @param {string} rootPath - Root path of the package
+ * @returns {string | null} Absolute path to the config file, or null
+ */
+export function findConfigFile(rootPath) {
+  const packagePath = resolve(rootPath);
+
+  for (const fileName of CONFIG_FILE_NAMES) {
+    const configPath = join(packagePath, fileName);
+    if (existsSync(configPath)) {
+      return configPath;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read the inline "libsync" key from package.json without schema validation
+ * @param {string} packagePath - Resolved package path
+ * @returns {unknown} Raw inline config, or undefined when absent
+ */
+function readInlineConfig(packagePath) {
+  const pkgPath = join(packagePath, 'package.json');
+
+  if (!existsSync(pkgPath)) {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(readFileSync(pkgPath, 'utf-8')).libsync;
+  } catch (error) {
+    throw new PackageError(
+      `Error reading ${pkgPath}: ${error instanceof Error ? error.message : String(error)}`,
+      packagePath,
+    );
+  }
+}
+
+/**
+ * Validate raw config input against the libsync config schema
+ * @param {unknown} rawConfig - Raw configuration object
+ * @param {string} source - Where the config came from (for error messages)
+ * @returns {import('../schemas/config.js').LibsyncConfig} Resolved configuration
+ */
+function parseConfig(rawConfig, source) {
+  const validationResult = libsyncConfigSchema.safeParse(rawConfig ?? {});
+
+  if (!validationResult.success) {
+    const errorMessages = validationResult.error.issues.map(
+      (issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`,
+    );
+
+    throw new ConfigurationError(
+      `Invalid libsync configuration in ${source}:\n${errorMessages.map((msg) => `  • ${msg}`).join('\n')}`,
+      [
+        'Check the field names against the configuration docs',
+        'Directory options (sourceDir, outDirs) must be non-empty strings',
+        'Glob options (entries, exclude, testPatterns) must be arrays of strings',
+      ],
+    );
+  }
+
+  return validationResult.data;
+}
+
+/**
+ * Load the libsync configuration of a package, importing the config file if present.
+ * Must be awaited once before the synchronous helpers read a file-based config.
+ * @param {string} rootPath - Root path of the package
+ * @param {{ reload?: boolean }} [options] - Pass reload to bypass the cache
+ * @returns {Promise<import('../schemas/config.js').LibsyncConfig>} Resolved configuration
+ */
+export async function loadConfig(rootPath, options = {}) {
+  const packagePath = resolve(rootPath);
+  const cached = fileConfigCache.get(packagePath);
+
+  if (cached && !options.reload) {
+    return cached;
+  }
+
+  const configPath = findConfigFile(packagePath);
+
+  if (!configPath) {
+    fileConfigCache.delete(packagePath);
+    return getConfig(packagePath);
+  }
+
+  /** @type {unknown} */
+  let rawConfig;
+
+  try {
+    // Cache-bust so watch mode picks up edits to the config file
+    const configUrl = pathToFileURL(configPath);
+    configUrl.searchParams.set('t', String(Date.now()));
+    const configModule = await import(configUrl.href);
+    rawConfig = configModule.default;
+  } catch (error) {
+    throw new ConfigurationError(
+      `Failed to load ${basename(configPath)}: ${error instanceof Error ? error.message : String(error)}`,
+      [
+        `Ensure ${basename(configPath)} has a default export with the configuration object`,
+        'Use the .cjs or .mjs extension if the module format does not match the package "type"',
+      ],
+    );
+  }
+
+  if (readInlineConfig(packagePath) !== undefined) {
+    console.warn(
+      chalk.yellow(
+        `Warning: Both ${basename(configPath)} and a "libsync" key in package.json were found - using ${basename(configPath)}`,
+      ),
+    );
+  }
+
+  const config = parseConfig(rawConfig, configPath);
+  fileConfigCache.set(packagePath, config);
+  return config;
+}
+
+/**
+ * Get the libsync configuration of a package synchronously
+ * @param {string} rootPath - Root path of the package
+ * @returns {import('../schemas/config.js').LibsyncConfig} Resolved configuration
+ */
+export function getConfig(rootPath) {
+  const packagePath = resolve(rootPath);
+  const cached = fileConfigCache.get(packagePath);
+
+  if (cached) {
+    return cached;
+  }
+
+  const configPath = findConfigFile(packagePath);
+  if (configPath) {
+    throw new ConfigurationError(
+      `${basename(configPath)} has not been loaded for ${packagePath}`,
+      [
+        'Await loadConfig(packagePath) before calling package utilities',
+        'Or move the configuration to the "libsync" key in package.json',
+      ],
+    );
+  }
+
+  return parseConfig(
+    readInlineConfig(packagePath),
+    join(packagePath, 'package.json'),
+  );
+}
+
+/**
+ * Apply per-command defaults from the libsync config to parsed CLI options.
+ * Options passed explicitly on the command line are never overridden.
+ * @template {Record<string, any>} T
+ * @param {keyof import('../schemas/config.js').LibsyncConfig['commands']} commandName - Config key of the command
+ * @param {T} options - Options parsed by commander
+ * @param {import('commander').Command} command - Command used to inspect where each option value came from
+ * @returns {Promise<T>} Options with config defaults applied
+ */
+export async function applyCommandDefaults(commandName, options, command) {
+  const config = await loadConfig(options.path ?? process.cwd());
+  const defaults = config.commands[commandName] ?? {};
+
+  /** @type {Record<string, any>} */
+  const merged = { ...options };
+
+  for (const [key, value] of Object.entries(defaults)) {
+    const source = command.getOptionValueSource(key);
+    if (value !== undefined && source !== 'cli' && source !== 'env') {
+      merged[key] = value;
+    }
+  }
+
+  return /** @type {T} */ (merged);
+}
@@ -0,0 +1,430 @@
+/**
+ * @fileoverview Exports-first entry mode
+ * Uses a hand-written package.json "exports" map as the source of truth for
+ * build entries, rewriting its targets between source and build directories
+ */
+
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { glob } from 'glob';
+import { getConfig } from './config.js';
+import {
+  ConfigurationError,
+  getConditionBuilds,
+  getCJSDir,
+  getESMDir,
+  getPackageBuilds,
+  getSourceDir,
+  readPackageJson,
+} from './package.js';
+
+/**
+ * Source extensions probed when mapping a build target back to its source,
+ * in order of preference
+ */
+const SOURCE_EXTENSIONS = [
+  '.ts',
+  '.tsx',
+  '.mts',
+  '.cts',
+  '.js',
+  '.jsx',
+  '.mjs',
+  '.cjs',
+];
+
+/**
+ * Matches source files that tsup builds
+ */
+const SOURCE_FILE_PATTERN = /\.(?:[cm]?[jt]s|[jt]sx)$/;
+
+/**
+ * Matches built files and declarations, capturing the extension
+ */
+const BUILD_FILE_PATTERN = /(\.d\.[cm]?ts|\.[cm]?js)$/;
+
+/**
+ * Package.json entry fields and the export condition they correspond to
+ */
+const ENTRY_FIELDS = /** @type {const} */ ([
+  ['main', 'require'],
+  ['module', 'import'],
+  ['types', 'types'],
+]);
+
+/**
+ * Conditions that must come after custom ones: Node.js picks the first
+ * matching key, and these match in every environment
+ */
+const GENERIC_CONDITIONS = ['import', 'require', 'default'];
+
+/**
+ * Conditions that select a build mode rather than an environment
+ */
+const MODE_CONDITIONS = ['development', 'production'];
+
+/**
+ * Order export conditions so specific ones are matched first: types,
+ * environment conditions (browser, worker, ...), development/production,
+ * then import, require and default
+ * @template T
+ * @param {Record<string, T>} conditions - Condition map
+ * @returns {Record<string, T>} Condition map with keys in resolution order
+ */
+export function sortExportConditions(conditions) {
+  /**
+   * @param {string} condition - Condition name
+   * @returns {number} Sort rank
+   */
+  const rank = (condition) => {
+    if (condition === 'types') return 0;
+    if (MODE_CONDITIONS.includes(condition)) return 2;
+    if (GENERIC_CONDITIONS.includes(condition)) {
+      return 3 + GENERIC_CONDITIONS.indexOf(condition);
+    }
+    return 1;
+  };
+
+  return Object.fromEntries(
+    Object.entries(conditions).sort(([a], [b]) => rank(a) - rank(b)),
+  );
+}
+
+/**
+ * Check whether a package uses the exports-first entry mode
+ * @param {string} rootPath - Root path of the package
+ * @returns {boolean} Whether "entryMode" is "exports"
+ */
+export function isExportsMode(rootPath) {
+  return getConfig(rootPath).entryMode === 'exports';
+}
+
+/**
+ * Normalize the exports field to a subpath map ("exports": "./x" and
+ * condition-only objects are shorthands for the "." subpath)
+ * @param {unknown} exportsField - Raw package.json exports field
+ * @returns {Record<string, any>} Subpath map
+ */
+function normalizeExportsMap(exportsField) {
+  if (
+    typeof exportsField === 'string' ||
+    Array.isArray(exportsField) ||
+    (exportsField &&
+      typeof exportsField === 'object' &&
+      !Object.keys(exportsField).some((key) => key.startsWith('.')))
+  ) {
+    return { '.': exportsField };
+  }
+
+  return /** @type {Record<string, any>} */ (exportsField ?? {});
+}
+
+/**
+ * Read the exports map of a package in exports-first mode
+ * @param {string} rootPath - Root path of the package
+ * @returns {Record<string, any>} Subpath map with targets pointing at sources
+ */
+function readSourceExportsMap(rootPath) {
+  const pkg = readPackageJson(rootPath);
+
+  if (!pkg.exports || Object.keys(pkg.exports).length === 0) {
+    throw new ConfigurationError(
+      'The "exports" entry mode requires an "exports" map in package.json',
+      [
+        'Add an "exports" map pointing at your source files, e.g. "./utils": "./src/utils/index.ts"',
+        'Or remove "entryMode" from your libsync config to generate exports from the file tree',
+      ],
+    );
+  }
+
+  // The map may currently be in production form; map it back to sources first
+  return rewriteExportsMap(pkg.exports, rootPath, false);
+}
+
+/**
+ * Collect every string target of an exports value
+ * @param {unknown} value - Exports value (string, array or condition object)
+ * @returns {string[]} Targets
+ */
+function collectTargets(value) {
+  if (typeof value === 'string') {
+    return [value];
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap(collectTargets);
+  }
+  if (value && typeof value === 'object') {
+    return Object.values(value).flatMap(collectTargets);
+  }
+  return [];
+}
+
+/**
+ * Get the source-relative path of a target inside the source directory
+ * @param {string} target - Export target
+ * @param {string} sourceDir - Source directory name
+ * @returns {string | null} Path relative to the source directory, or null
+ */
+function getSourceRelativePath(target, sourceDir) {
+  const prefix = `./${sourceDir}/`;
+  if (
+    !target.startsWith(prefix) ||
+    !SOURCE_FILE_PATTERN.test(target) ||
+    /\.d\.[cm]?ts$/.test(target)
+  ) {
+    return null;
+  }
+  return target.slice(prefix.length);
+}
+
+/**
+ * Get the build entries declared by the exports map (and bin field)
+ * @param {string} rootPath - Root path of the package
+ * @returns {Record<string, string>} Entry name to source file path
+ */
+export function getExportsEntries(rootPath) {
+  const sourceDir = getSourceDir(rootPath);
+  const sourcePath = join(rootPath, sourceDir);
+  const { testPatterns } = getConfig(rootPath);
+  const pkg = readPackageJson(rootPath);
+
+  const targets = [
+    ...collectTargets(Object.values(readSourceExportsMap(rootPath))),
+    ...collectTargets(pkg.bin),
+  ];
+
+  /** @type {Record<string, string>} */
+  const entries = {};
+  /** @type {string[]} */
+  const missing = [];
+
+  for (const target of targets) {
+    const relativePath = getSourceRelativePath(
+      target.replace(/^(?!\.\/)/, './'),
+      sourceDir,
+    );
+    if (!relativePath) continue;
+
+    // Subpath patterns: "*" may span directories, like Node's resolution
+    if (relativePath.includes('*')) {
+      const files = glob.sync(relativePath.replace('*', '**/*'), {
+        cwd: sourcePath,
+        ignore: testPatterns,
+        nodir: true,
+        posix: true,
+      });
+      for (const file of files) {
+        entries[file.replace(SOURCE_FILE_PATTERN, '')] = join(sourcePath, file);
+      }
+      continue;
+    }
+
+    if (!existsSync(join(sourcePath, relativePath))) {
+      missing.push(target);
+      continue;
+    }
+
+    entries[relativePath.replace(SOURCE_FILE_PATTERN, '')] = join(
+      sourcePath,
+      relativePath,
+    );
+  }
+
+  if (missing.length > 0) {
+    throw new ConfigurationError(
+      `Export targets not found: ${[...new Set(missing)].join(', ')}`,
+      [
+        `Point each "exports" target at a file inside ${sourceDir}/`,
+        'Targets are resolved relative to the package root and must start with "./"',
+      ],
+    );
+  }
+
+  if (Object.keys(entries).length === 0) {
+    throw new ConfigurationError(
+      `No "exports" targets point at source files in ${sourceDir}/`,
+      [`Use source paths such as "./${sourceDir}/index.ts" as export targets`],
+    );
+  }
+
+  return entries;
+}
+
+/**
+ * Get proxy folders for the non-pattern subpaths of the exports map
+ * @param {string} rootPath - Root path of the package
+ * @returns {Record<string, string>} Proxy folder name to entry name
+ */
+export function getExportsProxyFolders(rootPath) {
+  const sourceDir = getSourceDir(rootPath);
+  /** @type {Record<string, string>} */
+  const proxyFolders = {};
+
+  for (const [subpath, value] of Object.entries(
+    readSourceExportsMap(rootPath),
+  )) {
+    if (subpath === '.' || subpath.includes('*')) continue;
+
+    const relativePath = collectTargets(value)
+      .map((target) => getSourceRelativePath(target, sourceDir))
+      .find(Boolean);
+    if (!relativePath) continue;
+
+    proxyFolders[subpath.slice(2)] = relativePath.replace(
+      SOURCE_FILE_PATTERN,
+      '',
+    );
+  }
+
+  return proxyFolders;
+}
+
+/**
+ * Find the source extension of a build target, probing the source directory
+ * @param {string} sourcePath - Source directory path
+ * @param {string} basePath - Target path without extension, relative to the source directory
+ * @returns {string | undefined} Source extension, if a source file exists
+ */
+function findSourceExtension(sourcePath, basePath) {
+  return SOURCE_EXTENSIONS.find((extension) =>
+    basePath.includes('*')
+      ? glob.sync(`${basePath.replace('*', '**/*')}${extension}`, {
+          cwd: sourcePath,
+          nodir: true,
+        }).length > 0
+      : existsSync(join(sourcePath, `${basePath}${extension}`)),
+  );
+}
+
+/**
+ * Rewrite one export target between its source and build form
+ * @param {string} target - Export target
+ * @param {string[]} conditions - Enclosing export conditions, outermost first
+ * @param {string} rootPath - Root path of the package
+ * @param {boolean} prod - Rewrite to build output (true) or to sources (false)
+ * @returns {string} Rewritten target
+ */
+export function rewriteExportTarget(target, conditions, rootPath, prod) {
+  const sourceDir = getSourceDir(rootPath);
+  const esmDir = getESMDir(rootPath);
+  const cjsDir = getCJSDir(rootPath);
+  const builds = getPackageBuilds(rootPath);
+  const conditionBuilds = getConditionBuilds(rootPath);
+
+  if (prod) {
+    const relativePath = getSourceRelativePath(target, sourceDir);
+    if (!relativePath) return target;
+
+    const basePath = relativePath.replace(SOURCE_FILE_PATTERN, '');
+    const types = conditions.at(-1) === 'types';
+    // Condition builds have no declarations of their own
+    const conditionBuild = conditionBuilds.find(({ name }) =>
+      conditions.includes(name),
+    );
+
+    if (conditionBuild && !types) {
+      const extension = conditionBuild.format === 'cjs' ? '.cjs' : '.js';
+      return `./${conditionBuild.outDir}/${basePath}${extension}`;
+    }
+
+    // Targets nested under "require" (or in CJS-only packages) use the CJS build
+    const cjs =
+      !('esm' in builds) ||
+      ('cjs' in builds &&
+        conditions.includes('require') &&
+        !conditions.includes('import'));
+
+    if (types) {
+      return cjs
+        ? `./${cjsDir}/${basePath}.d.cts`
+        : `./${esmDir}/${basePath}.d.ts`;
+    }
+    if (cjs) {
+      return `./${cjsDir}/${basePath}.cjs`;
+    }
+    return `./${esmDir}/${basePath}.js`;
+  }
+
+  const buildDir = [
+    esmDir,
+    cjsDir,
+    ...conditionBuilds.map(({ outDir }) => outDir),
+  ].find((dir) => target.startsWith(`./${dir}/`));
+  if (!buildDir || !BUILD_FILE_PATTERN.test(target)) return target;
+
+  const basePath = target
+    .slice(buildDir.length + 3)
+    .replace(BUILD_FILE_PATTERN, '');
+  const extension = findSourceExtension(join(rootPath, sourceDir), basePath);
+
+  if (!extension) {
+    throw new ConfigurationError(
+      `No source file found for export target ${target}`,
+      [
+        `Expected ${sourceDir}/${basePath} with one of: ${SOURCE_EXTENSIONS.join(', ')}`,
+        'Point the export at the source file instead of the build output',
+      ],
+    );
+  }
+
+  return `./${sourceDir}/${basePath}${extension}`;
+}
+
+/**
+ * Rewrite every target of an exports map between its source and build form,
+ * keeping subpaths, conditions and their order intact
+ * @param {unknown} exportsField - Package.json exports field
+ * @param {string} rootPath - Root path of the package
+ * @param {boolean} prod - Rewrite to build output (true) or to sources (false)
+ * @returns {Record<string, any>} Rewritten exports map
+ */
+export function rewriteExportsMap(exportsField, rootPath, prod) {
+  /**
+   * @param {unknown} value - Exports value
+   * @param {string[]} conditions - Enclosing conditions, outermost first
+   * @returns {unknown} Rewritten value
+   */
+  const rewrite = (value, conditions) => {
+    if (typeof value === 'string') {
+      return rewriteExportTarget(value, conditions, rootPath, prod);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => rewrite(item, conditions));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, nested]) => [
+          key,
+          rewrite(
+            nested,
+            key.startsWith('.') ? conditions : [...conditions, key],
+          ),
+        ]),
+      );
+    }
+    return value;
+  };
+
+  return /** @type {Record<string, any>} */ (
+    rewrite(normalizeExportsMap(exportsField), [])
+  );
+}
+
+/**
+ * Rewrite the main/module/types fields like the matching export conditions
+ * @param {Record<string, any>} pkg - Package.json object (mutated)
+ * @param {string} rootPath - Root path of the package
+ * @param {boolean} prod - Rewrite to build output (true) or to sources (false)
+ */
+export function rewriteEntryFields(pkg, rootPath, prod) {
+  for (const [field, condition] of ENTRY_FIELDS) {
+    if (typeof pkg[field] !== 'string') continue;
+
+    pkg[field] = rewriteExportTarget(
+      `./${pkg[field].replace(/^\.\//, '')}`,
+      [condition],
+      rootPath,
+      prod,
+    ).replace(/^\.\//, '');
+  }
+}
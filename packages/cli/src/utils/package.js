@@ -8,13 +8,34 @@ import {
   lstatSync,
   readFileSync,
   readdirSync,
+  rmdirSync,
   writeFileSync,
 } from 'fs';
 import { join, resolve, dirname, sep } from 'path';
 import chalk from 'chalk';
 import fse from 'fs-extra';
+import { glob } from 'glob';
 import { rimraf } from 'rimraf';
-import { packageJsonSchema } from '../schemas/config.js';
+import { libsyncConfigSchema, packageJsonSchema } from '../schemas/config.js';
+import { getConfig } from './config.js';
+import {
+  getExportsEntries,
+  getExportsProxyFolders,
+  isExportsMode,
+  rewriteEntryFields,
+  rewriteExportsMap,
+  sortExportConditions,
+} from './exports.js';
+import { getStylesDir, getStylesheetExports } from './assets.js';
+import {
+  analyzeSideEffects,
+  getProxySideEffectsField,
+  getSideEffectsField,
+} from './side-effects.js';
+import {
+  TAILWIND_CONTENT_EXPORT,
+  getTailwindContentExports,
+} from './tailwind.js';
 
 /**
  * Custom error class for package-related errors
@@ -300,18 +321,18 @@ export function getPackageBuilds(rootPath) {
 
     // Add CJS build if main field exists
     if (pkg.main) {
-      builds.cjs = getCJSDir();
+      builds.cjs = getCJSDir(rootPath);
     }
 
     // Add ESM build if module field exists
     if (pkg.module) {
-      builds.esm = getESMDir();
+      builds.esm = getESMDir(rootPath);
     }
 
     // For binary packages, ensure we have at least one build format
     if (pkg.bin && Object.keys(builds).length === 0) {
       // Default to ESM for modern Node.js CLIs
-      builds.esm = getESMDir();
+      builds.esm = getESMDir(rootPath);
     }
 
     if (Object.keys(builds).length === 0) {
@@ -337,10 +358,88 @@ export function getPackageBuilds(rootPath) {
   }
 }
 
-// Standard directory names
-export const getSourceDir = () => 'src';
-export const getESMDir = () => 'esm';
-export const getCJSDir = () => 'cjs';
+/**
+ * Get the libsync config of a package, or the defaults when no package is given
+ * @param {string} [rootPath] - Root path of the package
+ * @returns {import('../schemas/config.js').LibsyncConfig} Resolved configuration
+ */
+function getConfigOrDefaults(rootPath) {
+  return rootPath ? getConfig(rootPath) : libsyncConfigSchema.parse({});
+}
+
+/**
+ * Get the source directory name of a package
+ * @param {string} [rootPath] - Root path of the package (defaults apply when omitted)
+ * @returns {string} Source directory relative to the package root
+ */
+export function getSourceDir(rootPath) {
+  return normalizeDir(getConfigOrDefaults(rootPath).sourceDir);
+}
+
+/**
+ * Get the ESM output directory name of a package
+ * @param {string} [rootPath] - Root path of the package (defaults apply when omitted)
+ * @returns {string} ESM output directory relative to the package root
+ */
+export function getESMDir(rootPath) {
+  return normalizeDir(getConfigOrDefaults(rootPath).outDirs.esm);
+}
+
+/**
+ * Get the CJS output directory name of a package
+ * @param {string} [rootPath] - Root path of the package (defaults apply when omitted)
+ * @returns {string} CJS output directory relative to the package root
+ */
+export function getCJSDir(rootPath) {
+  return normalizeDir(getConfigOrDefaults(rootPath).outDirs.cjs);
+}
+
+/**
+ * Get the custom export condition builds of a package
+ * @param {string} [rootPath] - Root path of the package (defaults apply when omitted)
+ * @returns {import('../schemas/config.js').ExportCondition[]} Condition builds with normalized output directories
+ */
+export function getConditionBuilds(rootPath) {
+  return getConfigOrDefaults(rootPath).conditions.map((condition) => ({
+    ...condition,
+    outDir: normalizeDir(condition.outDir),
+  }));
+}
+
+/**
+ * Get every output directory of a package build, keyed by format or condition
+ * @param {string} rootPath - Root path of the package
+ * @returns {Record<string, string>} Build name to output directory
+ */
+export function getBuildOutputDirs(rootPath) {
+  return {
+    ...getPackageBuilds(rootPath),
+    ...Object.fromEntries(
+      getConditionBuilds(rootPath).map(({ name, outDir }) => [
+        `condition:${name}`,
+        outDir,
+      ]),
+    ),
+  };
+}
+
+/**
+ * Normalize a configured directory name (posix separators, no leading ./ or trailing /)
+ * @param {string} dir - Directory name from config
+ * @returns {string} Normalized directory name
+ */
+function normalizeDir(dir) {
+  return normalizePath(dir).replace(/^\.\//, '').replace(/\/+$/, '');
+}
+
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} value - Value to escape
+ * @returns {string} Escaped value
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
 /**
  * Get source path with validation
@@ -348,20 +447,22 @@ export const getCJSDir = () => 'cjs';
  * @returns {string} Source directory path
  */
 export function getSourcePath(rootPath) {
-  const sourcePath = join(rootPath, getSourceDir());
+  const sourceDir = getSourceDir(rootPath);
+  const sourcePath = join(rootPath, sourceDir);
 
   if (!existsSync(sourcePath)) {
     throw new ConfigurationError(`Source directory not found: ${sourcePath}`, [
-      'Create a src/ directory in your package root',
-      'Add your TypeScript/JavaScript source files to src/',
-      'Ensure src/index.ts, src/index.js, or src/index.cjs exists as the main entry point',
+      `Create a ${sourceDir}/ directory in your package root`,
+      `Add your TypeScript/JavaScript source files to ${sourceDir}/`,
+      `Ensure ${sourceDir}/index.ts, ${sourceDir}/index.js, or ${sourceDir}/index.cjs exists as the main entry point`,
+      'Set "sourceDir" in your libsync config if your sources live elsewhere',
     ]);
   }
 
   if (!isDirectory(sourcePath)) {
     throw new ConfigurationError(
       `Source path is not a directory: ${sourcePath}`,
-      ['Ensure src/ is a directory, not a file'],
+      [`Ensure ${sourceDir}/ is a directory, not a file`],
     );
   }
 
@@ -380,20 +481,27 @@ function normalizePath(filePath) {
 /**
  * Get normalized bin paths from package.json
  * @param {ReturnType<typeof readPackageJson>} pkg - Package.json object
+ * @param {string} rootPath - Root path of the package
  * @returns {string[]} Array of normalized bin paths (without extensions)
  */
-function getBinPaths(pkg) {
+function getBinPaths(pkg, rootPath) {
   if (!pkg.bin || typeof pkg.bin !== 'object') {
     return [];
   }
 
+  const dirPrefix = new RegExp(
+    `^(?:${[getCJSDir(rootPath), getESMDir(rootPath), getSourceDir(rootPath)]
+      .map(escapeRegExp)
+      .join('|')})/`,
+  );
+
   return Object.values(pkg.bin).map((binPath) => {
     // Convert bin path to source path
     // Handle both production format: "./cjs/commands/build.cjs" -> "commands/build"
     // And development format: "./src/commands/build.js" -> "commands/build"
     return binPath
       .replace(/^\.\//, '') // Remove leading ./
-      .replace(/^(cjs|esm|src)\//, '') // Remove cjs/, esm/, or src/ prefix
+      .replace(dirPrefix, '') // Remove output or source directory prefix
       .replace(/\.(cjs|js|mjs|ts|tsx)$/, ''); // Remove file extension
   });
 }
@@ -453,18 +561,48 @@ function areAllFilesInBin(dirPath, dirName, binPaths) {
   }
 }
 
+/**
+ * Resolve the package root that owns a source directory
+ * @param {string} sourcePath - Source directory path
+ * @returns {string} Package root path
+ */
+function getPackageRootFromSource(sourcePath) {
+  return (
+    findClosestPackageJson(join(sourcePath, '..')) ?? join(sourcePath, '..')
+  );
+}
+
+/**
+ * Get the source files matched by the configured entry globs, minus test files
+ * and internal modules. Excluded files can still be imported by entries, in
+ * which case they end up in shared chunks.
+ * @param {string} sourcePath - Source directory path
+ * @returns {Set<string>} Matched file paths relative to the source directory
+ */
+function getEntryCandidates(sourcePath) {
+  const { entries, exclude, testPatterns } = getConfig(
+    getPackageRootFromSource(sourcePath),
+  );
+
+  return new Set(
+    glob.sync(entries, {
+      cwd: sourcePath,
+      ignore: [...testPatterns, ...exclude],
+      nodir: true,
+      posix: true,
+    }),
+  );
+}
+
 /**
  * Check if a file should be included in build entry points (includes bin-covered files)
  * @param {string} rootPath - Root directory path
  * @param {string} filename - File name to check
+ * @param {string} relativePath - File path relative to the source directory
+ * @param {Set<string>} candidates - Files matched by the entry globs
  * @returns {boolean} Whether the file should be included
  */
-function isPublicModuleForBuild(rootPath, filename) {
-  // Exclude test files
-  if (/^.*\.test\..*/.test(filename) || /^.*\.spec\..*/.test(filename)) {
-    return false;
-  }
-
+function isPublicModuleForBuild(rootPath, filename, relativePath, candidates) {
   const fullPath = join(rootPath, filename);
 
   // Include all directories for build (don't exclude bin-covered directories)
@@ -472,30 +610,34 @@ function isPublicModuleForBuild(rootPath, filename) {
     return true;
   }
 
-  // Include JS/TS files
-  return /\.(js|jsx|ts|tsx|cjs|mjs|cts|mts)$/.test(filename);
+  // Include JS/TS files matched by the entry globs (tests and excluded modules are ignored)
+  return (
+    candidates.has(relativePath) &&
+    /\.(js|jsx|ts|tsx|cjs|mjs|cts|mts)$/.test(filename)
+  );
 }
 
 /**
  * Check if a file should be included in public exports (excludes bin-covered files)
  * @param {string} rootPath - Root directory path
  * @param {string} filename - File name to check
+ * @param {string} relativePath - File path relative to the source directory
+ * @param {Set<string>} candidates - Files matched by the entry globs
  * @returns {boolean} Whether the file should be included
  */
-function isPublicModule(rootPath, filename) {
-  // Exclude test files
-  if (/^.*\.test\..*/.test(filename) || /^.*\.spec\..*/.test(filename)) {
-    return false;
-  }
-
+function isPublicModule(rootPath, filename, relativePath, candidates) {
   const fullPath = join(rootPath, filename);
 
   // Include directories, but exclude directories where all files are covered by bin entries
   if (isDirectory(fullPath)) {
     try {
-      const packagePath = join(rootPath, '..');
+      // Top-level directories belong to the package that owns the source dir
+      const packagePath =
+        relativePath === filename
+          ? getPackageRootFromSource(rootPath)
+          : join(rootPath, '..');
       const pkg = readPackageJson(packagePath);
-      const binPaths = getBinPaths(pkg);
+      const binPaths = getBinPaths(pkg, packagePath);
 
       // If package has bin entries, check if this directory's files are all covered by bin
       if (binPaths.length > 0) {
@@ -510,17 +652,21 @@ function isPublicModule(rootPath, filename) {
     return true;
   }
 
-  // Include JS/TS files
-  return /\.(js|jsx|ts|tsx|cjs|mjs|cts|mts)$/.test(filename);
+  // Include JS/TS files matched by the entry globs (tests and excluded modules are ignored)
+  return (
+    candidates.has(relativePath) &&
+    /\.(js|jsx|ts|tsx|cjs|mjs|cts|mts)$/.test(filename)
+  );
 }
 
 /**
  * Get all files for build entry points (includes bin-covered files)
  * @param {string} sourcePath - Source directory path
  * @param {string} [prefix=''] - Path prefix for nested directories
+ * @param {Set<string>} [candidates] - Files matched by the entry globs (computed at the top level)
  * @returns {Record<string, string>} All files mapping for build
  */
-export function getAllBuildFiles(sourcePath, prefix = '') {
+export function getAllBuildFiles(sourcePath, prefix = '', candidates) {
   if (!existsSync(sourcePath)) {
     throw new ConfigurationError(
       `Source directory does not exist: ${sourcePath}`,
@@ -530,7 +676,10 @@ export function getAllBuildFiles(sourcePath, prefix = '') {
 
   try {
     // Special handling for pure CLI packages (bin only, no library exports)
-    if (prefix === '' && isPureCLIPackage(join(sourcePath, '..'))) {
+    if (
+      prefix === '' &&
+      isPureCLIPackage(getPackageRootFromSource(sourcePath))
+    ) {
       const indexPath = join(sourcePath, 'index.ts');
       if (!existsSync(indexPath) && !existsSync(join(sourcePath, 'index.js'))) {
         throw new ConfigurationError('Pure CLI package missing index file', [
@@ -544,25 +693,22 @@ export function getAllBuildFiles(sourcePath, prefix = '') {
       };
     }
 
+    const entryCandidates = candidates ?? getEntryCandidates(sourcePath);
     const files = readdirSync(sourcePath)
-      .filter((filename) => isPublicModuleForBuild(sourcePath, filename))
+      .filter((filename) =>
+        isPublicModuleForBuild(
+          sourcePath,
+          filename,
+          normalizePath(join(prefix, filename)),
+          entryCandidates,
+        ),
+      )
       .sort(); // Ensure consistent order across platforms
 
-    if (files.length === 0) {
-      throw new ConfigurationError(
-        `No valid source files found in: ${sourcePath}`,
-        [
-          'Add TypeScript (.ts, .tsx, .cts, .mts) or JavaScript (.js, .jsx, .cjs, .mjs) files to src/',
-          'Ensure files are not test files (avoid .test.* or .spec.* naming)',
-          'Create at least an index file (src/index.ts, src/index.js, or src/index.cjs)',
-        ],
-      );
-    }
-
-    return files.reduce((acc, filename) => {
+    const result = files.reduce((acc, filename) => {
       const path = join(sourcePath, filename);
       const childFiles = isDirectory(path)
-        ? getAllBuildFiles(path, join(prefix, filename))
+        ? getAllBuildFiles(path, join(prefix, filename), entryCandidates)
         : null;
 
       if (childFiles) {
@@ -572,6 +718,21 @@ export function getAllBuildFiles(sourcePath, prefix = '') {
         return { ...acc, [key]: normalizePath(path) };
       }
     }, /** @type {Record<string, string>} */ ({}));
+
+    // Nested directories may legitimately hold no entries (e.g. only assets)
+    if (prefix === '' && Object.keys(result).length === 0) {
+      throw new ConfigurationError(
+        `No valid source files found in: ${sourcePath}`,
+        [
+          'Add TypeScript (.ts, .tsx, .cts, .mts) or JavaScript (.js, .jsx, .cjs, .mjs) files to the source directory',
+          'Ensure files are not test files (they are matched by "testPatterns" in your libsync config)',
+          'Check that the "entries" and "exclude" globs in your libsync config match your source files',
+          'Create at least an index file (index.ts, index.js, or index.cjs)',
+        ],
+      );
+    }
+
+    return result;
   } catch (error) {
     if (error instanceof ConfigurationError) {
       throw error;
@@ -587,9 +748,10 @@ export function getAllBuildFiles(sourcePath, prefix = '') {
  * Get public files for exports with comprehensive error handling (excludes bin-covered files)
  * @param {string} sourcePath - Source directory path
  * @param {string} [prefix=''] - Path prefix for nested directories
+ * @param {Set<string>} [candidates] - Files matched by the entry globs (computed at the top level)
  * @returns {Record<string, string>} Mapping of export names to file paths
  */
-export function getPublicFiles(sourcePath, prefix = '') {
+export function getPublicFiles(sourcePath, prefix = '', candidates) {
   if (!existsSync(sourcePath)) {
     throw new ConfigurationError(
       `Source directory does not exist: ${sourcePath}`,
@@ -599,7 +761,10 @@ export function getPublicFiles(sourcePath, prefix = '') {
 
   try {
     // Special handling for pure CLI packages (bin only, no library exports)
-    if (prefix === '' && isPureCLIPackage(join(sourcePath, '..'))) {
+    if (
+      prefix === '' &&
+      isPureCLIPackage(getPackageRootFromSource(sourcePath))
+    ) {
       const indexPath = join(sourcePath, 'index.ts');
       if (!existsSync(indexPath) && !existsSync(join(sourcePath, 'index.js'))) {
         throw new ConfigurationError('Pure CLI package missing index file', [
@@ -613,25 +778,22 @@ export function getPublicFiles(sourcePath, prefix = '') {
       };
     }
 
+    const entryCandidates = candidates ?? getEntryCandidates(sourcePath);
     const files = readdirSync(sourcePath)
-      .filter((filename) => isPublicModule(sourcePath, filename))
+      .filter((filename) =>
+        isPublicModule(
+          sourcePath,
+          filename,
+          normalizePath(join(prefix, filename)),
+          entryCandidates,
+        ),
+      )
       .sort(); // Ensure consistent order across platforms
 
-    if (files.length === 0) {
-      throw new ConfigurationError(
-        `No valid source files found in: ${sourcePath}`,
-        [
-          'Add TypeScript (.ts, .tsx, .cts, .mts) or JavaScript (.js, .jsx, .cjs, .mjs) files to src/',
-          'Ensure files are not test files (avoid .test.* or .spec.* naming)',
-          'Create at least an index file (src/index.ts, src/index.js, or src/index.cjs)',
-        ],
-      );
-    }
-
-    return files.reduce((acc, filename) => {
+    const result = files.reduce((acc, filename) => {
       const path = join(sourcePath, filename);
       const childFiles = isDirectory(path)
-        ? getPublicFiles(path, join(prefix, filename))
+        ? getPublicFiles(path, join(prefix, filename), entryCandidates)
         : null;
 
       if (childFiles) {
@@ -641,6 +803,21 @@ export function getPublicFiles(sourcePath, prefix = '') {
         return { ...acc, [key]: normalizePath(path) };
       }
     }, /** @type {Record<string, string>} */ ({}));
+
+    // Nested directories may legitimately hold no entries (e.g. only assets)
+    if (prefix === '' && Object.keys(result).length === 0) {
+      throw new ConfigurationError(
+        `No valid source files found in: ${sourcePath}`,
+        [
+          'Add TypeScript (.ts, .tsx, .cts, .mts) or JavaScript (.js, .jsx, .cjs, .mjs) files to the source directory',
+          'Ensure files are not test files (they are matched by "testPatterns" in your libsync config)',
+          'Check that the "entries" and "exclude" globs in your libsync config match your source files',
+          'Create at least an index file (index.ts, index.js, or index.cjs)',
+        ],
+      );
+    }
+
+    return result;
   } catch (error) {
     if (error instanceof ConfigurationError) {
       throw error;
@@ -651,6 +828,40 @@ export function getPublicFiles(sourcePath, prefix = '') {
   }
 }
 
+/**
+ * Get the build entry points of a package, from the file tree or, in the
+ * "exports" entry mode, from the hand-written exports map
+ * @param {string} rootPath - Root path of the package
+ * @returns {Record<string, string>} Entry name to source file path
+ */
+export function getBuildEntries(rootPath) {
+  if (isExportsMode(rootPath)) {
+    return getExportsEntries(rootPath);
+  }
+
+  return getAllBuildFiles(getSourcePath(rootPath));
+}
+
+/**
+ * Get the public entries that get a bundled declaration file: the exported
+ * files, or the exports map targets in the "exports" entry mode
+ * @param {string} rootPath - Root path of the package
+ * @returns {Record<string, string>} Entry name to source file path
+ */
+export function getDeclarationEntries(rootPath) {
+  if (isExportsMode(rootPath)) {
+    return getExportsEntries(rootPath);
+  }
+
+  const sourcePath = getSourcePath(rootPath);
+  return filterBinFromPublicFiles(
+    getPublicFiles(sourcePath),
+    getBinFilePaths(readPackageJson(rootPath), sourcePath),
+    sourcePath,
+    getSourceDir(rootPath),
+  );
+}
+
 /**
  * Get proxy folder configuration
  * @param {string} rootPath - Root path of the package
@@ -658,6 +869,10 @@ export function getPublicFiles(sourcePath, prefix = '') {
  */
 export function getProxyFolders(rootPath) {
   try {
+    if (isExportsMode(rootPath)) {
+      return getExportsProxyFolders(rootPath);
+    }
+
     const publicFiles = getPublicFiles(getSourcePath(rootPath));
     return Object.fromEntries(
       Object.keys(publicFiles)
@@ -685,8 +900,9 @@ export function getBuildFolders(rootPath) {
     /** @type {string[]} */
     const folders = [];
 
-    if (pkg.main) folders.push(getCJSDir());
-    if (pkg.module) folders.push(getESMDir());
+    if (pkg.main) folders.push(getCJSDir(rootPath));
+    if (pkg.module) folders.push(getESMDir(rootPath));
+    folders.push(...getConditionBuilds(rootPath).map(({ outDir }) => outDir));
 
     // Add proxy folders
     folders.push(...Object.keys(getProxyFolders(rootPath)));
@@ -739,9 +955,15 @@ function getBinFilePaths(pkg, _sourcePath) {
  * @param {Record<string, string>} publicFiles - Public files mapping
  * @param {Set<string>} binPaths - Set of bin file paths to exclude
  * @param {string} sourcePath - Source directory path
+ * @param {string} sourceDir - Source directory name relative to the package root
  * @returns {Record<string, string>} Filtered public files
  */
-function filterBinFromPublicFiles(publicFiles, binPaths, sourcePath) {
+function filterBinFromPublicFiles(
+  publicFiles,
+  binPaths,
+  sourcePath,
+  sourceDir,
+) {
   if (binPaths.size === 0) return publicFiles;
 
   return Object.fromEntries(
@@ -754,7 +976,8 @@ function filterBinFromPublicFiles(publicFiles, binPaths, sourcePath) {
 
       // Check if this file is referenced in bin
       return (
-        !binPaths.has(`src/${relativePath}`) && !binPaths.has(relativePath)
+        !binPaths.has(`${sourceDir}/${relativePath}`) &&
+        !binPaths.has(relativePath)
       );
     }),
   );
@@ -796,11 +1019,12 @@ export function getPackageJson(rootPath, prod = false) {
     allPublicFiles,
     binFilePaths,
     sourcePath,
+    getSourceDir(rootPath),
   );
 
-  const sourceDir = getSourceDir();
-  const cjsDir = getCJSDir();
-  const esmDir = getESMDir();
+  const sourceDir = getSourceDir(rootPath);
+  const cjsDir = getCJSDir(rootPath);
+  const esmDir = getESMDir(rootPath);
   const builds = getPackageBuilds(rootPath);
   const buildKeys = Object.keys(builds);
   const indexExtension = getIndexFileExtension(sourcePath, prod);
@@ -853,7 +1077,7 @@ export function getPackageJson(rootPath, prod = false) {
       ? join(cjsDir, 'index.cjs')
       : join(sourceDir, `index${indexExtension}`);
     pkg.types = prod
-      ? join(cjsDir, 'index.d.ts')
+      ? join(cjsDir, 'index.d.cts')
       : join(sourceDir, `index${indexExtension}`);
   }
 
@@ -874,6 +1098,27 @@ export function getPackageJson(rootPath, prod = false) {
   return pkg;
 }
 
+/**
+ * Remove the stylesheet and Tailwind content exports a previous production
+ * build added to a hand-written exports map, so they do not outlive their
+ * build output
+ * @param {Record<string, any>} exportsMap - Exports map
+ * @param {string} rootPath - Root path of the package
+ * @returns {Record<string, any>} Exports map without generated exports
+ */
+function withoutGeneratedExports(exportsMap, rootPath) {
+  const stylesPrefix = `./${getStylesDir(rootPath)}/`;
+  return Object.fromEntries(
+    Object.entries(exportsMap).filter(
+      ([subpath, target]) =>
+        subpath !== TAILWIND_CONTENT_EXPORT &&
+        (!subpath.endsWith('.css') ||
+          typeof target !== 'string' ||
+          !target.startsWith(stylesPrefix)),
+    ),
+  );
+}
+
 /**
  * Write package.json with error handling, preserving original structure
  * @param {string} rootPath - Root path of the package
@@ -892,7 +1137,9 @@ export function writePackageJson(rootPath, prod = false) {
 
     // Calculate what the new values should be
     const sourcePath = getSourcePath(rootPath);
-    const allPublicFiles = getPublicFiles(sourcePath);
+    const exportsMode = isExportsMode(rootPath);
+    // In the "exports" entry mode the hand-written map is kept as-is
+    const allPublicFiles = exportsMode ? {} : getPublicFiles(sourcePath);
 
     // Filter out bin files from exports
     const binFilePaths = getBinFilePaths(pkg, sourcePath);
@@ -900,12 +1147,14 @@ export function writePackageJson(rootPath, prod = false) {
       allPublicFiles,
       binFilePaths,
       sourcePath,
+      getSourceDir(rootPath),
     );
 
-    const sourceDir = getSourceDir();
-    const cjsDir = getCJSDir();
-    const esmDir = getESMDir();
+    const sourceDir = getSourceDir(rootPath);
+    const cjsDir = getCJSDir(rootPath);
+    const esmDir = getESMDir(rootPath);
     const builds = getPackageBuilds(rootPath);
+    const conditionBuilds = getConditionBuilds(rootPath);
 
     const indexExtension = getIndexFileExtension(sourcePath, prod);
     // const buildKeys = Object.keys(builds); // Currently unused
@@ -913,11 +1162,12 @@ export function writePackageJson(rootPath, prod = false) {
     /**
      * Get export path for a given file - conditional export format based on package.json fields
      * @param {string} path - File path
-     * @returns {Record<string, string>} Export configuration
+     * @returns {Record<string, string | Record<string, string>>} Export configuration
      */
     const getExports = (path) => {
       const relativePath = removeExt(path).replace(sourcePath, '');
-      const exportConfig = /** @type {Record<string, string>} */ ({});
+      const exportConfig =
+        /** @type {Record<string, string | Record<string, string>>} */ ({});
 
       // Types field will be present only if it was originally present
       const willHaveTypesField = originalHadTypes;
@@ -947,26 +1197,32 @@ export function writePackageJson(rootPath, prod = false) {
       const esmExport = `./${join(esmDir, relativePath)}.js`;
       const cjsExport = `./${join(cjsDir, relativePath)}.cjs`;
 
-      // Add types export first (Node.js best practice)
-      if (willHaveTypesField) {
-        // ESM types take precedence over CJS types (matches package.json logic)
-        if ('esm' in builds) {
-          exportConfig.types = `./${join(esmDir, relativePath)}.d.ts`;
-        } else if ('cjs' in builds) {
-          exportConfig.types = `./${join(cjsDir, relativePath)}.d.ts`;
-        }
-      }
-
-      // Add exports based on what builds are configured
+      // Each format resolves its own declarations: .d.ts for ESM, .d.cts for CJS
       if ('esm' in builds) {
-        exportConfig.import = esmExport; // module field present
+        exportConfig.import = willHaveTypesField
+          ? {
+              types: `./${join(esmDir, relativePath)}.d.ts`,
+              default: esmExport,
+            }
+          : esmExport; // module field present
       }
 
       if ('cjs' in builds) {
-        exportConfig.require = cjsExport; // main field present
+        exportConfig.require = willHaveTypesField
+          ? {
+              types: `./${join(cjsDir, relativePath)}.d.cts`,
+              default: cjsExport,
+            }
+          : cjsExport; // main field present
+      }
+
+      // Custom conditions point to their own builds
+      for (const { name, outDir, format } of conditionBuilds) {
+        exportConfig[name] =
+          `./${join(outDir, relativePath)}${format === 'cjs' ? '.cjs' : '.js'}`;
       }
 
-      return exportConfig;
+      return sortExportConditions(exportConfig);
     };
 
     // Generate exports
@@ -982,45 +1238,55 @@ export function writePackageJson(rootPath, prod = false) {
     );
 
     // Directly mutate the original object (preserves property order)
-    if ('cjs' in builds) {
-      pkg.main = prod
-        ? join(cjsDir, 'index.cjs')
-        : join(sourceDir, `index${indexExtension}`);
-      if (originalHadTypes) {
-        pkg.types = prod
-          ? join(cjsDir, 'index.d.ts')
+    if (exportsMode) {
+      // Hand-written entry fields follow the same mapping as the exports map
+      rewriteEntryFields(pkg, rootPath, prod);
+    } else {
+      if ('cjs' in builds) {
+        pkg.main = prod
+          ? join(cjsDir, 'index.cjs')
           : join(sourceDir, `index${indexExtension}`);
+        if (originalHadTypes) {
+          pkg.types = prod
+            ? join(cjsDir, 'index.d.cts')
+            : join(sourceDir, `index${indexExtension}`);
+        }
       }
-    }
 
-    if ('esm' in builds) {
-      pkg.module = prod
-        ? join(esmDir, 'index.js')
-        : join(sourceDir, `index${indexExtension}`);
-      if (originalHadTypes) {
-        pkg.types = prod
-          ? join(esmDir, 'index.d.ts')
+      if ('esm' in builds) {
+        pkg.module = prod
+          ? join(esmDir, 'index.js')
           : join(sourceDir, `index${indexExtension}`);
+        if (originalHadTypes) {
+          pkg.types = prod
+            ? join(esmDir, 'index.d.ts')
+            : join(sourceDir, `index${indexExtension}`);
+        }
       }
     }
 
     // Update bin field(s) to point to appropriate files based on dev/prod mode
+    const sourcePrefix = new RegExp(`^\\./${escapeRegExp(sourceDir)}/`);
+    const buildPrefix = new RegExp(
+      `^\\./(?:${escapeRegExp(cjsDir)}|${escapeRegExp(esmDir)})/`,
+    );
+
     if (pkg.bin) {
       if (typeof pkg.bin === 'string') {
         // Simple string bin
         if (prod) {
           if ('cjs' in builds) {
             pkg.bin = pkg.bin
-              .replace(/^\.\/src\//, `./cjs/`)
+              .replace(sourcePrefix, `./${cjsDir}/`)
               .replace(/\.js$/, '.cjs');
           } else if ('esm' in builds) {
-            pkg.bin = pkg.bin.replace(/^\.\/src\//, `./esm/`);
+            pkg.bin = pkg.bin.replace(sourcePrefix, `./${esmDir}/`);
           }
         } else {
           // Development mode: ensure bin points to source
-          if (pkg.bin.startsWith('./cjs/') || pkg.bin.startsWith('./esm/')) {
+          if (buildPrefix.test(pkg.bin)) {
             pkg.bin = pkg.bin
-              .replace(/^\.\/(?:cjs|esm)\//, `./src/`)
+              .replace(buildPrefix, `./${sourceDir}/`)
               .replace(/\.cjs$/, '.js');
           }
         }
@@ -1028,21 +1294,18 @@ export function writePackageJson(rootPath, prod = false) {
         // Object with multiple bins
         for (const [name, binPath] of Object.entries(pkg.bin)) {
           if (typeof binPath === 'string') {
-            if (prod && binPath.startsWith('./src/')) {
+            if (prod && sourcePrefix.test(binPath)) {
               if ('cjs' in builds) {
                 pkg.bin[name] = binPath
-                  .replace(/^\.\/src\//, `./cjs/`)
+                  .replace(sourcePrefix, `./${cjsDir}/`)
                   .replace(/\.js$/, '.cjs');
               } else if ('esm' in builds) {
-                pkg.bin[name] = binPath.replace(/^\.\/src\//, `./esm/`);
+                pkg.bin[name] = binPath.replace(sourcePrefix, `./${esmDir}/`);
               }
-            } else if (
-              !prod &&
-              (binPath.startsWith('./cjs/') || binPath.startsWith('./esm/'))
-            ) {
+            } else if (!prod && buildPrefix.test(binPath)) {
               // Development mode: ensure bin points to source
               pkg.bin[name] = binPath
-                .replace(/^\.\/(?:cjs|esm)\//, `./src/`)
+                .replace(buildPrefix, `./${sourceDir}/`)
                 .replace(/\.cjs$/, '.js');
             }
           }
@@ -1050,11 +1313,33 @@ export function writePackageJson(rootPath, prod = false) {
       }
     }
 
+    const sideEffects = getSideEffectsField(
+      rootPath,
+      prod,
+      analyzeSideEffects(rootPath),
+    );
+    if (sideEffects !== undefined) {
+      pkg.sideEffects = sideEffects;
+    }
+
     // Update exports (this is the key part - direct property mutation)
-    pkg.exports = {
-      ...moduleExports,
-      './package.json': './package.json',
+    const generatedExports = {
+      ...getStylesheetExports(rootPath, prod),
+      ...getTailwindContentExports(rootPath, prod),
     };
+    pkg.exports = exportsMode
+      ? {
+          ...withoutGeneratedExports(
+            rewriteExportsMap(pkg.exports, rootPath, prod),
+            rootPath,
+          ),
+          ...generatedExports,
+        }
+      : {
+          ...moduleExports,
+          ...generatedExports,
+          './package.json': './package.json',
+        };
 
     // Compare and write if changed
     const nextContents = `${JSON.stringify(pkg, null, 2)}\n`;
@@ -1081,6 +1366,25 @@ export function writePackageJson(rootPath, prod = false) {
   }
 }
 
+/**
+ * Remove parent directories of a nested build folder (e.g. dist/ for dist/esm)
+ * once they are left empty
+ * @param {string} rootPath - Root path of the package
+ * @param {string} folder - Removed folder, relative to the package root
+ */
+function removeEmptyParents(rootPath, folder) {
+  let parent = dirname(folder);
+
+  while (parent !== '.' && parent !== '/') {
+    const parentPath = join(rootPath, parent);
+    if (!existsSync(parentPath) || readdirSync(parentPath).length > 0) {
+      return;
+    }
+    rmdirSync(parentPath);
+    parent = dirname(parent);
+  }
+}
+
 /**
  * Clean build artifacts with improved error handling
  * @param {string} rootPath - Root path of the package
@@ -1100,6 +1404,7 @@ export function cleanBuild(rootPath) {
       if (existsSync(folderPath)) {
         try {
           rimraf.sync(folderPath);
+          removeEmptyParents(rootPath, folder);
           console.log(chalk.gray(`   Removed: ${folder}`));
           cleanedCount++;
         } catch (error) {
@@ -1258,6 +1563,7 @@ export function makeProxies(rootPath) {
   try {
     // const pkg = readPackageJson(rootPath); // Currently unused
     const proxyFolders = getProxyFolders(rootPath);
+    const sideEffects = analyzeSideEffects(rootPath);
     /** @type {string[]} */
     const created = [];
 
@@ -1266,7 +1572,12 @@ export function makeProxies(rootPath) {
         const proxyDir = join(rootPath, name);
         fse.ensureDirSync(proxyDir);
 
-        const proxyPackageJson = generateProxyPackageJson(rootPath, name, path);
+        const proxyPackageJson = generateProxyPackageJson(
+          rootPath,
+          name,
+          path,
+          sideEffects,
+        );
         writeFileSync(join(proxyDir, 'package.json'), proxyPackageJson);
 
         created.push(chalk.green(name));
@@ -1300,21 +1611,22 @@ export function makeProxies(rootPath) {
  * @param {string} rootPath - Root path of the package
  * @param {string} moduleName - Name of the module
  * @param {string} path - Path to the module
+ * @param {import('./side-effects.js').SideEffectsAnalysis | null} sideEffects - Side effects analysis of the package
  * @returns {string} JSON string for proxy package.json
  */
-function generateProxyPackageJson(rootPath, moduleName, path) {
+function generateProxyPackageJson(rootPath, moduleName, path, sideEffects) {
   const pkg = readPackageJson(rootPath);
   const builds = getPackageBuilds(rootPath);
 
-  const mainDir = getCJSDir();
-  const moduleDir = getESMDir();
+  const mainDir = getCJSDir(rootPath);
+  const moduleDir = getESMDir(rootPath);
   const prefix = '../'.repeat(moduleName.split('/').length);
 
   /** @type {Record<string, any>} */
   const proxyPkg = {
     name: `${pkg.name}/${moduleName}`,
     private: true,
-    sideEffects: false,
+    sideEffects: getProxySideEffectsField(rootPath, path, prefix, sideEffects),
   };
 
   if ('esm' in builds) {
@@ -1324,7 +1636,7 @@ function generateProxyPackageJson(rootPath, moduleName, path) {
 
   if ('cjs' in builds) {
     proxyPkg.main = join(prefix, mainDir, `${path}.cjs`);
-    proxyPkg.types = join(prefix, mainDir, `${path}.d.ts`);
+    proxyPkg.types = join(prefix, mainDir, `${path}.d.cts`);
   }
 
   return JSON.stringify(proxyPkg, null, 2);
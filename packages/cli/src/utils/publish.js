@@ -0,0 +1,444 @@
+/**
+ * @fileoverview Temporary directory utilities for publishing
+ * Stages a copy of a package outside the workspace for packing and publishing,
+ * with the files npm would pack and the package.json that is published
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { copyFile, mkdir, mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { dirname, join, relative, resolve } from 'path';
+import spawn from 'cross-spawn';
+import { PackageError } from './package.js';
+import {
+  findWorkspaceRoot,
+  getWorkspaceCatalogs,
+  getWorkspaceGlobs,
+  getWorkspacePackages,
+} from './workspace.js';
+
+/**
+ * Create an empty temporary directory
+ * @param {string} prefix - Directory name prefix
+ * @returns {Promise<string>} Path to temporary directory
+ */
+export async function createTempDir(prefix) {
+  return mkdtemp(join(tmpdir(), prefix));
+}
+
+/**
+ * package.json fields that publishConfig overrides in the published
+ * package.json, the ones pnpm supports
+ */
+const PUBLISH_CONFIG_FIELDS = /** @type {const} */ ([
+  'bin',
+  'main',
+  'module',
+  'browser',
+  'exports',
+  'imports',
+  'types',
+  'typings',
+  'typesVersions',
+  'type',
+  'esnext',
+  'es2015',
+  'unpkg',
+  'umd:main',
+  'cpu',
+  'os',
+]);
+
+/**
+ * publishConfig keys that only apply to the publish being run, and are
+ * passed to npm explicitly instead of being published
+ */
+const PUBLISH_RUN_SETTINGS = ['directory', 'registry'];
+
+/**
+ * Dependency fields whose protocol ranges are resolved for publishing
+ */
+const PUBLISHED_DEPENDENCY_FIELDS = /** @type {const} */ ([
+  'dependencies',
+  'peerDependencies',
+  'optionalDependencies',
+  'devDependencies',
+]);
+
+/**
+ * Range resolution context type definition
+ * @typedef {Object} RangeContext
+ * @property {string} packagePath - Path of the package being published
+ * @property {import('./workspace.js').WorkspacePackage[]} packages - Workspace packages
+ * @property {Map<string, string>} versions - Package name to the version it is published with
+ * @property {Set<string>} pinned - Packages published in the same run, whose exact version every range resolves to
+ * @property {Record<string, Record<string, string>>} catalogs - Workspace dependency catalogs
+ */
+
+/**
+ * Publish settings type definition
+ * @typedef {Object} PublishSettings
+ * @property {string} directory - Directory the package is packed from
+ * @property {string} [tag] - Dist-tag to publish under
+ * @property {string} [access] - Package access, "public" or "restricted"
+ * @property {string} [registry] - Registry the package is published to
+ */
+
+/**
+ * Get the publish settings of a package from its publishConfig. The
+ * directory may not exist until the package is built.
+ * @param {string} packagePath - Package path
+ * @returns {PublishSettings} Publish settings
+ */
+export function getPublishSettings(packagePath) {
+  const { publishConfig = {} } = JSON.parse(
+    readFileSync(join(packagePath, 'package.json'), 'utf-8'),
+  );
+
+  return {
+    directory: publishConfig.directory
+      ? resolve(packagePath, publishConfig.directory)
+      : packagePath,
+    tag: publishConfig.tag,
+    access: publishConfig.access,
+    registry: publishConfig.registry,
+  };
+}
+
+/**
+ * Get the directory a package is packed from, once it is built
+ * @param {string} packagePath - Package path
+ * @returns {string} publishConfig.directory, or the package path
+ * @throws {PackageError} When publishConfig.directory has no package.json
+ */
+export function getPublishDirectory(packagePath) {
+  const { directory } = getPublishSettings(packagePath);
+
+  if (!existsSync(join(directory, 'package.json'))) {
+    throw new PackageError(
+      `publishConfig.directory "${relative(packagePath, directory)}" has no package.json; build the package before publishing`,
+      packagePath,
+    );
+  }
+
+  return directory;
+}
+
+/**
+ * List the files npm packs from a directory, following the "files" field,
+ * .npmignore and the files npm always includes or excludes
+ * @param {string} directory - Directory with a package.json
+ * @returns {Array<{path: string, size: number}>} Packed files relative to the directory
+ * @throws {PackageError} When npm pack fails
+ */
+export function getPackFiles(directory) {
+  const { status, stdout, stderr, error } = spawn.sync(
+    'npm',
+    ['pack', '--dry-run', '--json', '--ignore-scripts'],
+    { cwd: directory, encoding: 'utf-8' },
+  );
+
+  if (error || status !== 0) {
+    const output = (stderr || stdout || '').trim().split('\n').slice(-5);
+    throw new PackageError(
+      `npm pack failed: ${error ? error.message : output.join('\n   ')}`,
+      directory,
+    );
+  }
+
+  const [{ files }] = JSON.parse(stdout);
+  return files.map(
+    (/** @type {{path: string, size: number}} */ { path, size }) => ({
+      path,
+      size,
+    }),
+  );
+}
+
+/**
+ * Whether a package.json has "workspace:" or "catalog:" ranges, which
+ * registries and other package managers cannot install
+ * @param {Record<string, any>} pkg - package.json contents
+ * @returns {boolean} Whether any dependency range needs resolving
+ */
+function hasProtocolRanges(pkg) {
+  return PUBLISHED_DEPENDENCY_FIELDS.some((field) =>
+    Object.values(pkg[field] ?? {}).some((range) =>
+      /^(workspace|catalog):/.test(String(range)),
+    ),
+  );
+}
+
+/**
+ * Resolve a "workspace:" range the way pnpm does when packing: "*" becomes
+ * the exact version, "^" and "~" prefix it, other ranges are kept, paths
+ * point at a package and "name@range" aliases become npm aliases. Packages
+ * published in the same run are pinned to their exact version whatever the
+ * range, so a staging version installs the dependencies it was published with
+ * @param {string} name - Dependency name
+ * @param {string} range - Range after "workspace:"
+ * @param {RangeContext} context - Resolution context
+ * @returns {string} Published range
+ * @throws {Error} When the range does not match a workspace package
+ */
+function resolveWorkspaceRange(
+  name,
+  range,
+  { packagePath, packages, versions, pinned },
+) {
+  const isPath = range.startsWith('.') || range.startsWith('/');
+  const alias = isPath ? null : range.match(/^(@?[^@]+)@(.*)$/);
+  let targetName = alias?.[1] ?? name;
+  let specifier = alias?.[2] ?? range;
+
+  // Paths publish the exact version of the package at that path
+  if (isPath) {
+    const target = packages.find(
+      (workspacePackage) =>
+        workspacePackage.path === resolve(packagePath, range),
+    );
+    if (!target) {
+      throw new Error(`no workspace package at ${range}`);
+    }
+    targetName = target.name;
+    specifier = '*';
+  }
+
+  if (
+    !packages.some((workspacePackage) => workspacePackage.name === targetName)
+  ) {
+    throw new Error(`${targetName} is not a workspace package`);
+  }
+
+  const version = versions.get(targetName);
+  if (!version) {
+    throw new Error(`${targetName} has no version`);
+  }
+
+  const resolved =
+    specifier === '*' || pinned.has(targetName)
+      ? version
+      : specifier === '^' || specifier === '~'
+        ? `${specifier}${version}`
+        : specifier;
+
+  return targetName === name ? resolved : `npm:${targetName}@${resolved}`;
+}
+
+/**
+ * Resolve a "catalog:" range from the default or a named catalog
+ * @param {string} name - Dependency name
+ * @param {string} catalogName - Catalog name after "catalog:"
+ * @param {RangeContext} context - Resolution context
+ * @returns {string} Published range
+ * @throws {Error} When the catalog has no entry for the dependency
+ */
+function resolveCatalogRange(name, catalogName, { catalogs }) {
+  const catalog = catalogs[catalogName || 'default'];
+  if (!catalog) {
+    throw new Error(
+      catalogName
+        ? `no "${catalogName}" catalog in pnpm-workspace.yaml`
+        : 'no default catalog in pnpm-workspace.yaml',
+    );
+  }
+
+  const range = catalog[name];
+  if (!range) {
+    throw new Error(
+      `${name} is not in the ${catalogName || 'default'} catalog`,
+    );
+  }
+
+  return range;
+}
+
+/**
+ * Read package.json as it is published: from publishConfig.directory when
+ * set, with the given version and the publishConfig overrides, and with
+ * "workspace:" and "catalog:" ranges resolved against the workspace
+ * @param {string} packagePath - Package path
+ * @param {{ version?: string, workspaceVersions?: Map<string, string> }} [options] - Version to publish with, and the versions other workspace packages are published with when they differ from their package.json
+ * @returns {Record<string, any>} package.json contents to publish
+ * @throws {PackageError} Listing every range that cannot be resolved
+ */
+export function getPublishManifest(
+  packagePath,
+  { version, workspaceVersions = new Map() } = {},
+) {
+  const directory = getPublishDirectory(packagePath);
+  const { publishConfig = {} } = JSON.parse(
+    readFileSync(join(packagePath, 'package.json'), 'utf-8'),
+  );
+  const originalPkg = JSON.parse(
+    readFileSync(join(directory, 'package.json'), 'utf-8'),
+  );
+
+  /** @type {Record<string, any>} */
+  const pkg = version ? { ...originalPkg, version } : { ...originalPkg };
+
+  for (const field of PUBLISH_CONFIG_FIELDS) {
+    if (field in publishConfig) {
+      pkg[field] = publishConfig[field];
+    }
+  }
+
+  if (pkg.publishConfig) {
+    pkg.publishConfig = Object.fromEntries(
+      Object.entries(pkg.publishConfig).filter(
+        ([key]) =>
+          !PUBLISH_CONFIG_FIELDS.includes(
+            /** @type {typeof PUBLISH_CONFIG_FIELDS[number]} */ (key),
+          ) && !PUBLISH_RUN_SETTINGS.includes(key),
+      ),
+    );
+  }
+
+  return resolveProtocolRanges(packagePath, pkg, workspaceVersions);
+}
+
+/**
+ * Check that the "workspace:" and "catalog:" ranges of a package resolve,
+ * from its source package.json, so a bad range stops a publish before the
+ * package is built
+ * @param {string} packagePath - Package path
+ * @throws {PackageError} Listing every range that cannot be resolved
+ */
+export function checkPublishRanges(packagePath) {
+  resolveProtocolRanges(
+    packagePath,
+    JSON.parse(readFileSync(join(packagePath, 'package.json'), 'utf-8')),
+    new Map(),
+  );
+}
+
+/**
+ * Resolve the "workspace:" and "catalog:" ranges of a package.json against
+ * the workspace
+ * @param {string} packagePath - Package path
+ * @param {Record<string, any>} pkg - package.json contents
+ * @param {Map<string, string>} workspaceVersions - Versions other workspace packages are published with when they differ from their package.json
+ * @returns {Record<string, any>} package.json contents with the ranges resolved
+ * @throws {PackageError} Listing every range that cannot be resolved
+ */
+function resolveProtocolRanges(packagePath, pkg, workspaceVersions) {
+  if (!hasProtocolRanges(pkg)) {
+    return pkg;
+  }
+
+  const rootPath = findWorkspaceRoot(packagePath);
+  const packages =
+    rootPath && getWorkspaceGlobs(rootPath).length > 0
+      ? getWorkspacePackages(rootPath)
+      : [];
+
+  // Versions published in the same run take precedence over package.json
+  /** @type {Map<string, string>} */
+  const versions = new Map();
+  for (const { name, pkg: workspacePkg } of packages) {
+    if (workspacePkg.version) versions.set(name, workspacePkg.version);
+  }
+  for (const [name, publishedVersion] of workspaceVersions) {
+    versions.set(name, publishedVersion);
+  }
+
+  /** @type {RangeContext} */
+  const context = {
+    packagePath,
+    packages,
+    versions,
+    pinned: new Set(workspaceVersions.keys()),
+    catalogs: rootPath ? getWorkspaceCatalogs(rootPath) : {},
+  };
+
+  /** @type {string[]} */
+  const problems = [];
+  const manifest = { ...pkg };
+
+  for (const field of PUBLISHED_DEPENDENCY_FIELDS) {
+    if (!pkg[field]) continue;
+
+    manifest[field] = Object.fromEntries(
+      Object.entries(pkg[field]).map(([name, range]) => {
+        const [, protocol, rest = ''] =
+          String(range).match(/^(workspace|catalog):(.*)$/) ?? [];
+        if (!protocol) return [name, range];
+
+        try {
+          return [
+            name,
+            protocol === 'workspace'
+              ? resolveWorkspaceRange(name, rest, context)
+              : resolveCatalogRange(name, rest, context),
+          ];
+        } catch (error) {
+          problems.push(
+            `${field}.${name}: "${range}" (${error instanceof Error ? error.message : String(error)})`,
+          );
+          return [name, range];
+        }
+      }),
+    );
+  }
+
+  if (problems.length > 0) {
+    throw new PackageError(
+      `Cannot resolve the published dependency ranges of ${pkg.name}:\n  ${problems.join('\n  ')}`,
+      packagePath,
+    );
+  }
+
+  return manifest;
+}
+
+/**
+ * Create temporary publishing directory with the files npm packs and the
+ * published package.json
+ * @param {string} packagePath - Original package path
+ * @param {string} [newVersion] - Version to use for publishing, defaults to the current one
+ * @param {Map<string, string>} [workspaceVersions] - Versions other workspace packages of the same publish are published with
+ * @returns {Promise<string>} Path to temporary directory
+ * @throws {PackageError} When a "workspace:" or "catalog:" range cannot be resolved
+ */
+export async function createTempPublishDir(
+  packagePath,
+  newVersion,
+  workspaceVersions,
+) {
+  // Resolve package.json first so a bad range leaves nothing behind
+  const modifiedPkg = getPublishManifest(packagePath, {
+    version: newVersion,
+    workspaceVersions,
+  });
+  const directory = getPublishDirectory(packagePath);
+  const files = getPackFiles(directory);
+
+  const tempDir = await createTempDir('tsup-lib-staging-');
+
+  for (const { path: file } of files) {
+    if (file === 'package.json') continue;
+
+    const destPath = join(tempDir, file);
+    await mkdir(dirname(destPath), { recursive: true });
+    await copyFile(join(directory, file), destPath);
+  }
+
+  writeFileSync(
+    join(tempDir, 'package.json'),
+    JSON.stringify(modifiedPkg, null, 2) + '\n',
+  );
+
+  return tempDir;
+}
+
+/**
+ * Clean up temporary directory
+ * @param {string} tempDir - Path to temporary directory to remove
+ */
+export async function cleanupTempDir(tempDir) {
+  try {
+    await rm(tempDir, { recursive: true, force: true });
+  } catch (error) {
+    // Ignore cleanup errors
+  }
+}
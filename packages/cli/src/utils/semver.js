@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Semantic versioning utilities
+ * Parses and bumps versions and rewrites the dependency ranges that pin one,
+ * the subset of semver that releasing workspace packages needs
+ */
+
+/**
+ * Version pattern from semver.org, with the prerelease and build metadata
+ */
+const VERSION_PATTERN =
+  /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[A-Za-z-][0-9A-Za-z-]*)(?:\.(?:0|[1-9]\d*|\d*[A-Za-z-][0-9A-Za-z-]*))*))?(?:\+([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?$/;
+
+/**
+ * Dependency ranges that pin a version: exact, caret, tilde or ">=",
+ * optionally behind the "workspace:" protocol
+ */
+const PINNED_RANGE_PATTERN = /^(workspace:)?(\^|~|>=|=)?v?(\d+\.\d+\.\d+\S*)$/;
+
+/**
+ * Parsed version type definition
+ * @typedef {Object} ParsedVersion
+ * @property {number} major - Major version
+ * @property {number} minor - Minor version
+ * @property {number} patch - Patch version
+ * @property {Array<string | number>} prerelease - Prerelease identifiers, numeric ones as numbers
+ */
+
+/**
+ * Parse a version, ignoring build metadata
+ * @param {string} version - Version such as 1.2.3 or 1.2.3-beta.1
+ * @returns {ParsedVersion | null} Parsed version, or null when it is not valid semver
+ */
+export function parseVersion(version) {
+  const match = version.trim().match(VERSION_PATTERN);
+  if (!match) return null;
+
+  const [, major, minor, patch, prerelease] = match;
+  return {
+    major: Number(major),
+    minor: Number(minor),
+    patch: Number(patch),
+    prerelease: prerelease
+      ? prerelease
+          .split('.')
+          .map((identifier) =>
+            /^\d+$/.test(identifier) ? Number(identifier) : identifier,
+          )
+      : [],
+  };
+}
+
+/**
+ * Format a parsed version
+ * @param {ParsedVersion} version - Parsed version
+ * @returns {string} Version string
+ */
+export function formatVersion({ major, minor, patch, prerelease }) {
+  const base = `${major}.${minor}.${patch}`;
+  return prerelease.length > 0 ? `${base}-${prerelease.join('.')}` : base;
+}
+
+/**
+ * Bump a version the way `npm version` does: a prerelease of the next
+ * major, minor or patch is released as that version, and "prerelease"
+ * increments the prerelease number or starts one on the next patch
+ * @param {string} version - Current version
+ * @param {import('../schemas/config.js').ReleaseType} releaseType - Release type
+ * @param {string} [preid] - Prerelease identifier, e.g. "beta"
+ * @returns {string} Bumped version
+ * @throws {Error} When the version is not valid semver
+ */
+export function bumpVersion(version, releaseType, preid) {
+  const parsed = parseVersion(version);
+  if (!parsed) {
+    throw new Error(`"${version}" is not a valid semver version`);
+  }
+
+  const { major, minor, patch, prerelease } = parsed;
+  const isPrerelease = prerelease.length > 0;
+
+  switch (releaseType) {
+    case 'major':
+      return isPrerelease && minor === 0 && patch === 0
+        ? formatVersion({ ...parsed, prerelease: [] })
+        : formatVersion({
+            major: major + 1,
+            minor: 0,
+            patch: 0,
+            prerelease: [],
+          });
+
+    case 'minor':
+      return isPrerelease && patch === 0
+        ? formatVersion({ ...parsed, prerelease: [] })
+        : formatVersion({ major, minor: minor + 1, patch: 0, prerelease: [] });
+
+    case 'patch':
+      return isPrerelease
+        ? formatVersion({ ...parsed, prerelease: [] })
+        : formatVersion({ major, minor, patch: patch + 1, prerelease: [] });
+
+    case 'prerelease': {
+      const start = preid ? [preid, 0] : [0];
+
+      if (!isPrerelease) {
+        return formatVersion({
+          major,
+          minor,
+          patch: patch + 1,
+          prerelease: start,
+        });
+      }
+      if (preid && prerelease[0] !== preid) {
+        return formatVersion({ ...parsed, prerelease: start });
+      }
+
+      const next = [...prerelease];
+      const last = next.findLastIndex(
+        (identifier) => typeof identifier === 'number',
+      );
+      if (last === -1) {
+        next.push(0);
+      } else {
+        next[last] = /** @type {number} */ (next[last]) + 1;
+      }
+      return formatVersion({ ...parsed, prerelease: next });
+    }
+  }
+}
+
+/**
+ * Rewrite a dependency range that pins a version to pin another one,
+ * keeping its operator and "workspace:" protocol
+ * @param {string} range - Dependency range, e.g. ^1.2.0 or workspace:~1.2.0
+ * @param {string} version - Version to pin
+ * @returns {string | null} Rewritten range, or null when the range does not pin a version
+ */
+export function updatePinnedRange(range, version) {
+  const match = range.match(PINNED_RANGE_PATTERN);
+  if (!match || !parseVersion(/** @type {string} */ (match[3]))) {
+    return null;
+  }
+
+  const [, protocol = '', operator = ''] = match;
+  return `${protocol}${operator}${version}`;
+}
+
+/**
+ * Compare two parsed versions by semver precedence
+ * @param {ParsedVersion} a - First version
+ * @param {ParsedVersion} b - Second version
+ * @returns {number} Negative when a is lower, positive when higher, 0 when equal
+ */
+function compareVersions(a, b) {
+  const core = a.major - b.major || a.minor - b.minor || a.patch - b.patch;
+  if (core !== 0) return core;
+
+  // A prerelease is lower than its release
+  if (a.prerelease.length === 0 || b.prerelease.length === 0) {
+    return b.prerelease.length - a.prerelease.length;
+  }
+
+  for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i++) {
+    const x = a.prerelease[i];
+    const y = b.prerelease[i];
+    if (x === undefined || y === undefined) return x === undefined ? -1 : 1;
+    if (x === y) continue;
+    if (typeof x === 'number' && typeof y === 'number') return x - y;
+    if (typeof x === 'number' || typeof y === 'number') {
+      return typeof x === 'number' ? -1 : 1;
+    }
+    return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Whether a version satisfies a range that pins a version, the way npm
+ * matches it: prereleases only match ranges pinning a prerelease of the
+ * same major, minor and patch
+ * @param {string} version - Version to check
+ * @param {string} range - Dependency range, e.g. ^1.2.0 or workspace:~1.2.0
+ * @returns {boolean | null} Whether the range includes the version, or null when the range does not pin a version
+ */
+export function satisfiesPinnedRange(version, range) {
+  const match = range.match(PINNED_RANGE_PATTERN);
+  const base = match && parseVersion(/** @type {string} */ (match[3]));
+  const parsed = parseVersion(version);
+  if (!match || !base || !parsed) return null;
+
+  if (
+    parsed.prerelease.length > 0 &&
+    !(
+      base.prerelease.length > 0 &&
+      base.major === parsed.major &&
+      base.minor === parsed.minor &&
+      base.patch === parsed.patch
+    )
+  ) {
+    return false;
+  }
+
+  const fromBase = compareVersions(parsed, base);
+  const [, , operator = ''] = match;
+
+  switch (operator) {
+    case '>=':
+      return fromBase >= 0;
+    case '^': {
+      const upper =
+        base.major > 0
+          ? { major: base.major + 1, minor: 0, patch: 0, prerelease: [] }
+          : base.minor > 0
+            ? { major: 0, minor: base.minor + 1, patch: 0, prerelease: [] }
+            : { major: 0, minor: 0, patch: base.patch + 1, prerelease: [] };
+      return fromBase >= 0 && compareVersions(parsed, upper) < 0;
+    }
+    case '~':
+      return (
+        fromBase >= 0 &&
+        compareVersions(parsed, {
+          major: base.major,
+          minor: base.minor + 1,
+          patch: 0,
+          prerelease: [],
+        }) < 0
+      );
+    default:
+      return fromBase === 0;
+  }
+}
@@ -0,0 +1,530 @@
+/**
+ * @fileoverview Side-effects analysis
+ * Detects source modules with top-level side effects (style imports,
+ * polyfills, global registration) and derives accurate "sideEffects" fields
+ * for package.json and the proxy packages
+ */
+
+import { existsSync, readFileSync, statSync } from 'fs';
+import { dirname, extname, join, relative, resolve, sep } from 'path';
+import fse from 'fs-extra';
+import { glob } from 'glob';
+import { loadTypeScript } from './api.js';
+import { getChunkInputsPath } from './cache.js';
+import { getConfig } from './config.js';
+import {
+  ConfigurationError,
+  getBuildOutputDirs,
+  getConditionBuilds,
+  getDeclarationEntries,
+} from './package.js';
+
+/**
+ * Extensions of style files, which are always side effects when imported
+ */
+const STYLE_EXTENSIONS = ['.css', '.scss', '.sass', '.less', '.styl', '.pcss'];
+
+/**
+ * Source extensions probed when resolving a relative import, in order of preference
+ */
+const SOURCE_EXTENSIONS = [
+  '.ts',
+  '.tsx',
+  '.mts',
+  '.cts',
+  '.js',
+  '.jsx',
+  '.mjs',
+  '.cjs',
+];
+
+/**
+ * Shared chunks emitted by esbuild code splitting
+ */
+const CHUNK_PATTERN = /\/__chunks\/[^/]+\.[cm]?js$/;
+
+/**
+ * Source modules bundled into each shared chunk, by build output directory.
+ * Paths are relative to the package, with forward slashes.
+ * @typedef {Record<string, Record<string, string[]>>} ChunkInputs
+ */
+
+/**
+ * Side effects found in a package
+ * @typedef {Object} SideEffectsAnalysis
+ * @property {Map<string, string[]>} modules - Source file (relative to the package) to its top-level side effects
+ * @property {Map<string, string[]>} entries - Public entry name to the side-effectful source files it imports, transitively
+ * @property {string[]} styleExtensions - Extensions of the style files imported by the sources
+ */
+
+/**
+ * Shorten a piece of source code to one line for messages
+ * @param {string} text - Source text
+ * @returns {string} Single-line excerpt
+ */
+function excerpt(text) {
+  const line = text.split('\n')[0].trim();
+  return line.length > 60 ? `${line.slice(0, 57)}...` : line;
+}
+
+/**
+ * Resolve a relative import to a source file
+ * @param {string} fromFile - Importing file
+ * @param {string} specifier - Relative specifier
+ * @returns {string | null} Source file path
+ */
+function resolveSourceImport(fromFile, specifier) {
+  const base = resolve(dirname(fromFile), specifier);
+  const withoutExtension = base.replace(/\.[cm]?jsx?$/, '');
+  const candidates = [
+    base,
+    ...SOURCE_EXTENSIONS.map((extension) => `${withoutExtension}${extension}`),
+    ...SOURCE_EXTENSIONS.map((extension) => join(base, `index${extension}`)),
+  ];
+
+  return (
+    candidates.find(
+      (candidate) => existsSync(candidate) && statSync(candidate).isFile(),
+    ) ?? null
+  );
+}
+
+/**
+ * Get the identifier an assignment target is rooted at, e.g. `Button` for
+ * `Button.displayName` or `window` for `window['x'].y`
+ * @param {typeof import('typescript')} ts - TypeScript module
+ * @param {import('typescript').Expression} target - Assignment target
+ * @returns {string | null} Root identifier, or null when the target has none
+ */
+function getAssignmentRoot(ts, target) {
+  let expression = target;
+  while (
+    ts.isPropertyAccessExpression(expression) ||
+    ts.isElementAccessExpression(expression) ||
+    ts.isNonNullExpression(expression) ||
+    ts.isParenthesizedExpression(expression)
+  ) {
+    expression = expression.expression;
+  }
+  return ts.isIdentifier(expression) ? expression.text : null;
+}
+
+/**
+ * Get the names a variable declaration binds, including destructured ones
+ * @param {typeof import('typescript')} ts - TypeScript module
+ * @param {import('typescript').BindingName} name - Declaration name
+ * @returns {string[]} Bound names
+ */
+function getBoundNames(ts, name) {
+  if (ts.isIdentifier(name)) return [name.text];
+  return name.elements.flatMap((element) =>
+    ts.isOmittedExpression(element) ? [] : getBoundNames(ts, element.name),
+  );
+}
+
+/**
+ * Find the top-level side effects of one source file and the local modules it
+ * imports. Variable initializers are assumed pure: only statements that run
+ * for their effect count, so `const Context = createContext()` does not.
+ * Assignments only count when they target a global or an imported binding:
+ * `Button.displayName = 'Button'` changes nothing outside the module.
+ * @param {typeof import('typescript')} ts - TypeScript module
+ * @param {string} file - Source file path
+ * @returns {{ reasons: string[], imports: string[], styles: string[] }} Side effects, local imports and imported style extensions
+ */
+function analyzeModule(ts, file) {
+  const sourceFile = ts.createSourceFile(
+    file,
+    readFileSync(file, 'utf-8'),
+    ts.ScriptTarget.Latest,
+    true,
+  );
+  /** @type {string[]} */
+  const reasons = [];
+  /** @type {string[]} */
+  const imports = [];
+  /** @type {string[]} */
+  const styles = [];
+
+  /**
+   * @param {import('typescript').Expression | undefined} moduleSpecifier - Module specifier
+   * @param {boolean} sideEffectOnly - Whether the import has no bindings
+   */
+  const addImport = (moduleSpecifier, sideEffectOnly) => {
+    if (!moduleSpecifier || !ts.isStringLiteral(moduleSpecifier)) return;
+    const specifier = moduleSpecifier.text;
+    const extension = extname(specifier);
+
+    if (STYLE_EXTENSIONS.includes(extension)) {
+      reasons.push(`imports ${specifier}`);
+      styles.push(extension);
+    } else if (specifier.startsWith('.')) {
+      const resolved = resolveSourceImport(file, specifier);
+      if (resolved) imports.push(resolved);
+    } else if (sideEffectOnly) {
+      reasons.push(`imports ${specifier} for its side effects`);
+    }
+  };
+
+  // Bindings declared by the module itself; anything else is imported or global
+  /** @type {Set<string>} */
+  const declared = new Set();
+  for (const statement of sourceFile.statements) {
+    if (
+      (ts.isFunctionDeclaration(statement) ||
+        ts.isClassDeclaration(statement) ||
+        ts.isEnumDeclaration(statement)) &&
+      statement.name
+    ) {
+      declared.add(statement.name.text);
+    } else if (ts.isVariableStatement(statement)) {
+      statement.declarationList.declarations.forEach(({ name }) =>
+        getBoundNames(ts, name).forEach((bound) => declared.add(bound)),
+      );
+    }
+  }
+
+  for (const statement of sourceFile.statements) {
+    if (ts.isImportDeclaration(statement)) {
+      if (!statement.importClause?.isTypeOnly) {
+        addImport(statement.moduleSpecifier, !statement.importClause);
+      }
+    } else if (ts.isExportDeclaration(statement)) {
+      if (!statement.isTypeOnly) {
+        addImport(statement.moduleSpecifier, false);
+      }
+    } else if (ts.isClassDeclaration(statement)) {
+      const name = statement.name?.text ?? 'default';
+      if (ts.getDecorators(statement)?.length) {
+        reasons.push(`decorates class ${name}`);
+      }
+      if (statement.members.some(ts.isClassStaticBlockDeclaration)) {
+        reasons.push(`runs a static block in class ${name}`);
+      }
+    } else if (ts.isExpressionStatement(statement)) {
+      const { expression } = statement;
+
+      if (ts.isStringLiteral(expression)) continue; // Directives
+      if (ts.isCallExpression(expression)) {
+        reasons.push(`calls ${excerpt(expression.expression.getText())}()`);
+      } else if (
+        ts.isBinaryExpression(expression) &&
+        expression.operatorToken.kind >= ts.SyntaxKind.FirstAssignment &&
+        expression.operatorToken.kind <= ts.SyntaxKind.LastAssignment
+      ) {
+        const root = getAssignmentRoot(ts, expression.left);
+        if (!root || !declared.has(root)) {
+          reasons.push(`assigns ${excerpt(expression.left.getText())}`);
+        }
+      } else {
+        reasons.push(`runs top-level code: ${excerpt(statement.getText())}`);
+      }
+    } else if (
+      !ts.isFunctionDeclaration(statement) &&
+      !ts.isVariableStatement(statement) &&
+      !ts.isInterfaceDeclaration(statement) &&
+      !ts.isTypeAliasDeclaration(statement) &&
+      !ts.isEnumDeclaration(statement) &&
+      !ts.isModuleDeclaration(statement) &&
+      !ts.isImportEqualsDeclaration(statement) &&
+      !ts.isExportAssignment(statement) &&
+      !ts.isEmptyStatement(statement)
+    ) {
+      // Control flow (if, loops, try, blocks) runs when the module loads
+      reasons.push(`runs top-level code: ${excerpt(statement.getText())}`);
+    }
+  }
+
+  return { reasons, imports, styles };
+}
+
+/**
+ * Analyze the public entries of a package and every local module they
+ * import. Returns null when TypeScript, used to parse the sources, is not
+ * installed.
+ * @param {string} rootPath - Root path of the package
+ * @returns {SideEffectsAnalysis | null} Analysis
+ */
+export function analyzeSideEffects(rootPath) {
+  /** @type {typeof import('typescript')} */
+  let ts;
+  try {
+    ts = loadTypeScript(rootPath, 'detect side effects');
+  } catch (error) {
+    if (error instanceof ConfigurationError) return null;
+    throw error;
+  }
+
+  /** @type {Map<string, ReturnType<typeof analyzeModule>>} */
+  const analyzed = new Map();
+  /** @type {Set<string>} */
+  const styleExtensions = new Set();
+
+  /**
+   * @param {string} file - Source file path
+   * @returns {ReturnType<typeof analyzeModule>} Module analysis
+   */
+  const visit = (file) => {
+    const cached = analyzed.get(file);
+    if (cached) return cached;
+
+    const result = analyzeModule(ts, file);
+    analyzed.set(file, result);
+    result.styles.forEach((extension) => styleExtensions.add(extension));
+    result.imports.forEach(visit);
+    return result;
+  };
+
+  /** @type {Map<string, string[]>} */
+  const entries = new Map();
+
+  for (const [name, file] of Object.entries(getDeclarationEntries(rootPath))) {
+    visit(file);
+
+    /** @type {Set<string>} */
+    const reachable = new Set();
+    const queue = [file];
+    while (queue.length > 0) {
+      const current = /** @type {string} */ (queue.pop());
+      if (reachable.has(current)) continue;
+      reachable.add(current);
+      queue.push(...(analyzed.get(current)?.imports ?? []));
+    }
+
+    const sideEffectful = [...reachable]
+      .filter((module) => analyzed.get(module)?.reasons.length)
+      .map((module) => relative(rootPath, module));
+    if (sideEffectful.length > 0) {
+      entries.set(name, sideEffectful.sort());
+    }
+  }
+
+  /** @type {Map<string, string[]>} */
+  const modules = new Map();
+  for (const [file, { reasons }] of analyzed) {
+    if (reasons.length > 0) {
+      modules.set(relative(rootPath, file), reasons);
+    }
+  }
+
+  return {
+    modules: new Map([...modules].sort(([a], [b]) => a.localeCompare(b))),
+    entries,
+    styleExtensions: [...styleExtensions].sort(),
+  };
+}
+
+/**
+ * esbuild plugin recording the source modules bundled into each shared chunk
+ * of a build, so the production "sideEffects" field lists only the chunks
+ * that contain side-effectful modules
+ * @param {string} rootPath - Root path of the package
+ * @param {string} outDir - Build output directory, relative to the package
+ * @returns {NonNullable<import('tsup').Options['esbuildPlugins']>[number]} esbuild plugin
+ */
+export function chunkInputsPlugin(rootPath, outDir) {
+  return {
+    name: 'libsync-chunk-inputs',
+    setup(pluginBuild) {
+      pluginBuild.initialOptions.metafile = true;
+
+      pluginBuild.onEnd(({ metafile }) => {
+        if (!metafile) return;
+
+        // Metafile paths are relative to esbuild's working directory
+        const workingDir =
+          pluginBuild.initialOptions.absWorkingDir ?? process.cwd();
+        const toPackagePath = (/** @type {string} */ file) =>
+          relative(rootPath, resolve(workingDir, file)).split(sep).join('/');
+
+        const chunks = Object.fromEntries(
+          Object.entries(metafile.outputs)
+            .map(([output, { inputs }]) => [
+              toPackagePath(output),
+              Object.keys(inputs).map(toPackagePath).sort(),
+            ])
+            .filter(([output]) => CHUNK_PATTERN.test(`/${output}`)),
+        );
+
+        const chunkInputsPath = getChunkInputsPath(rootPath);
+        fse.outputJsonSync(
+          chunkInputsPath,
+          { ...readChunkInputs(rootPath), [join(outDir)]: chunks },
+          { spaces: 2 },
+        );
+      });
+    },
+  };
+}
+
+/**
+ * Read the chunk inputs recorded by the last build
+ * @param {string} rootPath - Root path of the package
+ * @returns {ChunkInputs | null} Chunk inputs, or null when none were recorded
+ */
+function readChunkInputs(rootPath) {
+  try {
+    return fse.readJsonSync(getChunkInputsPath(rootPath));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the output file of an entry in one build directory
+ * @param {string} outDir - Build output directory
+ * @param {'esm' | 'cjs'} format - Build format
+ * @param {string} name - Entry name
+ * @returns {string} Output path relative to the package, without ./
+ */
+function getEntryOutput(outDir, format, name) {
+  return join(outDir, `${name}${format === 'cjs' ? '.cjs' : '.js'}`);
+}
+
+/**
+ * Get the format of every build output directory
+ * @param {string} rootPath - Root path of the package
+ * @returns {[string, 'esm' | 'cjs'][]} Output directory and format pairs
+ */
+function getOutputFormats(rootPath) {
+  const conditionFormats = Object.fromEntries(
+    getConditionBuilds(rootPath).map(({ name, format }) => [
+      `condition:${name}`,
+      format,
+    ]),
+  );
+
+  return Object.entries(getBuildOutputDirs(rootPath)).map(([build, outDir]) => [
+    outDir,
+    build === 'cjs' ? 'cjs' : (conditionFormats[build] ?? 'esm'),
+  ]);
+}
+
+/**
+ * Get the root "sideEffects" field. An explicit "sideEffects" in the libsync
+ * config is used as-is; otherwise development mode lists the side-effectful
+ * source files and production lists the built entries that import them, the
+ * shared chunks that contain them and the emitted styles.
+ * @param {string} rootPath - Root path of the package
+ * @param {boolean} prod - Whether to generate for production
+ * @param {SideEffectsAnalysis | null} analysis - Side effects analysis
+ * @returns {boolean | string[] | undefined} Field value, or undefined to leave it unchanged
+ */
+export function getSideEffectsField(rootPath, prod, analysis) {
+  const configured = getConfig(rootPath).sideEffects;
+  if (configured !== 'auto') return configured;
+  if (!analysis) return undefined;
+
+  const stylesheets = Object.values(getConfig(rootPath).styles);
+
+  if (!prod) {
+    const patterns = [
+      ...[...analysis.modules.keys()].map((file) => `./${file}`),
+      ...stylesheets.map((file) => `./${join(file)}`),
+      ...analysis.styleExtensions.map((extension) => `**/*${extension}`),
+    ];
+    return patterns.length > 0 ? patterns : false;
+  }
+
+  // tsup emits every imported style sheet as .css
+  const stylePatterns =
+    analysis.styleExtensions.length > 0 || stylesheets.length > 0
+      ? ['**/*.css']
+      : [];
+
+  if (analysis.entries.size === 0) {
+    return stylePatterns.length > 0 ? stylePatterns : false;
+  }
+
+  // Shared chunks that bundle a side-effectful module, or every chunk of a
+  // build whose chunks were not recorded
+  const chunkInputs = readChunkInputs(rootPath);
+  const sideEffectful = new Set(
+    [...analysis.modules.keys()].map((file) => file.split(sep).join('/')),
+  );
+  /** @param {string} outDir - Build output directory */
+  const getChunkPatterns = (outDir) => {
+    const chunks = chunkInputs?.[join(outDir)];
+    if (!chunks) return [`./${outDir}/__chunks/*`];
+
+    return Object.entries(chunks)
+      .filter(([, inputs]) => inputs.some((input) => sideEffectful.has(input)))
+      .map(([chunk]) => `./${chunk}`)
+      .sort();
+  };
+
+  const outputs = getOutputFormats(rootPath);
+  return [
+    ...[...analysis.entries.keys()]
+      .sort()
+      .flatMap((name) =>
+        outputs.map(
+          ([outDir, format]) => `./${getEntryOutput(outDir, format, name)}`,
+        ),
+      ),
+    ...outputs.flatMap(([outDir]) => getChunkPatterns(outDir)),
+    ...stylePatterns,
+  ];
+}
+
+/**
+ * Get the "sideEffects" field of the proxy package of an entry: the entry's
+ * built files, relative to the proxy folder
+ * @param {string} rootPath - Root path of the package
+ * @param {string} name - Entry name
+ * @param {string} prefix - Path from the proxy folder to the package root
+ * @param {SideEffectsAnalysis | null} analysis - Side effects analysis
+ * @returns {boolean | string[] | undefined} Field value, or undefined when unknown
+ */
+export function getProxySideEffectsField(rootPath, name, prefix, analysis) {
+  const configured = getConfig(rootPath).sideEffects;
+  if (configured !== 'auto') return configured !== false;
+  if (!analysis) return undefined;
+  if (!analysis.entries.has(name)) return false;
+
+  return getOutputFormats(rootPath).map(([outDir, format]) =>
+    join(prefix, getEntryOutput(outDir, format, name)),
+  );
+}
+
+/**
+ * Find public entries that the configured "sideEffects" field marks as
+ * side-effect-free although they import modules with side effects
+ * @param {string} rootPath - Root path of the package
+ * @param {SideEffectsAnalysis} analysis - Side effects analysis
+ * @returns {{ name: string, modules: string[] }[]} Entries marked incorrectly
+ */
+export function findUnmarkedSideEffects(rootPath, analysis) {
+  const configured = getConfig(rootPath).sideEffects;
+  if (configured === 'auto' || configured === true) return [];
+
+  /** @type {Set<string>} */
+  const marked = new Set(
+    configured === false
+      ? []
+      : glob.sync(
+          configured.map((pattern) =>
+            // Patterns without a slash match in any directory
+            pattern.includes('/')
+              ? pattern.replace(/^\.\//, '')
+              : `**/${pattern}`,
+          ),
+          { cwd: rootPath, posix: true, ignore: 'node_modules/**' },
+        ),
+  );
+  const entryFiles = getDeclarationEntries(rootPath);
+  const outputs = getOutputFormats(rootPath);
+
+  return [...analysis.entries]
+    .filter(([name]) => {
+      const files = [
+        relative(rootPath, entryFiles[name]),
+        ...outputs.map(([outDir, format]) =>
+          getEntryOutput(outDir, format, name),
+        ),
+      ].map((file) => file.split('\\').join('/'));
+
+      return !files.some((file) => marked.has(file));
+    })
+    .map(([name, modules]) => ({ name, modules }));
+}
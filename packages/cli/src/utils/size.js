@@ -0,0 +1,262 @@
+/**
+ * @fileoverview Bundle size measurement
+ * Measures the raw, gzip and brotli size of every public entry per build
+ * and checks them against the budgets declared in the libsync config
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join, relative, resolve } from 'path';
+import { brotliCompressSync, constants, gzipSync } from 'zlib';
+import fse from 'fs-extra';
+import { getBuildCacheDir } from './cache.js';
+import { getConfig } from './config.js';
+import {
+  ConfigurationError,
+  getBuildOutputDirs,
+  getDeclarationEntries,
+  readPackageJson,
+} from './package.js';
+
+/**
+ * Compressions a budget can limit
+ */
+export const SIZE_METRICS = /** @type {const} */ (['raw', 'gzip', 'brotli']);
+
+/**
+ * Output extensions tried for an entry, in tsup's order of preference
+ */
+const OUTPUT_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+
+/**
+ * Multipliers of the units accepted in size budgets
+ */
+const SIZE_UNITS = /** @type {Record<string, number>} */ ({
+  B: 1,
+  kB: 1000,
+  KB: 1000,
+  MB: 1000 * 1000,
+});
+
+/**
+ * Sizes of an entry in one build, in bytes
+ * @typedef {Object} EntrySize
+ * @property {string} name - Entry name
+ * @property {string} build - Build format or condition name
+ * @property {string[]} files - Output files, relative to the package, including shared chunks
+ * @property {number} raw - Uncompressed size
+ * @property {number} gzip - Gzip size
+ * @property {number} brotli - Brotli size
+ */
+
+/**
+ * Budget an entry exceeds
+ * @typedef {Object} SizeBudgetViolation
+ * @property {string} name - Entry name
+ * @property {string} build - Build format or condition name
+ * @property {typeof SIZE_METRICS[number]} metric - Compression that is over budget
+ * @property {number} size - Measured size
+ * @property {number} limit - Budget limit
+ */
+
+/**
+ * Parse a size limit from the config
+ * @param {number | string} limit - Bytes, or a size with a unit such as "10 kB"
+ * @returns {number} Bytes
+ */
+export function parseSize(limit) {
+  if (typeof limit === 'number') return limit;
+
+  const [, value, unit] = /^(\d+(?:\.\d+)?)\s*(\w+)$/.exec(limit) ?? [];
+  return Math.round(Number(value) * SIZE_UNITS[unit]);
+}
+
+/**
+ * Format a size in bytes for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size
+ */
+export function formatSize(bytes) {
+  if (bytes < 1000) return `${bytes} B`;
+  if (bytes < 1000 * 1000) return `${(bytes / 1000).toFixed(2)} kB`;
+  return `${(bytes / 1000 / 1000).toFixed(2)} MB`;
+}
+
+/**
+ * Collect an output file and the local chunks it imports, transitively
+ * @param {string} file - Output file path
+ * @param {Set<string>} files - Files collected so far
+ * @returns {Set<string>} Files
+ */
+function collectOutputFiles(file, files = new Set()) {
+  if (files.has(file) || !existsSync(file)) return files;
+  files.add(file);
+
+  const code = readFileSync(file, 'utf-8');
+  const importPattern =
+    /(?:\bfrom\s*|\bimport\s*\(?\s*|\brequire\s*\(\s*)["'](\.{1,2}\/[^"']+)["']/g;
+
+  for (const [, specifier] of code.matchAll(importPattern)) {
+    collectOutputFiles(resolve(dirname(file), specifier), files);
+  }
+
+  return files;
+}
+
+/**
+ * Find the output file of an entry in a build directory
+ * @param {string} outDir - Absolute build directory
+ * @param {string} name - Entry name
+ * @returns {string | null} Output file path
+ */
+function findEntryOutput(outDir, name) {
+  for (const extension of OUTPUT_EXTENSIONS) {
+    const file = join(outDir, `${name}${extension}`);
+    if (existsSync(file)) return file;
+  }
+  return null;
+}
+
+/**
+ * Measure every public entry in every build of a built package. Each entry
+ * includes the shared chunks it imports, compressed file by file as they are
+ * served.
+ * @param {string} rootPath - Root path of the package
+ * @returns {EntrySize[]} Entry sizes, grouped by entry
+ */
+export function measureBundleSizes(rootPath) {
+  const outputDirs = getBuildOutputDirs(rootPath);
+  /** @type {EntrySize[]} */
+  const sizes = [];
+
+  for (const name of Object.keys(getDeclarationEntries(rootPath)).sort()) {
+    for (const [build, outDir] of Object.entries(outputDirs)) {
+      const output = findEntryOutput(join(rootPath, outDir), name);
+      if (!output) continue;
+
+      const files = [...collectOutputFiles(output)];
+      const size = { raw: 0, gzip: 0, brotli: 0 };
+
+      for (const file of files) {
+        const content = readFileSync(file);
+        size.raw += content.length;
+        size.gzip += gzipSync(content, { level: 9 }).length;
+        size.brotli += brotliCompressSync(content, {
+          params: { [constants.BROTLI_PARAM_QUALITY]: 11 },
+        }).length;
+      }
+
+      sizes.push({
+        name,
+        build: build.replace(/^condition:/, ''),
+        files: files.map((file) => relative(rootPath, file)),
+        ...size,
+      });
+    }
+  }
+
+  return sizes;
+}
+
+/**
+ * Check entry sizes against the budgets of the libsync config. A budget key
+ * is an entry name, with or without a trailing /index, and applies to every
+ * build of that entry; a plain limit applies to the gzip size.
+ * @param {string} rootPath - Root path of the package
+ * @param {EntrySize[]} sizes - Measured sizes
+ * @returns {SizeBudgetViolation[]} Budgets exceeded
+ */
+export function checkSizeBudgets(rootPath, sizes) {
+  const { budgets } = getConfig(rootPath).size;
+  const names = new Set(sizes.map(({ name }) => name));
+
+  /**
+   * @param {string} name - Entry name
+   * @returns {string | undefined} Matching budget key
+   */
+  const getBudgetKey = (name) =>
+    [name, name.replace(/\/index$/, '')].find((key) => key in budgets);
+
+  const unknownKeys = Object.keys(budgets).filter(
+    (key) => ![...names].some((name) => getBudgetKey(name) === key),
+  );
+
+  if (unknownKeys.length > 0) {
+    throw new ConfigurationError(
+      `Size budgets reference unknown entries: ${unknownKeys.join(', ')}`,
+      [
+        `Available entries: ${[...names].join(', ')}`,
+        'Budget keys are entry names relative to the source directory, without extension',
+      ],
+    );
+  }
+
+  /** @type {SizeBudgetViolation[]} */
+  const violations = [];
+
+  for (const size of sizes) {
+    const key = getBudgetKey(size.name);
+    if (!key) continue;
+
+    const budget = budgets[key];
+    /** @type {Partial<Record<typeof SIZE_METRICS[number], number | string>>} */
+    const limits = typeof budget === 'object' ? budget : { gzip: budget };
+
+    for (const metric of SIZE_METRICS) {
+      const limit = limits[metric];
+      if (limit === undefined) continue;
+
+      if (size[metric] > parseSize(limit)) {
+        violations.push({
+          name: size.name,
+          build: size.build,
+          metric,
+          size: size[metric],
+          limit: parseSize(limit),
+        });
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Get the path of the JSON size report
+ * @param {string} rootPath - Root path of the package
+ * @returns {string} Report path
+ */
+export function getSizeReportPath(rootPath) {
+  const { report } = getConfig(rootPath).size;
+  return report
+    ? resolve(rootPath, report)
+    : join(getBuildCacheDir(rootPath), 'size-report.json');
+}
+
+/**
+ * Write the JSON size report, keyed by entry then build, so CI can diff it
+ * against the report of the base branch
+ * @param {string} rootPath - Root path of the package
+ * @param {EntrySize[]} sizes - Measured sizes
+ * @returns {string} Report path
+ */
+export function writeSizeReport(rootPath, sizes) {
+  const pkg = readPackageJson(rootPath);
+  /** @type {Record<string, Record<string, Pick<EntrySize, 'raw' | 'gzip' | 'brotli'>>>} */
+  const entries = {};
+
+  for (const { name, build, raw, gzip, brotli } of sizes) {
+    entries[name] = { ...entries[name], [build]: { raw, gzip, brotli } };
+  }
+
+  const reportPath = getSizeReportPath(rootPath);
+  fse.outputFileSync(
+    reportPath,
+    JSON.stringify(
+      { name: pkg.name, version: pkg.version ?? null, entries },
+      null,
+      2,
+    ) + '\n',
+  );
+
+  return reportPath;
+}
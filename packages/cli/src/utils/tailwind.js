@@ -0,0 +1,257 @@
+/**
+ * @fileoverview Tailwind CSS integration
+ * Checks the presets of Tailwind preset packages and generates the
+ * tailwind-content helper that lists the built files of component packages
+ * for a consumer's Tailwind `content` option
+ */
+
+import { existsSync } from 'fs';
+import { createRequire } from 'module';
+import { join, relative } from 'path';
+import { pathToFileURL } from 'url';
+import fse from 'fs-extra';
+import { getStylesDir } from './assets.js';
+import { getConfig } from './config.js';
+import {
+  ConfigurationError,
+  getDeclarationEntries,
+  getPackageBuilds,
+  hasTypesField,
+} from './package.js';
+
+/**
+ * Export subpath of the generated content helper
+ */
+export const TAILWIND_CONTENT_EXPORT = './tailwind-content';
+
+/**
+ * File name of the content helper in each build directory, without extension
+ */
+const TAILWIND_CONTENT_FILE = 'tailwind-content';
+
+/**
+ * Problem found in a built Tailwind preset
+ * @typedef {Object} TailwindPresetIssue
+ * @property {'error' | 'warning'} severity - Errors break consumers, warnings may
+ * @property {string} name - Entry name
+ * @property {string} build - Build format
+ * @property {string} message - What is wrong
+ */
+
+/**
+ * Load Tailwind's resolveConfig from the package, when the installed version
+ * has one (Tailwind CSS 3)
+ * @param {string} rootPath - Root path of the package
+ * @returns {((config: Record<string, any>) => unknown) | null} resolveConfig
+ */
+function loadResolveConfig(rootPath) {
+  try {
+    return createRequire(join(rootPath, 'package.json'))(
+      'tailwindcss/resolveConfig',
+    );
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load the default export of a built entry
+ * @param {string} file - Built file path
+ * @param {string} format - Build format
+ * @returns {Promise<unknown>} Default export
+ */
+async function loadDefaultExport(file, format) {
+  const loaded =
+    format === 'cjs'
+      ? createRequire(file)(file)
+      : await import(pathToFileURL(file).href);
+  return loaded && typeof loaded === 'object' && 'default' in loaded
+    ? loaded.default
+    : loaded;
+}
+
+/**
+ * Check that every public entry of a Tailwind preset package loads from each
+ * build and resolves as a preset. Presets that set `content` are reported,
+ * as those paths are read relative to the consumer's project.
+ * @param {string} rootPath - Root path of the package
+ * @returns {Promise<TailwindPresetIssue[]>} Problems found
+ */
+export async function checkTailwindPresets(rootPath) {
+  const builds = getPackageBuilds(rootPath);
+  const resolveConfig = loadResolveConfig(rootPath);
+  /** @type {TailwindPresetIssue[]} */
+  const issues = [];
+
+  for (const name of Object.keys(getDeclarationEntries(rootPath)).sort()) {
+    for (const [format, outDir] of Object.entries(builds)) {
+      const file = join(
+        rootPath,
+        outDir,
+        `${name}${format === 'cjs' ? '.cjs' : '.js'}`,
+      );
+      if (!existsSync(file)) continue;
+
+      /** @type {unknown} */
+      let preset;
+      try {
+        preset = await loadDefaultExport(file, format);
+      } catch (error) {
+        issues.push({
+          severity: 'error',
+          name,
+          build: format,
+          message: `Could not load: ${error instanceof Error ? error.message : String(error)}`,
+        });
+        continue;
+      }
+
+      if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+        issues.push({
+          severity: 'error',
+          name,
+          build: format,
+          message: 'The default export is not a Tailwind preset object',
+        });
+        continue;
+      }
+
+      if (resolveConfig) {
+        try {
+          // Raw content keeps Tailwind from warning about a missing content option
+          resolveConfig({ presets: [preset], content: [{ raw: '' }] });
+        } catch (error) {
+          issues.push({
+            severity: 'error',
+            name,
+            build: format,
+            message: `Does not resolve: ${error instanceof Error ? error.message : String(error)}`,
+          });
+          continue;
+        }
+      }
+
+      if ('content' in preset) {
+        issues.push({
+          severity: 'warning',
+          name,
+          build: format,
+          message:
+            'Sets content paths, which consumers read relative to their own project',
+        });
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Write the content helper into every build directory. The helper exports
+ * `content`, the absolute globs of the built files in the styles directory,
+ * computed where the package is installed.
+ * @param {string} rootPath - Root path of the package
+ * @returns {string[]} Written files, relative to the package root
+ */
+export function writeTailwindContent(rootPath) {
+  if (!getConfig(rootPath).tailwind.content) return [];
+
+  if (TAILWIND_CONTENT_FILE in getDeclarationEntries(rootPath)) {
+    throw new ConfigurationError(
+      `The "${TAILWIND_CONTENT_FILE}" entry conflicts with the generated Tailwind content helper`,
+      [
+        `Rename src/${TAILWIND_CONTENT_FILE}, or add it to "exclude" in your libsync config`,
+      ],
+    );
+  }
+
+  const builds = getPackageBuilds(rootPath);
+  const stylesDir = getStylesDir(rootPath);
+  const stylesExtension = stylesDir === builds.esm ? 'js' : 'cjs';
+  const declarations = hasTypesField(rootPath);
+  /** @type {string[]} */
+  const written = [];
+
+  for (const [format, outDir] of Object.entries(builds)) {
+    // Globs use forward slashes on every platform
+    const glob = join(
+      relative(join(rootPath, outDir), join(rootPath, stylesDir)),
+      `**/*.${stylesExtension}`,
+    ).replace(/\\/g, '/');
+    const extension = format === 'cjs' ? 'cjs' : 'js';
+
+    const code =
+      format === 'cjs'
+        ? [
+            "const { join } = require('path');",
+            '',
+            `const content = [join(__dirname, '${glob}').replace(/\\\\/g, '/')];`,
+            '',
+            'module.exports = { content, default: content };',
+          ]
+        : [
+            "import { dirname, join } from 'path';",
+            "import { fileURLToPath } from 'url';",
+            '',
+            'const root = dirname(fileURLToPath(import.meta.url));',
+            '',
+            `export const content = [join(root, '${glob}').replace(/\\\\/g, '/')];`,
+            'export default content;',
+          ];
+
+    const file = join(outDir, `${TAILWIND_CONTENT_FILE}.${extension}`);
+    fse.outputFileSync(join(rootPath, file), `${code.join('\n')}\n`);
+    written.push(file);
+
+    if (declarations) {
+      const declarationFile = join(
+        outDir,
+        `${TAILWIND_CONTENT_FILE}.d.${format === 'cjs' ? 'cts' : 'ts'}`,
+      );
+      fse.outputFileSync(
+        join(rootPath, declarationFile),
+        [
+          "/** Globs of the package's built files, for Tailwind's `content` option */",
+          'export declare const content: string[];',
+          'export default content;',
+          '',
+        ].join('\n'),
+      );
+    }
+  }
+
+  return written;
+}
+
+/**
+ * Get the export of the content helper. The helper only exists in
+ * production, where it lists the build output.
+ * @param {string} rootPath - Root path of the package
+ * @param {boolean} prod - Whether to generate for production
+ * @returns {Record<string, Record<string, string | Record<string, string>>>} Subpath to conditions
+ */
+export function getTailwindContentExports(rootPath, prod) {
+  if (!prod || !getConfig(rootPath).tailwind.content) return {};
+
+  const builds = getPackageBuilds(rootPath);
+  const declarations = hasTypesField(rootPath);
+  /** @type {Record<string, string | Record<string, string>>} */
+  const conditions = {};
+
+  // Same condition order as the entry exports
+  for (const format of ['esm', 'cjs'].filter((format) => format in builds)) {
+    const outDir = builds[/** @type {'esm' | 'cjs'} */ (format)];
+    const target = `./${join(outDir, TAILWIND_CONTENT_FILE)}`;
+    const extension = format === 'cjs' ? 'cjs' : 'js';
+    const declarationExtension = format === 'cjs' ? 'cts' : 'ts';
+
+    conditions[format === 'cjs' ? 'require' : 'import'] = declarations
+      ? {
+          types: `${target}.d.${declarationExtension}`,
+          default: `${target}.${extension}`,
+        }
+      : `${target}.${extension}`;
+  }
+
+  return { [TAILWIND_CONTENT_EXPORT]: conditions };
+}
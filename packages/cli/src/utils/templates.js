@@ -0,0 +1,526 @@
+/**
+ * @fileoverview Package and entry templates
+ * Package templates render the files of a new package for libsync init, with
+ * package.json fields that getPackageBuilds understands and a
+ * tsconfig.build.json; entry templates render the folder of a new public
+ * subpath for libsync add-entry
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { basename, join, relative } from 'path';
+import { getWorkspaceGlobs, getWorkspacePackages } from './workspace.js';
+
+/**
+ * Version ranges of the dependencies added by the templates
+ */
+const DEPENDENCY_VERSIONS = {
+  '@types/node': '^20.11.0',
+  '@types/react': '^18.3.12',
+  eslint: '^9.35.0',
+  prettier: '^3.2.5',
+  react: '^18.3.1',
+  'react-dom': '^18.3.1',
+  typescript: '^5.8.3',
+};
+
+/**
+ * Compiler options of packages created outside a workspace with a root
+ * tsconfig.json
+ */
+const STANDALONE_COMPILER_OPTIONS = {
+  target: 'ES2017',
+  module: 'Node16',
+  moduleResolution: 'Node16',
+  types: ['node'],
+  lib: ['esnext'],
+  noEmit: true,
+  skipLibCheck: true,
+  strict: true,
+  esModuleInterop: true,
+  resolveJsonModule: true,
+  declaration: true,
+  isolatedModules: true,
+};
+
+/**
+ * Where a new package is created
+ * @typedef {Object} TemplateContext
+ * @property {string} name - Package name
+ * @property {string} description - Package description
+ * @property {string | null} rootTsConfig - Root tsconfig.json to extend, relative to the package
+ * @property {string} libsyncVersion - Version range of the libsync dev dependency
+ */
+
+/**
+ * Package template
+ * @typedef {Object} PackageTemplate
+ * @property {string} label - Short description shown in prompts
+ * @property {(context: TemplateContext) => Record<string, string>} render - Files of the package, by path
+ */
+
+/**
+ * Serialize a JSON file
+ * @param {unknown} value - File content
+ * @returns {string} JSON with a trailing newline
+ */
+function json(value) {
+  return JSON.stringify(value, null, 2) + '\n';
+}
+
+/**
+ * Render package.json with the fields every template shares
+ * @param {TemplateContext} context - Template context
+ * @param {Record<string, any>} fields - Template-specific fields
+ * @param {Record<string, string>} devDependencies - Template-specific dev dependencies
+ * @returns {string} package.json content
+ */
+function renderPackageJson(context, fields, devDependencies) {
+  return json({
+    name: context.name,
+    description: context.description,
+    version: '0.0.1',
+    license: 'MIT',
+    type: 'module',
+    ...fields,
+    scripts: {
+      build: 'libsync build',
+      clean: 'libsync clean',
+      dev: 'libsync dev',
+      'dev:watch': 'libsync dev --watch',
+      typecheck: 'tsc --noEmit',
+      ...fields.scripts,
+    },
+    devDependencies: Object.fromEntries(
+      Object.entries({
+        '@types/node': DEPENDENCY_VERSIONS['@types/node'],
+        libsync: context.libsyncVersion,
+        typescript: DEPENDENCY_VERSIONS.typescript,
+        ...devDependencies,
+      }).sort(([a], [b]) => a.localeCompare(b)),
+    ),
+  });
+}
+
+/**
+ * Render tsconfig.json and tsconfig.build.json
+ * @param {TemplateContext} context - Template context
+ * @param {Record<string, any>} [compilerOptions] - Template-specific compiler options
+ * @returns {Record<string, string>} tsconfig files
+ */
+function renderTsConfigs(context, compilerOptions = {}) {
+  return {
+    'tsconfig.json': json({
+      ...(context.rootTsConfig
+        ? {
+            extends: context.rootTsConfig,
+            ...(Object.keys(compilerOptions).length > 0
+              ? { compilerOptions }
+              : {}),
+          }
+        : {
+            compilerOptions: {
+              ...STANDALONE_COMPILER_OPTIONS,
+              ...compilerOptions,
+            },
+          }),
+      include: ['src'],
+      exclude: ['node_modules', 'cjs/**', 'esm/**'],
+    }),
+    'tsconfig.build.json': json({
+      extends: './tsconfig.json',
+      compilerOptions: { incremental: false },
+      include: ['src'],
+      exclude: ['src/**/*.test.*', 'src/**/*.spec.*'],
+    }),
+  };
+}
+
+/**
+ * Render the files every template shares
+ * @param {TemplateContext} context - Template context
+ * @returns {Record<string, string>} Shared files
+ */
+function renderCommonFiles(context) {
+  return {
+    'README.md': [
+      `# ${context.name}`,
+      '',
+      ...(context.description ? [context.description, ''] : []),
+      '## Development',
+      '',
+      '```bash',
+      '# Build the package',
+      'pnpm build',
+      '',
+      '# Point package.json at the sources while developing',
+      'pnpm dev',
+      '```',
+      '',
+    ].join('\n'),
+    'tsup.config.mjs': 'export default {};\n',
+    // Without it npm packs by .gitignore, which lists the build directories
+    '.npmignore': [
+      '# Cache',
+      '.cache',
+      '.turbo',
+      '',
+      '# Node modules',
+      'node_modules',
+      '*.tgz',
+      '',
+      '# Source code',
+      'src/**/*',
+      '',
+      '# Typescript files',
+      'tsconfig*.json',
+      '',
+      '# Build configuration files',
+      'tsup.config.mjs',
+      '',
+    ].join('\n'),
+  };
+}
+
+/**
+ * Templates available to libsync init, by name
+ * @type {Record<import('../schemas/config.js').PackageTemplateName, PackageTemplate>}
+ */
+export const PACKAGE_TEMPLATES = {
+  library: {
+    label: 'TypeScript library with ESM and CJS builds',
+    render: (context) => ({
+      ...renderCommonFiles(context),
+      ...renderTsConfigs(context),
+      'package.json': renderPackageJson(
+        context,
+        {
+          main: 'src/index.ts',
+          module: 'src/index.ts',
+          types: 'src/index.ts',
+        },
+        {},
+      ),
+      'src/index.ts': [
+        '/**',
+        ' * Greet someone by name',
+        ' * @param name - Name to greet',
+        ' */',
+        'export function greet(name: string): string {',
+        '  return `Hello, ${name}!`;',
+        '}',
+        '',
+      ].join('\n'),
+    }),
+  },
+
+  react: {
+    label: 'React component library',
+    render: (context) => ({
+      ...renderCommonFiles(context),
+      ...renderTsConfigs(context, {
+        lib: ['esnext', 'dom', 'dom.iterable'],
+        jsx: 'react-jsx',
+      }),
+      'package.json': renderPackageJson(
+        context,
+        {
+          main: 'src/index.ts',
+          module: 'src/index.ts',
+          types: 'src/index.ts',
+          peerDependencies: {
+            react: '^18.0.0 || ^19.0.0',
+            'react-dom': '^18.0.0 || ^19.0.0',
+          },
+        },
+        {
+          '@types/react': DEPENDENCY_VERSIONS['@types/react'],
+          react: DEPENDENCY_VERSIONS.react,
+          'react-dom': DEPENDENCY_VERSIONS['react-dom'],
+        },
+      ),
+      'src/index.ts': "export * from './components/index.js';\n",
+      'src/components/index.ts': "export * from './button/index.js';\n",
+      'src/components/button/index.ts': [
+        "export { Button } from './button.component.js';",
+        "export type { ButtonProps } from './button.component.js';",
+        '',
+      ].join('\n'),
+      'src/components/button/button.component.tsx': [
+        "import type { ButtonHTMLAttributes } from 'react';",
+        '',
+        'export type ButtonProps = ButtonHTMLAttributes<HTMLButtonElement>;',
+        '',
+        "export function Button({ type = 'button', ...props }: ButtonProps) {",
+        '  return <button type={type} {...props} />;',
+        '}',
+        '',
+      ].join('\n'),
+    }),
+  },
+
+  cli: {
+    label: 'Command line tool',
+    render: (context) => ({
+      ...renderCommonFiles(context),
+      ...renderTsConfigs(context, { allowJs: true, checkJs: true }),
+      'package.json': renderPackageJson(
+        context,
+        {
+          // bin-only packages get an ESM build; the bin is rewritten on build
+          bin: { [basename(context.name)]: './src/index.js' },
+        },
+        {},
+      ),
+      'src/index.js': [
+        '#!/usr/bin/env node',
+        '',
+        '/**',
+        ' * @fileoverview Command line entry point',
+        ' */',
+        '',
+        "const [command = 'help'] = process.argv.slice(2);",
+        '',
+        `console.log(\`${basename(context.name)}: \${command}\`);`,
+        '',
+      ].join('\n'),
+    }),
+  },
+
+  'eslint-config': {
+    label: 'Shareable ESLint config',
+    render: (context) => ({
+      ...renderCommonFiles(context),
+      ...renderTsConfigs(context, { allowJs: true }),
+      'package.json': renderPackageJson(
+        context,
+        {
+          main: 'src/index.js',
+          module: 'src/index.js',
+          peerDependencies: { eslint: '^9.0.0' },
+        },
+        { eslint: DEPENDENCY_VERSIONS.eslint },
+      ),
+      'src/index.js': [
+        "/** @type {import('eslint').Linter.Config[]} */",
+        'export default [',
+        '  {',
+        '    rules: {',
+        "      'no-debugger': 'error',",
+        "      'no-var': 'error',",
+        "      'prefer-const': 'error',",
+        '    },',
+        '  },',
+        '];',
+        '',
+      ].join('\n'),
+    }),
+  },
+
+  'prettier-config': {
+    label: 'Shareable Prettier config',
+    render: (context) => ({
+      ...renderCommonFiles(context),
+      ...renderTsConfigs(context, { allowJs: true }),
+      'package.json': renderPackageJson(
+        context,
+        {
+          main: 'src/index.js',
+          module: 'src/index.js',
+          peerDependencies: { prettier: '^3.0.0' },
+        },
+        { prettier: DEPENDENCY_VERSIONS.prettier },
+      ),
+      'src/index.js': [
+        "/** @type {import('prettier').Config} */",
+        'export default {',
+        "  trailingComma: 'all',",
+        '  semi: true,',
+        '  singleQuote: true,',
+        '  printWidth: 80,',
+        '};',
+        '',
+      ].join('\n'),
+    }),
+  },
+};
+
+/**
+ * Names of an entry generated by libsync add-entry
+ * @typedef {Object} EntryNames
+ * @property {string} file - File name prefix, e.g. date-picker
+ * @property {string} pascal - Component or type name, e.g. DatePicker
+ * @property {string} camel - Value name, e.g. datePicker
+ * @property {string} extension - Import specifier extension, ".js" or empty
+ */
+
+/**
+ * Entry template
+ * @typedef {Object} EntryTemplate
+ * @property {string} label - Short description shown in help
+ * @property {boolean} typescript - Whether the template needs a TypeScript package
+ * @property {(names: EntryNames, language: 'ts' | 'js') => Record<string, string>} render - Files of the entry folder, by name
+ */
+
+/**
+ * Templates available to libsync add-entry, by name
+ * @type {Record<import('../schemas/config.js').EntryTemplateName, EntryTemplate>}
+ */
+export const ENTRY_TEMPLATES = {
+  component: {
+    label: 'React component split into component, props and data files',
+    typescript: true,
+    render: ({ file, pascal, camel, extension }) => ({
+      [`${file}.component.tsx`]: [
+        "import { forwardRef } from 'react';",
+        `import { ${camel}ClassName } from './${file}.data${extension}';`,
+        `import type { ${pascal}Props } from './${file}.props${extension}';`,
+        '',
+        `export const ${pascal} = forwardRef<HTMLDivElement, ${pascal}Props>(`,
+        '  (props, ref) => {',
+        '    const { className, ...rest } = props;',
+        '',
+        '    return (',
+        '      <div',
+        `        className={[${camel}ClassName, className].filter(Boolean).join(' ')}`,
+        '        ref={ref}',
+        '        {...rest}',
+        '      />',
+        '    );',
+        '  },',
+        ');',
+        `${pascal}.displayName = '${pascal}';`,
+        '',
+      ].join('\n'),
+      [`${file}.data.ts`]: `export const ${camel}ClassName = '${file}';\n`,
+      [`${file}.props.ts`]: [
+        "import type { HTMLAttributes } from 'react';",
+        '',
+        `export type ${pascal}Props = HTMLAttributes<HTMLDivElement>;`,
+        '',
+      ].join('\n'),
+      'index.ts': [
+        `export * from './${file}.component${extension}';`,
+        `export * from './${file}.data${extension}';`,
+        `export * from './${file}.props${extension}';`,
+        '',
+      ].join('\n'),
+    }),
+  },
+
+  module: {
+    label: 'Module with an index barrel',
+    typescript: false,
+    render: ({ file, camel, extension }, language) => ({
+      [`${file}.${language}`]:
+        language === 'ts'
+          ? [
+              `export function ${camel}(value: string): string {`,
+              '  return value;',
+              '}',
+              '',
+            ].join('\n')
+          : [
+              '/**',
+              ' * @param {string} value',
+              ' * @returns {string}',
+              ' */',
+              `export function ${camel}(value) {`,
+              '  return value;',
+              '}',
+              '',
+            ].join('\n'),
+      [`index.${language}`]: `export * from './${file}${extension}';\n`,
+    }),
+  },
+};
+
+/**
+ * Get the names of an entry from its folder name
+ * @param {string} folderName - Last segment of the entry path, e.g. date-picker
+ * @param {string} extension - Import specifier extension, ".js" or empty
+ * @returns {EntryNames} Entry names
+ */
+export function getEntryNames(folderName, extension) {
+  const words = folderName
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase()
+    .split(/[-_.]+/)
+    .filter(Boolean);
+  const pascal = words
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+
+  return {
+    file: words.join('-'),
+    pascal,
+    camel: pascal.charAt(0).toLowerCase() + pascal.slice(1),
+    extension,
+  };
+}
+
+/**
+ * Whether a string is a valid npm package name
+ * @param {string} name - Package name
+ * @returns {boolean} Whether the name is valid
+ */
+export function isValidPackageName(name) {
+  return (
+    name.length <= 214 &&
+    /^(?:@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/.test(name)
+  );
+}
+
+/**
+ * Suggest a package name for a directory: the directory name, under the
+ * scope of the workspace root package when it has one
+ * @param {string} packagePath - Directory of the new package
+ * @param {string | null} workspaceRoot - Workspace root path
+ * @returns {string} Package name
+ */
+export function getDefaultPackageName(packagePath, workspaceRoot) {
+  const directoryName = basename(packagePath)
+    .toLowerCase()
+    .replace(/[^a-z0-9-._~]+/g, '-');
+  const rootPackageJson = workspaceRoot && join(workspaceRoot, 'package.json');
+
+  if (rootPackageJson && existsSync(rootPackageJson)) {
+    const { name } = JSON.parse(readFileSync(rootPackageJson, 'utf-8'));
+    const scope = typeof name === 'string' ? name.match(/^@[^/]+/)?.[0] : null;
+    if (scope) return `${scope}/${directoryName}`;
+  }
+
+  return directoryName;
+}
+
+/**
+ * Get the template context of a new package: workspace packages extend the
+ * root tsconfig.json and use the workspace libsync when there is one
+ * @param {string} packagePath - Directory of the new package
+ * @param {string | null} workspaceRoot - Workspace root path
+ * @param {Pick<TemplateContext, 'name' | 'description'>} answers - Package name and description
+ * @returns {TemplateContext} Template context
+ */
+export function getTemplateContext(packagePath, workspaceRoot, answers) {
+  const rootTsConfig =
+    workspaceRoot && existsSync(join(workspaceRoot, 'tsconfig.json'))
+      ? relative(packagePath, join(workspaceRoot, 'tsconfig.json')).replace(
+          /\\/g,
+          '/',
+        )
+      : null;
+
+  const workspaceHasLibsync =
+    workspaceRoot !== null &&
+    getWorkspaceGlobs(workspaceRoot).length > 0 &&
+    getWorkspacePackages(workspaceRoot).some(({ name }) => name === 'libsync');
+
+  const { version } = JSON.parse(
+    readFileSync(new URL('../../package.json', import.meta.url), 'utf-8'),
+  );
+
+  return {
+    ...answers,
+    rootTsConfig,
+    libsyncVersion: workspaceHasLibsync ? 'workspace:*' : `^${version}`,
+  };
+}
@@ -3,12 +3,13 @@
  * Comprehensive validation for project structure, configuration, and dependencies
  */
 
-import { existsSync, statSync } from 'fs';
+import { existsSync, readFileSync, statSync } from 'fs';
 import { join, resolve } from 'path';
 import chalk from 'chalk';
 import { glob } from 'glob';
 import { packageJsonSchema, tsConfigSchema } from '../schemas/config.js';
-import { readPackageJson } from './package.js';
+import { getConfig } from './config.js';
+import { getProxyFolders, readPackageJson } from './package.js';
 
 /**
  * Display a welcome message with tool information
@@ -95,6 +96,7 @@ export function validatePackageJson(packagePath) {
     }
 
     const validatedPackage = validationResult.data;
+    const { sourceDir, outDirs } = getConfig(packagePath);
 
     // Check for common configuration issues
     if (
@@ -125,29 +127,32 @@ export function validatePackageJson(packagePath) {
 
     // Check if package.json is in development mode (pointing to source files)
     const isDevMode =
-      (validatedPackage.main && validatedPackage.main.includes('src/')) ||
-      (validatedPackage.module && validatedPackage.module.includes('src/')) ||
-      (validatedPackage.types && validatedPackage.types.includes('src/'));
+      (validatedPackage.main &&
+        validatedPackage.main.includes(`${sourceDir}/`)) ||
+      (validatedPackage.module &&
+        validatedPackage.module.includes(`${sourceDir}/`)) ||
+      (validatedPackage.types &&
+        validatedPackage.types.includes(`${sourceDir}/`));
 
     // Only validate production-style paths if not in development mode
     if (!isDevMode) {
       if (
         validatedPackage.main &&
-        !validatedPackage.main.includes('cjs') &&
+        !validatedPackage.main.includes(outDirs.cjs) &&
         !validatedPackage.main.includes('.cjs')
       ) {
         warnings.push(
-          'Main field may not point to a CommonJS file - consider using .cjs extension or cjs/ directory',
+          `Main field may not point to a CommonJS file - consider using .cjs extension or ${outDirs.cjs}/ directory`,
         );
       }
 
       if (
         validatedPackage.module &&
-        !validatedPackage.module.includes('esm') &&
+        !validatedPackage.module.includes(outDirs.esm) &&
         !validatedPackage.module.includes('.js')
       ) {
         warnings.push(
-          'Module field may not point to an ES module file - consider using esm/ directory',
+          `Module field may not point to an ES module file - consider using ${outDirs.esm}/ directory`,
         );
       }
     }
@@ -231,11 +236,24 @@ export async function validateTsConfig(packagePath) {
 export function validateSourceStructure(packagePath) {
   const warnings = /** @type {SourceValidationResult['warnings']} */ ([]);
   const errors = /** @type {SourceValidationResult['errors']} */ ([]);
-  const srcPath = join(packagePath, 'src');
+
+  /** @type {import('../schemas/config.js').LibsyncConfig} */
+  let config;
+  try {
+    config = getConfig(packagePath);
+  } catch (error) {
+    errors.push(
+      `Error reading libsync config: ${error instanceof Error ? error.message : String(error)}`,
+    );
+    return { isValid: false, warnings, errors };
+  }
+
+  const { sourceDir, testPatterns } = config;
+  const srcPath = join(packagePath, sourceDir);
 
   if (!existsSync(srcPath)) {
-    errors.push('src/ directory not found');
-    errors.push('  Create a src/ directory with your source files');
+    errors.push(`${sourceDir}/ directory not found`);
+    errors.push(`  Create a ${sourceDir}/ directory with your source files`);
     return { isValid: false, warnings, errors };
   }
 
@@ -243,19 +261,19 @@ export function validateSourceStructure(packagePath) {
     cwd: srcPath,
   });
   if (indexFiles.length === 0) {
-    warnings.push('No index file found in src/ directory');
+    warnings.push(`No index file found in ${sourceDir}/ directory`);
     warnings.push(
-      '  Consider creating src/index.ts, src/index.js, or src/index.cjs as the main entry point',
+      `  Consider creating ${sourceDir}/index.ts, ${sourceDir}/index.js, or ${sourceDir}/index.cjs as the main entry point`,
     );
   }
 
   const sourceFiles = glob.sync('**/*.{ts,js,tsx,jsx,cjs,mjs,cts,mts}', {
     cwd: srcPath,
-    ignore: ['**/*.test.*', '**/*.spec.*', '**/__tests__/**'],
+    ignore: [...testPatterns, '**/__tests__/**'],
   });
 
   if (sourceFiles.length === 0) {
-    errors.push('No source files found in src/ directory');
+    errors.push(`No source files found in ${sourceDir}/ directory`);
     return { isValid: false, warnings, errors };
   }
 
@@ -448,3 +466,305 @@ export async function checkProjectStructure(projectPath, command) {
 
   console.log(); // Add spacing
 }
+
+/**
+ * Package check issue
+ * @typedef {Object} PackageIssue
+ * @property {'error' | 'warning'} severity - Errors break consumers, warnings may
+ * @property {string} field - Package.json field, e.g. exports["./utils"].require.types
+ * @property {string} message - What is wrong
+ * @property {string[]} suggestions - How to fix it
+ */
+
+/**
+ * Module format implied by a file extension and the package "type" field
+ * @param {string} file - File path
+ * @param {string | undefined} type - Package.json "type" field
+ * @returns {'esm' | 'cjs' | null} Format, or null for other file types
+ */
+function getExtensionFormat(file, type) {
+  if (/\.(?:d\.)?mts$|\.mjs$/.test(file)) return 'esm';
+  if (/\.(?:d\.)?cts$|\.cjs$/.test(file)) return 'cjs';
+  if (/\.d\.ts$|\.js$/.test(file)) return type === 'module' ? 'esm' : 'cjs';
+  return null;
+}
+
+/**
+ * Guess the module format of JavaScript code from its syntax
+ * @param {string} code - File contents
+ * @returns {'esm' | 'cjs' | null} Format, or null when it cannot be told
+ */
+function detectCodeFormat(code) {
+  if (/^\s*(?:import\b\s*[\w*{'"]|export\b\s*[\w*{])/m.test(code)) return 'esm';
+  if (/\b(?:module\.exports|exports\.\w+\s*=|require\s*\()/.test(code)) {
+    return 'cjs';
+  }
+  return null;
+}
+
+/**
+ * Format a package.json exports path for messages
+ * @param {string[]} keys - Subpath and conditions
+ * @returns {string} Field path, e.g. exports["./utils"].import
+ */
+function formatExportsField(keys) {
+  return keys.reduce(
+    (field, key) =>
+      key.startsWith('.') ? `${field}["${key}"]` : `${field}.${key}`,
+    'exports',
+  );
+}
+
+/**
+ * Check the production package.json of a built package: every target must
+ * exist, have the format its extension and condition imply, and the exports
+ * map must be ordered so that every consumer resolves it correctly
+ * @param {string} packagePath - Path to the package directory
+ * @returns {PackageIssue[]} Issues found, errors first
+ */
+export function checkPackage(packagePath) {
+  /** @type {PackageIssue[]} */
+  const issues = [];
+  const pkg = readPackageJson(packagePath);
+  const { sourceDir } = getConfig(packagePath);
+
+  let inDevelopmentMode = false;
+
+  /**
+   * @param {PackageIssue['severity']} severity - Severity
+   * @param {string} field - Package.json field
+   * @param {string} message - Message
+   * @param {string[]} [suggestions] - Suggestions
+   */
+  const report = (severity, field, message, suggestions = []) => {
+    issues.push({ severity, field, message, suggestions });
+  };
+
+  /**
+   * Check one target file
+   * @param {string} field - Package.json field
+   * @param {string} target - Target path
+   * @param {{ format?: 'esm' | 'cjs', declaration?: boolean }} expected - Expected kind
+   * @param {string} [baseDir] - Directory the target is relative to
+   */
+  const checkTarget = (field, target, expected, baseDir = packagePath) => {
+    if (target.replace(/^\.\//, '').startsWith(`${sourceDir}/`)) {
+      // Reported once: in development mode every target points at sources
+      if (!inDevelopmentMode) {
+        inDevelopmentMode = true;
+        report(
+          'error',
+          field,
+          `Points at the source file ${target}: package.json is in development mode`,
+          ['Run libsync build before checking'],
+        );
+      }
+      return;
+    }
+
+    const files = target.includes('*')
+      ? glob.sync(target.replace(/^\.\//, '').replace('*', '**/*'), {
+          cwd: baseDir,
+          nodir: true,
+        })
+      : [target];
+
+    if (files.length === 0 || !existsSync(join(baseDir, files[0]))) {
+      report('error', field, `File not found: ${target}`, [
+        'Run libsync build, and check that the build output matches the package.json targets',
+      ]);
+      return;
+    }
+
+    const isDeclaration = /\.d\.[cm]?ts$/.test(target);
+    if (expected.declaration !== undefined) {
+      if (expected.declaration && !isDeclaration) {
+        report(
+          'error',
+          field,
+          `Types target is not a declaration file: ${target}`,
+          ['Point types at a .d.ts, .d.mts or .d.cts file'],
+        );
+        return;
+      }
+      if (!expected.declaration && isDeclaration) {
+        report('error', field, `Declaration file used as code: ${target}`, [
+          'Nest declaration files under a "types" condition',
+        ]);
+        return;
+      }
+    }
+
+    const extensionFormat = getExtensionFormat(target, pkg.type);
+    if (
+      expected.format &&
+      extensionFormat &&
+      extensionFormat !== expected.format
+    ) {
+      const kind = expected.format === 'cjs' ? 'CommonJS' : 'ES module';
+      report(
+        expected.format === 'cjs' ? 'error' : 'warning',
+        field,
+        `Expected ${isDeclaration ? 'declarations' : 'code'} for ${kind} consumers, but ${target} is interpreted as ${extensionFormat.toUpperCase()}${/\.(?:d\.)?[jt]s$/.test(target) ? ` ("type": "${pkg.type ?? 'commonjs'}")` : ''}`,
+        [
+          expected.format === 'cjs'
+            ? `Use the .${isDeclaration ? 'd.cts' : 'cjs'} extension for CommonJS ${isDeclaration ? 'declarations' : 'files'}`
+            : `Use the .${isDeclaration ? 'd.mts' : 'mjs'} extension, or "type": "module" with .${isDeclaration ? 'd.ts' : 'js'}`,
+        ],
+      );
+    }
+
+    // The code itself must be in the format its extension implies
+    if (!isDeclaration && extensionFormat) {
+      const codeFormat = detectCodeFormat(
+        readFileSync(join(baseDir, files[0]), 'utf-8'),
+      );
+      if (codeFormat && codeFormat !== extensionFormat) {
+        report(
+          'error',
+          field,
+          `${target} contains ${codeFormat.toUpperCase()} syntax but is interpreted as ${extensionFormat.toUpperCase()}`,
+          [
+            `Rename it to .${codeFormat === 'cjs' ? 'cjs' : 'mjs'}, or build it in the ${extensionFormat} format`,
+          ],
+        );
+      }
+    }
+  };
+
+  /**
+   * Walk an exports value, checking condition order and every target
+   * @param {unknown} value - Exports value
+   * @param {string[]} keys - Subpath and enclosing conditions
+   */
+  const checkExports = (value, keys) => {
+    const field = formatExportsField(keys);
+
+    if (typeof value === 'string') {
+      if (!value.startsWith('./')) {
+        report('error', field, `Target must start with "./": ${value}`, [
+          `Use "./${value.replace(/^\/+/, '')}"`,
+        ]);
+        return;
+      }
+      if (value === './package.json') return;
+
+      const conditions = keys.filter((key) => !key.startsWith('.'));
+      const format = conditions.includes('require')
+        ? 'cjs'
+        : conditions.includes('import')
+          ? 'esm'
+          : undefined;
+      checkTarget(field, value, {
+        format,
+        declaration: conditions.at(-1) === 'types',
+      });
+      return;
+    }
+
+    if (Array.isArray(value)) {
+      value.forEach((item) => checkExports(item, keys));
+      return;
+    }
+
+    if (!value || typeof value !== 'object') {
+      if (value !== null) {
+        report('error', field, 'Invalid exports value', [
+          'Use a string target, a conditions object or null',
+        ]);
+      }
+      return;
+    }
+
+    const conditions = Object.keys(value);
+    if (conditions.includes('types') && conditions[0] !== 'types') {
+      report('error', field, '"types" condition must come first', [
+        'TypeScript picks the first matching condition; move "types" before the other conditions',
+      ]);
+    }
+    if (conditions.includes('default') && conditions.at(-1) !== 'default') {
+      report('error', field, '"default" condition must come last', [
+        'Conditions after "default" are never matched',
+      ]);
+    }
+
+    for (const [key, nested] of Object.entries(value)) {
+      checkExports(nested, [...keys, key]);
+    }
+  };
+
+  if (pkg.exports !== undefined) {
+    const exportsField = /** @type {any} */ (pkg.exports);
+    const isSubpathMap =
+      exportsField &&
+      typeof exportsField === 'object' &&
+      !Array.isArray(exportsField) &&
+      Object.keys(exportsField).some((key) => key.startsWith('.'));
+
+    if (isSubpathMap) {
+      for (const [subpath, value] of Object.entries(exportsField)) {
+        checkExports(value, [subpath]);
+      }
+    } else {
+      checkExports(exportsField, ['.']);
+    }
+  }
+
+  if (pkg.main) {
+    checkTarget('main', `./${pkg.main.replace(/^\.\//, '')}`, {
+      declaration: false,
+    });
+  }
+  if (pkg.module) {
+    checkTarget('module', `./${pkg.module.replace(/^\.\//, '')}`, {
+      format: 'esm',
+      declaration: false,
+    });
+  }
+  for (const field of /** @type {const} */ (['types', 'typings'])) {
+    const target = pkg[field];
+    if (target) {
+      checkTarget(field, `./${target.replace(/^\.\//, '')}`, {
+        declaration: true,
+      });
+    }
+  }
+
+  const bins =
+    typeof pkg.bin === 'string' ? { [pkg.name]: pkg.bin } : (pkg.bin ?? {});
+  for (const [name, target] of Object.entries(bins)) {
+    checkTarget(`bin.${name}`, `./${target.replace(/^\.\//, '')}`, {
+      declaration: false,
+    });
+  }
+
+  // Proxy folders serve resolvers that ignore "exports"
+  for (const folder of Object.keys(getProxyFolders(packagePath))) {
+    const proxyPath = join(packagePath, folder);
+    const proxyPackageJson = join(proxyPath, 'package.json');
+
+    if (!existsSync(proxyPackageJson)) {
+      report('error', `${folder}/package.json`, 'Proxy package not found', [
+        'Run libsync build to generate proxy packages',
+      ]);
+      continue;
+    }
+
+    const proxy = JSON.parse(readFileSync(proxyPackageJson, 'utf-8'));
+    for (const field of ['main', 'module', 'types']) {
+      if (typeof proxy[field] === 'string') {
+        checkTarget(
+          `${folder}/package.json ${field}`,
+          proxy[field],
+          { declaration: field === 'types' },
+          proxyPath,
+        );
+      }
+    }
+  }
+
+  return [
+    ...issues.filter(({ severity }) => severity === 'error'),
+    ...issues.filter(({ severity }) => severity === 'warning'),
+  ];
+}
@@ -0,0 +1,537 @@
+/**
+ * @fileoverview Workspace utilities for monorepos
+ * Discovers workspace packages and orders them by their internal dependencies
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join, relative, resolve } from 'path';
+import { glob } from 'glob';
+import {
+  ConfigurationError,
+  PackageError,
+  readPackageJson,
+} from './package.js';
+
+/**
+ * Dependency fields that create edges in the workspace graph
+ */
+const DEPENDENCY_FIELDS = /** @type {const} */ ([
+  'dependencies',
+  'peerDependencies',
+  'devDependencies',
+]);
+
+/**
+ * Workspace package type definition
+ * @typedef {Object} WorkspacePackage
+ * @property {string} name - Package name
+ * @property {string} path - Absolute package path
+ * @property {string} relativePath - Package path relative to the workspace root
+ * @property {import('../schemas/config.js').PackageJson} pkg - Package.json content
+ */
+
+/**
+ * Read a JSON file, returning null when it does not exist
+ * @param {string} filePath - Path to the JSON file
+ * @returns {any} Parsed JSON content, or null
+ */
+function readJsonIfExists(filePath) {
+  if (!existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new PackageError(
+      `Error reading ${filePath}: ${error instanceof Error ? error.message : String(error)}`,
+    );
+  }
+}
+
+/**
+ * Get workspace globs declared in a package.json "workspaces" field
+ * @param {any} pkg - Package.json content
+ * @returns {string[] | null} Workspace globs, or null when not declared
+ */
+function getPackageJsonWorkspaces(pkg) {
+  if (Array.isArray(pkg?.workspaces)) {
+    return pkg.workspaces;
+  }
+  if (Array.isArray(pkg?.workspaces?.packages)) {
+    return pkg.workspaces.packages;
+  }
+  return null;
+}
+
+/**
+ * Find the workspace root by walking up from a path.
+ * A directory is a workspace root when it has pnpm-workspace.yaml, lerna.json
+ * or a package.json with a "workspaces" field.
+ * @param {string} startPath - Path to start searching from
+ * @returns {string | null} Workspace root path, or null if not in a workspace
+ */
+export function findWorkspaceRoot(startPath) {
+  let currentPath = resolve(startPath);
+
+  while (true) {
+    if (
+      existsSync(join(currentPath, 'pnpm-workspace.yaml')) ||
+      existsSync(join(currentPath, 'lerna.json')) ||
+      getPackageJsonWorkspaces(
+        readJsonIfExists(join(currentPath, 'package.json')),
+      )
+    ) {
+      return currentPath;
+    }
+
+    const parentPath = dirname(currentPath);
+    if (parentPath === currentPath) {
+      return null; // Reached filesystem root
+    }
+    currentPath = parentPath;
+  }
+}
+
+/**
+ * Strip a trailing comment and surrounding quotes from a YAML scalar
+ * @param {string} value - Raw scalar text
+ * @returns {string} Scalar value
+ */
+function parseYamlScalar(value) {
+  const trimmed = value.trim();
+  const quoted = trimmed.match(/^(["'])(.*)\1(?:\s+#.*)?$/);
+  if (quoted) {
+    return quoted[2] ?? '';
+  }
+  return trimmed.replace(/\s+#.*$/, '');
+}
+
+/**
+ * Read the "packages" list of pnpm-workspace.yaml.
+ * Only the block and flow list forms pnpm documents are supported, which
+ * avoids pulling in a YAML parser for a single field.
+ * @param {string} rootPath - Workspace root path
+ * @returns {string[]} Workspace globs
+ */
+function readPnpmWorkspacePackages(rootPath) {
+  const content = readFileSync(join(rootPath, 'pnpm-workspace.yaml'), 'utf-8');
+  const lines = content.split(/\r?\n/);
+  /** @type {string[]} */
+  const packages = [];
+  let inPackages = false;
+
+  for (const line of lines) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+
+    const topLevelKey = line.match(/^([\w-]+):\s*(.*)$/);
+    if (topLevelKey) {
+      inPackages = topLevelKey[1] === 'packages';
+      const inlineValue = topLevelKey[2]?.trim() ?? '';
+
+      if (inPackages && inlineValue.startsWith('[')) {
+        packages.push(
+          ...inlineValue
+            .replace(/^\[|\]$/g, '')
+            .split(',')
+            .map(parseYamlScalar)
+            .filter(Boolean),
+        );
+        inPackages = false;
+      }
+      continue;
+    }
+
+    const listItem = line.match(/^\s+-\s+(.*)$/);
+    if (inPackages && listItem) {
+      packages.push(parseYamlScalar(listItem[1] ?? ''));
+    }
+  }
+
+  return packages;
+}
+
+/**
+ * Read the "catalog" and "catalogs" maps of pnpm-workspace.yaml.
+ * Like the packages list, only the block mapping form is supported.
+ * @param {string} rootPath - Workspace root path
+ * @returns {Record<string, Record<string, string>>} Catalog name to dependency ranges, the unnamed catalog being "default"
+ */
+function readPnpmCatalogs(rootPath) {
+  const content = readFileSync(join(rootPath, 'pnpm-workspace.yaml'), 'utf-8');
+  /** @type {Record<string, Record<string, string>>} */
+  const catalogs = {};
+  /** @type {string | null} */
+  let section = null;
+  /** @type {string | null} */
+  let catalogName = null;
+  /** @type {number | null} */
+  let nameIndent = null;
+
+  for (const line of content.split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+
+    const indent = line.length - line.trimStart().length;
+    const entry = line.trim().match(/^(["']?)(.+?)\1:(?:\s+(.*))?$/);
+
+    if (indent === 0) {
+      section = entry?.[2] ?? null;
+      catalogName = section === 'catalog' ? 'default' : null;
+      nameIndent = null;
+      continue;
+    }
+
+    if (!entry || (section !== 'catalog' && section !== 'catalogs')) continue;
+
+    const key = entry[2] ?? '';
+    const value = entry[3] ?? '';
+
+    // Named catalogs nest one level deeper than their names
+    if (
+      section === 'catalogs' &&
+      (nameIndent === null || indent <= nameIndent)
+    ) {
+      nameIndent = indent;
+      catalogName = key;
+      continue;
+    }
+
+    if (catalogName && value) {
+      catalogs[catalogName] = {
+        ...catalogs[catalogName],
+        [key]: parseYamlScalar(value),
+      };
+    }
+  }
+
+  return catalogs;
+}
+
+/**
+ * Get the dependency catalogs of a workspace root
+ * @param {string} rootPath - Workspace root path
+ * @returns {Record<string, Record<string, string>>} Catalog name to dependency ranges, the unnamed catalog being "default"
+ */
+export function getWorkspaceCatalogs(rootPath) {
+  if (existsSync(join(rootPath, 'pnpm-workspace.yaml'))) {
+    return readPnpmCatalogs(rootPath);
+  }
+
+  return {};
+}
+
+/**
+ * Get the workspace globs of a workspace root
+ * @param {string} rootPath - Workspace root path
+ * @returns {string[]} Workspace globs (negated globs start with "!")
+ */
+export function getWorkspaceGlobs(rootPath) {
+  if (existsSync(join(rootPath, 'pnpm-workspace.yaml'))) {
+    return readPnpmWorkspacePackages(rootPath);
+  }
+
+  const pkgWorkspaces = getPackageJsonWorkspaces(
+    readJsonIfExists(join(rootPath, 'package.json')),
+  );
+  if (pkgWorkspaces) {
+    return pkgWorkspaces;
+  }
+
+  const lerna = readJsonIfExists(join(rootPath, 'lerna.json'));
+  if (Array.isArray(lerna?.packages)) {
+    return lerna.packages;
+  }
+
+  return [];
+}
+
+/**
+ * Discover all packages of a workspace
+ * @param {string} rootPath - Workspace root path
+ * @returns {WorkspacePackage[]} Workspace packages sorted by path
+ */
+export function getWorkspacePackages(rootPath) {
+  const workspaceGlobs = getWorkspaceGlobs(rootPath);
+
+  if (workspaceGlobs.length === 0) {
+    throw new ConfigurationError(
+      `No workspace packages declared in ${rootPath}`,
+      [
+        'Add a "packages" list to pnpm-workspace.yaml',
+        'Or add a "workspaces" field to the root package.json',
+      ],
+    );
+  }
+
+  const include = workspaceGlobs
+    .filter((pattern) => !pattern.startsWith('!'))
+    .map((pattern) => `${pattern.replace(/\/+$/, '')}/package.json`);
+  const ignore = workspaceGlobs
+    .filter((pattern) => pattern.startsWith('!'))
+    .map((pattern) => pattern.slice(1).replace(/\/+$/, ''))
+    .flatMap((pattern) => [pattern, `${pattern}/package.json`]);
+
+  const packageJsonPaths = glob.sync(include, {
+    cwd: rootPath,
+    ignore: [...ignore, '**/node_modules/**'],
+    posix: true,
+  });
+
+  /** @type {Map<string, WorkspacePackage>} */
+  const packagesByName = new Map();
+
+  for (const packageJsonPath of packageJsonPaths.sort()) {
+    const packagePath = resolve(rootPath, dirname(packageJsonPath));
+    if (packagePath === resolve(rootPath)) continue;
+
+    const pkg = readPackageJson(packagePath);
+    const existing = packagesByName.get(pkg.name);
+    if (existing) {
+      throw new ConfigurationError(
+        `Duplicate workspace package name "${pkg.name}"`,
+        [
+          `Found in ${existing.relativePath} and ${relative(rootPath, packagePath)}`,
+        ],
+      );
+    }
+
+    packagesByName.set(pkg.name, {
+      name: pkg.name,
+      path: packagePath,
+      relativePath: relative(rootPath, packagePath),
+      pkg,
+    });
+  }
+
+  return [...packagesByName.values()];
+}
+
+/**
+ * Select workspace packages matching globs (relative to the workspace root)
+ * or package names
+ * @param {string} rootPath - Workspace root path
+ * @param {WorkspacePackage[]} packages - Workspace packages
+ * @param {string[]} patterns - Workspace globs or package names
+ * @returns {WorkspacePackage[]} Matching packages
+ */
+export function selectWorkspacePackages(rootPath, packages, patterns) {
+  const matchedPaths = new Set(
+    glob
+      .sync(patterns, { cwd: rootPath, absolute: true })
+      .map((matchedPath) => resolve(matchedPath)),
+  );
+
+  const selected = packages.filter(
+    ({ name, path: packagePath }) =>
+      patterns.includes(name) || matchedPaths.has(packagePath),
+  );
+
+  if (selected.length === 0) {
+    throw new ConfigurationError(
+      `No workspace packages match: ${patterns.join(', ')}`,
+      [
+        `Available packages: ${packages.map(({ relativePath }) => relativePath).join(', ')}`,
+        'Globs are resolved relative to the workspace root',
+      ],
+    );
+  }
+
+  return selected;
+}
+
+/**
+ * Build the internal dependency graph of workspace packages
+ * @param {WorkspacePackage[]} packages - Workspace packages
+ * @returns {Map<string, Set<string>>} Package name to the names of the workspace packages it depends on
+ */
+export function getDependencyGraph(packages) {
+  const names = new Set(packages.map(({ name }) => name));
+  /** @type {Map<string, Set<string>>} */
+  const graph = new Map();
+
+  for (const { name, pkg } of packages) {
+    /** @type {Set<string>} */
+    const dependencies = new Set();
+
+    for (const field of DEPENDENCY_FIELDS) {
+      for (const dependency of Object.keys(pkg[field] ?? {})) {
+        if (dependency !== name && names.has(dependency)) {
+          dependencies.add(dependency);
+        }
+      }
+    }
+
+    graph.set(name, dependencies);
+  }
+
+  return graph;
+}
+
+/**
+ * Restrict a dependency graph to a subset of packages, keeping the ordering
+ * implied by packages outside the subset (A → B → C becomes A → C)
+ * @param {Map<string, Set<string>>} graph - Full dependency graph
+ * @param {Iterable<string>} names - Package names to keep
+ * @returns {Map<string, Set<string>>} Restricted dependency graph
+ */
+export function restrictDependencyGraph(graph, names) {
+  const kept = new Set(names);
+  /** @type {Map<string, Set<string>>} */
+  const restricted = new Map();
+
+  for (const name of kept) {
+    /** @type {Set<string>} */
+    const dependencies = new Set();
+    /** @type {Set<string>} */
+    const visited = new Set();
+    const stack = [...(graph.get(name) ?? [])];
+
+    while (stack.length > 0) {
+      const dependency = /** @type {string} */ (stack.pop());
+      if (visited.has(dependency)) continue;
+      visited.add(dependency);
+
+      if (kept.has(dependency)) {
+        dependencies.add(dependency);
+      } else {
+        stack.push(...(graph.get(dependency) ?? []));
+      }
+    }
+
+    dependencies.delete(name);
+    restricted.set(name, dependencies);
+  }
+
+  return restricted;
+}
+
+/**
+ * Sort package names topologically, dependencies first
+ * @param {Map<string, Set<string>>} graph - Dependency graph
+ * @returns {string[]} Package names in dependency order
+ * @throws {ConfigurationError} When the graph contains a cycle
+ */
+export function sortTopologically(graph) {
+  /** @type {string[]} */
+  const sorted = [];
+  /** @type {Map<string, 'visiting' | 'done'>} */
+  const state = new Map();
+
+  /**
+   * @param {string} name - Package name
+   * @param {string[]} trail - Packages on the current path
+   */
+  const visit = (name, trail) => {
+    if (state.get(name) === 'done') return;
+    if (state.get(name) === 'visiting') {
+      const cycle = [...trail.slice(trail.indexOf(name)), name];
+      throw new ConfigurationError(
+        `Circular workspace dependency: ${cycle.join(' → ')}`,
+        [
+          'Remove one of the dependencies to break the cycle',
+          'Move shared code into a package that both can depend on',
+        ],
+      );
+    }
+
+    state.set(name, 'visiting');
+    for (const dependency of graph.get(name) ?? []) {
+      visit(dependency, [...trail, name]);
+    }
+    state.set(name, 'done');
+    sorted.push(name);
+  };
+
+  for (const name of graph.keys()) {
+    visit(name, []);
+  }
+
+  return sorted;
+}
+
+/**
+ * Task result type definition
+ * @typedef {Object} TaskResult
+ * @property {string} name - Package name
+ * @property {'success' | 'failed' | 'skipped'} status - Outcome of the task
+ * @property {number} duration - Task duration in milliseconds
+ * @property {string} [reason] - Failure or skip reason
+ */
+
+/**
+ * Run a task for every package in dependency order. Packages whose
+ * dependencies have all succeeded start immediately, up to the concurrency
+ * limit; dependents of a failed package are skipped.
+ * @param {Map<string, Set<string>>} graph - Dependency graph of the packages to run
+ * @param {number} concurrency - Maximum number of tasks running at once
+ * @param {(name: string) => Promise<void>} task - Task to run for a package
+ * @returns {Promise<TaskResult[]>} Results in completion order
+ */
+export async function runInDependencyOrder(graph, concurrency, task) {
+  const order = sortTopologically(graph);
+  /** @type {Map<string, TaskResult>} */
+  const results = new Map();
+  /** @type {Set<string>} */
+  const running = new Set();
+
+  return new Promise((resolvePromise) => {
+    const schedule = () => {
+      for (const name of order) {
+        if (results.has(name) || running.has(name)) continue;
+
+        const dependencies = [...(graph.get(name) ?? [])];
+        const failedDependency = dependencies.find((dependency) => {
+          const status = results.get(dependency)?.status;
+          return status === 'failed' || status === 'skipped';
+        });
+
+        if (failedDependency) {
+          results.set(name, {
+            name,
+            status: 'skipped',
+            duration: 0,
+            reason: `dependency ${failedDependency} did not build`,
+          });
+          continue;
+        }
+
+        const ready = dependencies.every(
+          (dependency) => results.get(dependency)?.status === 'success',
+        );
+        if (!ready || running.size >= concurrency) continue;
+
+        running.add(name);
+        const startTime = Date.now();
+
+        task(name)
+          .then(
+            () => {
+              results.set(name, {
+                name,
+                status: 'success',
+                duration: Date.now() - startTime,
+              });
+            },
+            (error) => {
+              results.set(name, {
+                name,
+                status: 'failed',
+                duration: Date.now() - startTime,
+                reason: error instanceof Error ? error.message : String(error),
+              });
+            },
+          )
+          .finally(() => {
+            running.delete(name);
+            schedule();
+          });
+      }
+
+      if (running.size === 0 && results.size === order.length) {
+        resolvePromise([...results.values()]);
+      }
+    };
+
+    schedule();
+  });
+}
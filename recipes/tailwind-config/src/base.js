@@ -1,7 +1,6 @@
 /** @type {import('tailwindcss').Config} */
 export default {
   darkMode: ['class'],
-  content: ['src/**/*.{ts,tsx}'],
   theme: {
     extend: {
       colors: {
@@ -1,5 +1,5 @@
-// @ts-ignore - the path exists but there's no type definition
-import nativewind from 'nativewind/preset';
+// nativewind/preset is a directory proxy, which ES modules cannot import
+import nativewind from 'nativewind/dist/tailwind/index.js';
 import baseConfig from './base.js';
 
 /** @type {import('tailwindcss').Config} */